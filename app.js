@@ -0,0 +1,172 @@
+// app.js - Builds the Express app (routes, middleware, docs) without listening or connecting
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const swaggerJsDoc = require('swagger-jsdoc');
+const swaggerUi = require('swagger-ui-express');
+
+// Import your route files
+const contactRoutes = require('./routes/contactRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const authRoutes = require('./routes/authRoutes');
+const twoFactorRoutes = require('./routes/twoFactorRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const userRoutes = require('./routes/userRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const inboundRoutes = require('./routes/inboundRoutes');
+const slaRoutes = require('./routes/slaRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const triageRuleRoutes = require('./routes/triageRuleRoutes');
+const spamRoutes = require('./routes/spamRoutes');
+const formRoutes = require('./routes/formRoutes');
+const formDefinitionRoutes = require('./routes/formDefinitionRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const emailQueueRoutes = require('./routes/emailQueueRoutes');
+const emailTemplateRoutes = require('./routes/emailTemplateRoutes');
+const macroRoutes = require('./routes/macroRoutes');
+const { errorHandler } = require('./middleware/errorHandler');
+const { requestLogger } = require('./middleware/requestLogger');
+const { loadConfig } = require('./config');
+
+// Skip-everything middleware used when a profile turns rate limiting off
+const noLimit = (req, res, next) => next();
+
+const createApp = (config = loadConfig()) => {
+  const app = express();
+
+  // Routes and middleware can read the active config through req.app.locals.config
+  app.locals.config = config;
+
+  // Trust proxy for IP address handling (needed for rate limiting behind a proxy)
+  app.set('trust proxy', config.trustProxy);
+
+  // SECURITY MIDDLEWARE
+  // Helmet adds security headers to protect against common attacks
+  app.use(helmet());
+
+  // CORS allows your frontend to communicate with this backend
+  app.use(cors({
+    origin: config.corsOrigins,
+    credentials: true
+  }));
+
+  if (config.logging.requests) {
+    app.use(requestLogger);
+  }
+
+  // RATE LIMITING - Prevents abuse
+  const limiter = config.rateLimit.enabled
+    ? rateLimit({
+      ...config.rateLimit.general,
+      message: 'Too many requests from this IP, please try again later.'
+    })
+    : noLimit;
+  app.use('/api/', limiter);
+
+  // Special rate limit for contact form submissions
+  const contactLimiter = config.rateLimit.enabled
+    ? rateLimit({
+      ...config.rateLimit.contact,
+      message: 'Too many contact form submissions, please try again later.'
+    })
+    : noLimit;
+
+  // BODY PARSER - Allows reading JSON data from requests
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // API DOCUMENTATION SETUP
+  if (config.docs) {
+    const swaggerOptions = {
+      definition: {
+        openapi: '3.0.0',
+        info: {
+          title: 'Tangible Learning API',
+          version: '1.0.0',
+          description: 'API for Tangible Learning contact form and admin panel'
+        },
+        servers: [
+          {
+            url: '/api',
+            description: 'Current server'
+          }
+        ]
+      },
+      apis: [
+        path.join(__dirname, 'routes/*.js'),
+        path.join(__dirname, 'models/*.js')
+      ]
+    };
+
+    const swaggerDocs = swaggerJsDoc(swaggerOptions);
+    app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
+  }
+
+  // API ROUTES
+  app.use('/api/contact', contactLimiter, contactRoutes);  // Contact form routes
+  app.use('/api/forms/:slug/submit', contactLimiter);       // Form submissions share the contact form limit
+  app.use('/api/forms', formRoutes);                        // Public forms defined in the admin panel
+  app.use('/api/admin/roles', roleRoutes);                  // Roles and permissions
+  app.use('/api/admin/users', userRoutes);                  // Admin account management
+  app.use('/api/admin/audit', auditRoutes);                 // Audit log (read-only)
+  app.use('/api/admin/sla', slaRoutes);                     // SLA policies
+  app.use('/api/admin/tags', tagRoutes);                    // Contact tags
+  app.use('/api/admin/triage-rules', triageRuleRoutes);     // Automatic triage of new contacts
+  app.use('/api/admin/spam', spamRoutes);                   // Spam blocklist
+  app.use('/api/admin/forms', formDefinitionRoutes);        // Public form definitions
+  app.use('/api/admin/notifications', notificationRoutes);  // Notification channels and subscriptions
+  app.use('/api/admin/email-queue', emailQueueRoutes);      // Outgoing mail queue
+  app.use('/api/admin/email-templates', emailTemplateRoutes); // Editable email templates
+  app.use('/api/admin/macros', macroRoutes);                // Canned replies
+  app.use('/api/admin', adminRoutes);                       // Admin panel routes
+  app.use('/api/auth/2fa', twoFactorRoutes);                // Two-factor authentication setup
+  app.use('/api/auth', authRoutes);                         // Authentication routes
+  app.use('/api/inbound', inboundRoutes);                   // Inbound email from the mail relay
+
+  // HEALTH CHECK ENDPOINT - Check if server is running
+  app.get('/health', (req, res) => {
+    res.status(200).json({
+      status: 'OK',
+      message: 'Tangible Learning Backend is running',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime()
+    });
+  });
+
+  // ROOT ENDPOINT - Basic info about your API
+  app.get('/', (req, res) => {
+    res.json({
+      message: 'Tangible Learning Backend API',
+      version: '1.0.0',
+      documentation: '/api-docs',
+      health: '/health',
+      contact: '/api/contact',
+      admin: '/api/admin',
+      auth: '/api/auth'
+    });
+  });
+
+  // HANDLE 404 - Route not found
+  app.use((req, res) => {
+    res.status(404).json({
+      success: false,
+      message: 'Route not found',
+      availableRoutes: {
+        contact: '/api/contact',
+        admin: '/api/admin',
+        auth: '/api/auth',
+        docs: '/api-docs',
+        health: '/health'
+      }
+    });
+  });
+
+  // ERROR HANDLING MIDDLEWARE
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,66 @@
+// Contact status workflow - which status can move to which, and which moves need a reason.
+// Any move not listed here is rejected.
+const STATUSES = [
+  'new',               // just submitted
+  'read',              // an admin has opened it
+  'replied',           // we answered and are waiting on the customer
+  'awaiting_response', // the customer wrote back and we owe them an answer
+  'reopened',          // was resolved or closed, but needs more work
+  'resolved',          // handled
+  'closed',            // finished without a resolution (no answer, out of scope, ...)
+  'spam'               // junk - hidden from the normal inbox
+];
+
+// from -> { to: { requiresReason } }
+const TRANSITIONS = {
+  new: {
+    read: {},
+    replied: {},
+    awaiting_response: {},
+    resolved: {},
+    closed: { requiresReason: true },
+    spam: {}
+  },
+  read: {
+    replied: {},
+    awaiting_response: {},
+    resolved: {},
+    closed: { requiresReason: true },
+    spam: {}
+  },
+  replied: {
+    awaiting_response: {},
+    resolved: {},
+    closed: { requiresReason: true }
+  },
+  awaiting_response: {
+    replied: {},
+    resolved: {},
+    closed: { requiresReason: true }
+  },
+  reopened: {
+    read: {},
+    replied: {},
+    awaiting_response: {},
+    resolved: {},
+    closed: { requiresReason: true },
+    spam: {}
+  },
+  resolved: {
+    reopened: { requiresReason: true },
+    awaiting_response: {}, // the customer wrote back after we resolved it
+    closed: {}
+  },
+  closed: {
+    reopened: { requiresReason: true },
+    awaiting_response: {}
+  },
+  spam: {
+    new: { requiresReason: true } // "not spam after all"
+  }
+};
+
+// Statuses that still need someone to act on them
+const OPEN_STATUSES = ['new', 'read', 'replied', 'awaiting_response', 'reopened'];
+
+module.exports = { STATUSES, TRANSITIONS, OPEN_STATUSES };
@@ -0,0 +1,234 @@
+// Built-in email templates. Admins can override any of them under /api/admin/email-templates;
+// deleting an override brings the built-in version back.
+// Syntax (see utils/templateRenderer.js): {{value}} is HTML-escaped, {{#value}}...{{/value}} only
+// shows when the value is set (or repeats for each item of a list), {{^value}}...{{/value}} when it isn't.
+// When a template has no text version, one is made from the HTML.
+
+// Variables every contact template gets
+const CONTACT_VARIABLES = [
+  'contact.reference', 'contact.name', 'contact.email', 'contact.phone', 'contact.company',
+  'contact.school', 'contact.location', 'contact.subject', 'contact.message', 'contact.priority',
+  'contact.status', 'contact.submittedAt', 'contact.formFields (list of label, value)', 'site.name', 'site.url'
+];
+
+const DEFAULT_TEMPLATES = {
+  admin_notification: {
+    name: 'New contact notification',
+    description: 'Sent to the admin inbox (and subscribed admins) when a contact comes in',
+    variables: [...CONTACT_VARIABLES, 'adminPanelUrl'],
+    subject: 'New Contact Form Submission - {{#contact.subject}}{{contact.subject}}{{/contact.subject}}{{^contact.subject}}No Subject{{/contact.subject}}',
+    html: `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #333; border-bottom: 2px solid #007bff; padding-bottom: 10px;">
+    New Contact Form Submission
+  </h2>
+
+  <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+    <h3 style="color: #007bff; margin-top: 0;">Contact Details</h3>
+
+    <p><strong>Name:</strong> {{contact.name}}</p>
+    <p><strong>Email:</strong> <a href="mailto:{{contact.email}}">{{contact.email}}</a></p>
+    {{#contact.phone}}<p><strong>Phone:</strong> {{contact.phone}}</p>{{/contact.phone}}
+    {{#contact.company}}<p><strong>Company:</strong> {{contact.company}}</p>{{/contact.company}}
+    {{#contact.school}}<p><strong>School:</strong> {{contact.school}}</p>{{/contact.school}}
+    {{#contact.location}}<p><strong>Location:</strong> {{contact.location}}</p>{{/contact.location}}
+    <p><strong>Subject:</strong> {{#contact.subject}}{{contact.subject}}{{/contact.subject}}{{^contact.subject}}No subject{{/contact.subject}}</p>
+    <p><strong>Submitted:</strong> {{contact.submittedAt}}</p>
+    {{#contact.reference}}<p><strong>Reference:</strong> {{contact.reference}}</p>{{/contact.reference}}
+    {{#contact.formFields}}<p><strong>{{label}}:</strong> {{value}}</p>{{/contact.formFields}}
+  </div>
+
+  <div style="background-color: #fff; padding: 20px; border: 1px solid #dee2e6; border-radius: 5px;">
+    <h4 style="color: #333; margin-top: 0;">Message:</h4>
+    <p style="line-height: 1.6; color: #555; white-space: pre-wrap;">{{contact.message}}</p>
+  </div>
+
+  <div style="margin-top: 20px; padding: 15px; background-color: #e9ecef; border-radius: 5px;">
+    <p style="margin: 0; font-size: 14px; color: #6c757d;">
+      <strong>Admin Panel:</strong>
+      <a href="{{adminPanelUrl}}" style="color: #007bff; text-decoration: none;">View in Admin Panel</a>
+    </p>
+  </div>
+</div>
+`,
+    text: `New contact form submission
+
+Name: {{contact.name}}
+Email: {{contact.email}}
+{{#contact.phone}}Phone: {{contact.phone}}
+{{/contact.phone}}{{#contact.company}}Company: {{contact.company}}
+{{/contact.company}}{{#contact.school}}School: {{contact.school}}
+{{/contact.school}}{{#contact.location}}Location: {{contact.location}}
+{{/contact.location}}Subject: {{#contact.subject}}{{contact.subject}}{{/contact.subject}}{{^contact.subject}}No subject{{/contact.subject}}
+Submitted: {{contact.submittedAt}}
+{{#contact.reference}}Reference: {{contact.reference}}
+{{/contact.reference}}{{#contact.formFields}}{{label}}: {{value}}
+{{/contact.formFields}}
+Message:
+{{contact.message}}
+
+View in the admin panel: {{adminPanelUrl}}
+`
+  },
+
+  reply: {
+    name: 'Reply',
+    description: 'Wraps the message an admin writes when replying to a contact',
+    variables: [...CONTACT_VARIABLES, 'reply.subject', 'reply.message'],
+    subject: 'Re: {{reply.subject}}',
+    html: `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background-color: #007bff; color: white; padding: 20px; text-align: center;">
+    <h2 style="margin: 0;">{{site.name}}</h2>
+  </div>
+
+  <div style="padding: 20px; background-color: #f8f9fa;">
+    <p style="margin: 0 0 10px 0; color: #6c757d; font-size: 14px;">Hello {{contact.name}},</p>
+    <p style="margin: 0; color: #6c757d; font-size: 14px;">
+      Thank you for contacting us. Here's our response to your inquiry:
+    </p>
+  </div>
+
+  <div style="padding: 20px; background-color: white; border-left: 4px solid #007bff;">
+    <div style="line-height: 1.6; color: #333; white-space: pre-wrap;">{{reply.message}}</div>
+  </div>
+
+  <div style="padding: 20px; background-color: #343a40; color: white; text-align: center;">
+    <p style="margin: 0; font-size: 14px;">
+      Best regards,<br>
+      {{site.name}} Team
+    </p>
+    <p style="margin: 10px 0 0 0; font-size: 12px;">
+      <a href="{{site.url}}" style="color: #6c757d;">{{site.url}}</a>
+    </p>
+  </div>
+</div>
+`,
+    text: `Hello {{contact.name}},
+
+Thank you for contacting us. Here's our response to your inquiry:
+
+{{reply.message}}
+
+Best regards,
+{{site.name}} Team
+{{site.url}}
+`
+  },
+
+  auto_acknowledgement: {
+    name: 'Auto-acknowledgement',
+    description: 'Sent to the person who got in touch (their address isn\'t verified, so it only gets the reference and response time)',
+    variables: ['contact.reference', 'expectedResponse', 'site.name', 'site.url'],
+    subject: 'We received your message [{{contact.reference}}]',
+    html: `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background-color: #007bff; color: white; padding: 20px; text-align: center;">
+    <h2 style="margin: 0;">{{site.name}}</h2>
+  </div>
+
+  <div style="padding: 20px; color: #333; line-height: 1.6;">
+    <p>Hello,</p>
+    <p>Thank you for getting in touch. We've received your message and will get back to you
+      {{#expectedResponse}}within {{expectedResponse}}{{/expectedResponse}}{{^expectedResponse}}as soon as we can{{/expectedResponse}}.</p>
+    <p>Your reference number is <strong>{{contact.reference}}</strong> - please quote it if you write to us about this again.</p>
+    <p style="font-size: 14px; color: #6c757d;">If you didn't contact us, you can ignore this email.</p>
+  </div>
+
+  <div style="padding: 20px; background-color: #343a40; color: white; text-align: center;">
+    <p style="margin: 0; font-size: 14px;">{{site.name}} Team</p>
+    <p style="margin: 10px 0 0 0; font-size: 12px;">
+      <a href="{{site.url}}" style="color: #6c757d;">{{site.url}}</a>
+    </p>
+  </div>
+</div>
+`,
+    text: `Hello,
+
+Thank you for getting in touch. We've received your message and will get back to you {{#expectedResponse}}within {{expectedResponse}}{{/expectedResponse}}{{^expectedResponse}}as soon as we can{{/expectedResponse}}.
+
+Your reference number is {{contact.reference}} - please quote it if you write to us about this again.
+
+If you didn't contact us, you can ignore this email.
+
+{{site.name}} Team
+{{site.url}}
+`
+  },
+
+  password_reset: {
+    name: 'Password reset',
+    description: 'Sent to an admin who asked to reset their password',
+    variables: ['admin.name', 'admin.email', 'resetUrl', 'expiresInMinutes', 'site.name', 'site.url'],
+    subject: 'Reset your {{site.name}} admin password',
+    html: `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #333; border-bottom: 2px solid #007bff; padding-bottom: 10px;">
+    Password Reset
+  </h2>
+
+  <p style="color: #555;">Hello {{admin.name}},</p>
+  <p style="color: #555;">
+    Someone asked to reset the password for your admin account. If it was you, use the link below.
+    It works once and expires in {{expiresInMinutes}} minutes.
+  </p>
+
+  <p style="text-align: center; margin: 30px 0;">
+    <a href="{{resetUrl}}"
+       style="background-color: #007bff; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none;">
+      Reset Password
+    </a>
+  </p>
+
+  <p style="font-size: 14px; color: #6c757d;">
+    If you did not ask for this, you can ignore this email - your password will not change.
+  </p>
+</div>
+`,
+    text: `Hello {{admin.name}},
+
+Someone asked to reset the password for your admin account. If it was you, open the link below.
+It works once and expires in {{expiresInMinutes}} minutes.
+
+{{resetUrl}}
+
+If you did not ask for this, you can ignore this email - your password will not change.
+`
+  }
+};
+
+// Used by POST /api/admin/email-templates/preview when no real contact is given
+const SAMPLE_CONTACT = {
+  reference: 'TL-240115-7K3Q',
+  name: 'Priya Sharma',
+  email: 'priya.sharma@example.com',
+  phone: '+91 98765 43210',
+  company: 'Sunrise Public School',
+  school: 'Sunrise Public School',
+  location: 'Pune',
+  subject: 'Robotics kits for Grade 6',
+  message: 'Hello,\nWe would like to know more about your robotics kits for about 120 students.\nThanks!',
+  priority: 'medium',
+  status: 'new',
+  createdAt: new Date('2024-01-15T10:30:00Z'),
+  formData: { preferredDate: '2024-02-01' }
+};
+
+// Stand-ins for the non-contact variables in a preview
+const SAMPLE_VARIABLES = {
+  reply: {
+    subject: 'Robotics kits for Grade 6',
+    message: 'Hi Priya,\nThanks for your interest! I have attached our price list for schools.'
+  },
+  expectedResponse: '24 hours',
+  admin: { name: 'Admin User', email: 'admin@example.com' },
+  resetUrl: 'https://example.com/admin/reset-password?token=sample',
+  expiresInMinutes: 30
+};
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  TEMPLATE_KEYS: Object.keys(DEFAULT_TEMPLATES),
+  SAMPLE_CONTACT,
+  SAMPLE_VARIABLES
+};
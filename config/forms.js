@@ -0,0 +1,65 @@
+// Public forms created on first start. Admins can edit them (or add more) under /api/admin/forms.
+// Fields whose name matches a Contact field (name, email, phone, subject, message, company,
+// location, school) are stored on the contact itself; anything else goes into contact.formData.
+const DEFAULT_FORMS = [
+  {
+    slug: 'contact',
+    name: 'Contact us',
+    description: 'General enquiries',
+    fields: [
+      { name: 'name', label: 'Name', type: 'text', required: true, minLength: 2, maxLength: 100 },
+      { name: 'email', label: 'Email', type: 'email', required: true },
+      { name: 'phone', label: 'Phone', type: 'phone' },
+      { name: 'company', label: 'Company', type: 'text', maxLength: 100 },
+      { name: 'subject', label: 'Subject', type: 'text', maxLength: 200 },
+      { name: 'message', label: 'Message', type: 'textarea', required: true, minLength: 10, maxLength: 2000 }
+    ]
+  },
+  {
+    slug: 'demo-request',
+    name: 'Request a demo',
+    description: 'Book a product demo with our team',
+    fields: [
+      { name: 'name', label: 'Name', type: 'text', required: true, minLength: 2, maxLength: 100 },
+      { name: 'email', label: 'Email', type: 'email', required: true },
+      { name: 'phone', label: 'Phone', type: 'phone', required: true },
+      { name: 'school', label: 'School / organisation', type: 'text', required: true, maxLength: 150 },
+      { name: 'role', label: 'Your role', type: 'select', required: true, options: ['Teacher', 'Principal', 'Administrator', 'Parent', 'Other'] },
+      { name: 'preferredDate', label: 'Preferred date', type: 'date' },
+      { name: 'message', label: 'Anything we should know?', type: 'textarea', maxLength: 2000 }
+    ]
+  },
+  {
+    slug: 'workshop-booking',
+    name: 'Book a workshop',
+    description: 'Hands-on tangible learning workshops for students and teachers',
+    fields: [
+      { name: 'name', label: 'Name', type: 'text', required: true, minLength: 2, maxLength: 100 },
+      { name: 'email', label: 'Email', type: 'email', required: true },
+      { name: 'phone', label: 'Phone', type: 'phone', required: true },
+      { name: 'school', label: 'School', type: 'text', required: true, maxLength: 150 },
+      { name: 'location', label: 'City', type: 'text', required: true, maxLength: 100 },
+      { name: 'participants', label: 'Number of participants', type: 'number', required: true, min: 1, max: 500 },
+      { name: 'audience', label: 'Workshop for', type: 'select', required: true, options: ['Students', 'Teachers', 'Both'] },
+      { name: 'preferredDate', label: 'Preferred date', type: 'date', required: true },
+      { name: 'message', label: 'Notes', type: 'textarea', maxLength: 2000 }
+    ]
+  },
+  {
+    slug: 'school-partnership',
+    name: 'School partnership',
+    description: 'Partner with us to bring tangible learning to your school',
+    fields: [
+      { name: 'name', label: 'Name', type: 'text', required: true, minLength: 2, maxLength: 100 },
+      { name: 'email', label: 'Email', type: 'email', required: true },
+      { name: 'phone', label: 'Phone', type: 'phone' },
+      { name: 'school', label: 'School', type: 'text', required: true, maxLength: 150 },
+      { name: 'location', label: 'City', type: 'text', required: true, maxLength: 100 },
+      { name: 'studentCount', label: 'Number of students', type: 'number', min: 1, max: 100000 },
+      { name: 'boardAffiliation', label: 'Board', type: 'select', options: ['CBSE', 'ICSE', 'State board', 'IB', 'Cambridge', 'Other'] },
+      { name: 'message', label: 'Tell us about your school', type: 'textarea', required: true, minLength: 10, maxLength: 2000 }
+    ]
+  }
+];
+
+module.exports = { DEFAULT_FORMS };
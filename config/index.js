@@ -0,0 +1,158 @@
+require('dotenv').config(); // Load environment variables from .env file
+
+// Startup profiles - each one decides CORS origins, rate limits and logging
+// for a given NODE_ENV. Anything set in the environment still wins.
+const profiles = {
+  development: {
+    corsOrigins: [
+      'http://localhost:3000',
+      'http://localhost:5000'
+    ],
+    trustProxy: false,
+    rateLimit: {
+      enabled: true,
+      general: { windowMs: 15 * 60 * 1000, max: 1000 },
+      contact: { windowMs: 60 * 60 * 1000, max: 50 }
+    },
+    logging: {
+      requests: true,
+      errors: true,
+      stackTraces: true
+    },
+    docs: true
+  },
+
+  production: {
+    corsOrigins: [
+      'https://tangiblelearning.vercel.app',
+      'https://www.tangiblelearning.vercel.app',
+      'https://tangiblelearning.in',
+      'https://www.tangiblelearning.in'
+    ],
+    // Railway (and most hosts) sit behind a single proxy hop
+    trustProxy: 1,
+    rateLimit: {
+      enabled: true,
+      general: { windowMs: 15 * 60 * 1000, max: 100 }, // 100 requests per 15 minutes per IP
+      contact: { windowMs: 60 * 60 * 1000, max: 5 }    // 5 submissions per hour per IP
+    },
+    logging: {
+      requests: false,
+      errors: true,
+      stackTraces: false
+    },
+    docs: true
+  },
+
+  test: {
+    corsOrigins: [
+      'http://localhost:3000'
+    ],
+    trustProxy: false,
+    rateLimit: {
+      enabled: false,
+      general: { windowMs: 15 * 60 * 1000, max: 100 },
+      contact: { windowMs: 60 * 60 * 1000, max: 5 }
+    },
+    logging: {
+      requests: false,
+      errors: false,
+      stackTraces: true
+    },
+    docs: false
+  }
+};
+
+// Build the config object used by createApp() and server.js
+// overrides let callers (e.g. tests) tweak single values without touching process.env
+const loadConfig = (profileName = process.env.NODE_ENV || 'development', overrides = {}) => {
+  const profile = profiles[profileName];
+
+  if (!profile) {
+    throw new Error(`Unknown profile "${profileName}". Use one of: ${Object.keys(profiles).join(', ')}`);
+  }
+
+  const corsOrigins = process.env.CORS_ORIGINS
+    ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+    : [...profile.corsOrigins];
+
+  // FRONTEND_URL is always allowed so a single deployment only needs that one variable
+  if (process.env.FRONTEND_URL && !corsOrigins.includes(process.env.FRONTEND_URL)) {
+    corsOrigins.push(process.env.FRONTEND_URL);
+  }
+
+  return {
+    profile: profileName,
+    port: parseInt(process.env.PORT, 10) || 5000,
+    mongoUri: process.env.MONGODB_URI || 'mongodb://localhost:27017/tangible-learning',
+    corsOrigins,
+    trustProxy: profile.trustProxy,
+    rateLimit: profile.rateLimit,
+    logging: profile.logging,
+    docs: profile.docs,
+    sla: {
+      checkIntervalMs: 5 * 60 * 1000, // look for missed deadlines every 5 minutes
+      atRiskWindowHours: parseInt(process.env.SLA_AT_RISK_HOURS, 10) || 4
+    },
+    captcha: {
+      // Off unless asked for - the frontend has to solve challenges before this is turned on
+      enabled: process.env.CAPTCHA_ENABLED === 'true',
+      type: process.env.CAPTCHA_TYPE === 'arithmetic' ? 'arithmetic' : 'pow',
+      // pow: leading zero bits of the hash (each extra bit doubles the work)
+      // arithmetic: number of terms to add up, minus one
+      difficulty: parseInt(process.env.CAPTCHA_DIFFICULTY, 10) ||
+        (process.env.CAPTCHA_TYPE === 'arithmetic' ? 2 : 18),
+      ttlSeconds: parseInt(process.env.CAPTCHA_TTL_SECONDS, 10) || 10 * 60
+    },
+    spam: {
+      // Submissions scoring at or above this go straight to the spam bucket
+      threshold: parseInt(process.env.SPAM_THRESHOLD, 10) || 60,
+      minFillSeconds: parseInt(process.env.SPAM_MIN_FILL_SECONDS, 10) || 3,
+      formTokenTtlHours: 24,
+      // Older frontends don't send a form token yet, so a missing one only counts a little
+      missingTokenScore: 10
+    },
+    attachments: {
+      // local = files on this server's disk, cloudinary = private Cloudinary uploads
+      driver: process.env.ATTACHMENT_STORAGE || 'local',
+      localDir: process.env.ATTACHMENT_DIR || 'uploads',
+      cloudinaryFolder: 'contact-attachments',
+      maxFileSize: (parseInt(process.env.ATTACHMENT_MAX_MB, 10) || 10) * 1024 * 1024,
+      maxFiles: parseInt(process.env.ATTACHMENT_MAX_FILES, 10) || 5,
+      allowedTypes: [
+        'application/pdf',
+        'image/png',
+        'image/jpeg',
+        'image/gif',
+        'image/webp',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-powerpoint',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+      ]
+    },
+    emailQueue: {
+      pollIntervalMs: 10 * 1000,
+      batchSize: 20,
+      // Retries wait 1 min, 2 min, 4 min ... up to an hour between attempts
+      baseDelayMs: 60 * 1000,
+      maxDelayMs: 60 * 60 * 1000
+    },
+    acknowledgement: {
+      // Email the submitter a reference number and expected response time (off unless asked for)
+      enabled: process.env.AUTO_ACK_ENABLED === 'true',
+      // At most one acknowledgement per address in this window, however often they submit
+      cooldownHours: parseInt(process.env.AUTO_ACK_COOLDOWN_HOURS, 10) || 24
+    },
+    trash: {
+      // Deleted contacts are kept this long before the purge job removes them for good
+      retentionDays: parseInt(process.env.CONTACT_TRASH_RETENTION_DAYS, 10) || 30,
+      purgeIntervalMs: 60 * 60 * 1000 // check once an hour
+    },
+    ...overrides
+  };
+};
+
+module.exports = { loadConfig, profiles };
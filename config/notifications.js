@@ -0,0 +1,34 @@
+// Events admins can subscribe to, and the channels they can be delivered over
+const NOTIFICATION_EVENTS = {
+  'contact.created': 'A new contact form submission arrives',
+  'contact.urgent': 'A contact is (or becomes) urgent priority',
+  'sla.breached': 'A contact misses its SLA deadline',
+  'contact.assigned': 'A contact is assigned to someone'
+};
+
+const NOTIFICATION_CHANNELS = ['email', 'webhook', 'slack', 'teams'];
+
+// Slack and Teams URLs must point at the vendor's incoming-webhook hosts.
+// Any other URL goes in the generic webhook channel, which needs settings:manage.
+const CHANNEL_HOSTS = {
+  slack: ['hooks.slack.com'],
+  teams: ['webhook.office.com', 'logic.azure.com', 'powerplatform.com']
+};
+
+// What an admin gets before they choose for themselves.
+// scope: all = every contact, mine = only contacts assigned to them
+const DEFAULT_SUBSCRIPTIONS = [
+  { event: 'contact.assigned', channels: ['email'], scope: 'mine' },
+  { event: 'sla.breached', channels: ['email'], scope: 'mine' }
+];
+
+// ADMIN_EMAIL (the shared inbox) keeps getting these, whatever the admins choose
+const ADMIN_INBOX_EVENTS = ['contact.created', 'sla.breached'];
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  CHANNEL_HOSTS,
+  DEFAULT_SUBSCRIPTIONS,
+  ADMIN_INBOX_EVENTS
+};
@@ -0,0 +1,29 @@
+// Every permission the API checks. Roles (stored in the Role collection) are sets of these.
+const PERMISSIONS = {
+  'contacts:read': 'View contacts and the dashboard',
+  'contacts:update': 'Change contact status, priority and tags',
+  'contacts:reply': 'Send email replies to contacts',
+  'contacts:delete': 'Delete contacts',
+  'contacts:export': 'Export contacts to CSV',
+  'admins:manage': 'Create and manage admin accounts and roles',
+  'audit:read': 'View the audit log',
+  'settings:manage': 'Change security and system settings'
+};
+
+// Roles created on first start. super_admin always keeps every permission.
+const DEFAULT_ROLES = [
+  {
+    name: 'super_admin',
+    description: 'Full access to everything',
+    permissions: Object.keys(PERMISSIONS),
+    isSystem: true
+  },
+  {
+    name: 'admin',
+    description: 'Handles contacts day to day',
+    permissions: ['contacts:read', 'contacts:update', 'contacts:reply', 'contacts:export'],
+    isSystem: true
+  }
+];
+
+module.exports = { PERMISSIONS, DEFAULT_ROLES };
@@ -0,0 +1,30 @@
+const { processQueue, setQueueWorker } = require('../utils/mailQueue');
+
+// Send queued emails now, whenever one is queued, and then on a timer.
+// Returns a function that stops it.
+const startEmailQueue = (settings) => {
+  let running = false;
+
+  const run = () => {
+    if (running) return;
+    running = true;
+
+    processQueue(settings)
+      .catch(error => console.error('Email queue error:', error))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  setQueueWorker(run);
+  run();
+  const timer = setInterval(run, settings.pollIntervalMs);
+  timer.unref();
+
+  return () => {
+    clearInterval(timer);
+    setQueueWorker(() => {});
+  };
+};
+
+module.exports = { startEmailQueue };
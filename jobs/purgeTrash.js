@@ -0,0 +1,42 @@
+const Contact = require('../models/Contact');
+const Message = require('../models/Message');
+const { removeAttachments } = require('../utils/attachmentStorage');
+
+// Permanently delete contacts that have been in the trash longer than the retention period
+// attachmentSettings = config.attachments (needed to delete the stored files)
+const purgeTrash = async (retentionDays, attachmentSettings) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+  const filter = { deletedAt: { $ne: null, $lt: cutoff } };
+
+  // Remove their conversation threads and attached files along with them
+  const contactIds = await Contact.find(filter).distinct('_id');
+  if (contactIds.length === 0) {
+    return 0;
+  }
+
+  await Message.deleteMany({ contact: { $in: contactIds } });
+  await removeAttachments(contactIds, attachmentSettings);
+  const result = await Contact.deleteMany({ _id: { $in: contactIds } }).setOptions({ withDeleted: true });
+
+  if (result.deletedCount > 0) {
+    console.log(`🗑️  Purged ${result.deletedCount} contact(s) deleted before ${cutoff.toISOString()}`);
+  }
+
+  return result.deletedCount;
+};
+
+// Run the purge now and then on a timer. Returns a function that stops it.
+const startTrashPurge = ({ retentionDays, purgeIntervalMs }, attachmentSettings) => {
+  const run = () => purgeTrash(retentionDays, attachmentSettings).catch(error => {
+    console.error('Trash purge error:', error);
+  });
+
+  run();
+  const timer = setInterval(run, purgeIntervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = { purgeTrash, startTrashPurge };
@@ -0,0 +1,58 @@
+const Contact = require('../models/Contact');
+const { OPEN_STATUSES } = require('../config/contactWorkflow');
+const { notify } = require('../utils/notificationDispatcher');
+
+// Find open contacts that just missed a deadline, flag them and send one escalation each
+const checkSlaBreaches = async () => {
+  const now = new Date();
+  let flagged = 0;
+
+  const checks = [
+    {
+      type: 'firstResponse',
+      filter: { firstRespondedAt: null, firstResponseDueAt: { $lt: now }, firstResponseBreachedAt: null },
+      flagField: 'firstResponseBreachedAt'
+    },
+    {
+      type: 'resolution',
+      filter: { resolvedAt: null, resolveDueAt: { $lt: now }, resolveBreachedAt: null },
+      flagField: 'resolveBreachedAt'
+    }
+  ];
+
+  for (const check of checks) {
+    const contacts = await Contact.find({ status: { $in: OPEN_STATUSES }, ...check.filter })
+      .populate('assignedTo', 'username fullName email isActive');
+
+    for (const contact of contacts) {
+      contact[check.flagField] = now;
+      await contact.save();
+      flagged += 1;
+
+      notify('sla.breached', { contact, details: { type: check.type } }).catch(error => {
+        console.error('Failed to send SLA breach notifications:', error);
+      });
+    }
+  }
+
+  if (flagged > 0) {
+    console.log(`⏰ Flagged ${flagged} SLA breach(es)`);
+  }
+
+  return flagged;
+};
+
+// Run the check now and then on a timer. Returns a function that stops it.
+const startSlaChecker = ({ checkIntervalMs }) => {
+  const run = () => checkSlaBreaches().catch(error => {
+    console.error('SLA check error:', error);
+  });
+
+  run();
+  const timer = setInterval(run, checkIntervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = { checkSlaBreaches, startSlaChecker };
@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const Role = require('../models/Role');
 
 // This middleware checks if the admin is logged in before allowing access to admin routes
 const authenticateAdmin = async (req, res, next) => {
@@ -17,6 +20,16 @@ const authenticateAdmin = async (req, res, next) => {
     // Verify the token
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
     
+    // Every access token belongs to a login session - reject it once the session is revoked
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+    if (!session || !session.isActive() || !session.admin.equals(decoded.id)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Session has ended, please log in again.'
+      });
+    }
+
     // Find the admin in database
     const admin = await Admin.findById(decoded.id);
     
@@ -32,7 +45,10 @@ const authenticateAdmin = async (req, res, next) => {
       id: admin._id,
       username: admin.username,
       email: admin.email,
-      role: admin.role
+      role: admin.role,
+      permissions: await Role.permissionsFor(admin.role),
+      twoFactorEnabled: admin.twoFactor.enabled,
+      sessionId: session._id
     };
 
     next(); // Continue to the next function
@@ -57,4 +73,47 @@ const authenticateAdmin = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateAdmin };
\ No newline at end of file
+// When super admins require 2FA for everyone, admins without it can only reach the 2FA setup routes
+// Use after authenticateAdmin
+const requireTwoFactorSetup = async (req, res, next) => {
+  try {
+    if (req.admin.twoFactorEnabled) {
+      return next();
+    }
+
+    const required = await Setting.getValue('security.requireTwoFactor', false);
+    if (!required) {
+      return next();
+    }
+
+    res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication must be set up before using the admin panel',
+      twoFactorSetupRequired: true
+    });
+  } catch (error) {
+    console.error('Two-factor policy check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authentication failed'
+    });
+  }
+};
+
+// Only let the request through if the admin has every listed permission
+// Use after authenticateAdmin, e.g. router.delete('/contacts/:id', authorize('contacts:delete'), ...)
+const authorize = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !req.admin.permissions.includes(permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to do this',
+      missingPermissions: missing
+    });
+  }
+
+  next();
+};
+
+module.exports = { authenticateAdmin, requireTwoFactorSetup, authorize };
\ No newline at end of file
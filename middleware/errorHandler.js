@@ -3,8 +3,12 @@ const errorHandler = (err, req, res, next) => {
   let error = { ...err };
   error.message = err.message;
 
+  const { logging } = req.app.locals.config || {};
+
   // Log error to console for debugging
-  console.error(err);
+  if (!logging || logging.errors) {
+    console.error(err);
+  }
 
   // Handle different types of errors
 
@@ -41,8 +45,8 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
-    // Only show error details in development
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+    // Only show error details when the active profile allows it
+    ...(logging && logging.stackTraces && { stack: err.stack })
   });
 };
 
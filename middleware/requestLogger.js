@@ -0,0 +1,13 @@
+// This middleware prints one line per request (method, URL, status and how long it took)
+const requestLogger = (req, res, next) => {
+  const startedAt = Date.now();
+
+  res.on('finish', () => {
+    const duration = Date.now() - startedAt;
+    console.log(`${req.method} ${req.originalUrl} ${res.statusCode} - ${duration}ms`);
+  });
+
+  next();
+};
+
+module.exports = { requestLogger };
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const { verifyMimeType } = require('../utils/fileType');
+
+// Uploads are streamed to a temporary folder rather than held in memory, because they arrive
+// before the form has been validated or the CAPTCHA checked. They are removed once the
+// response has gone out - utils/attachmentStorage.js copies the ones we keep.
+const TEMP_DIR = path.join(os.tmpdir(), 'tangible-uploads');
+
+// Enough of the start of a file to recognise its type (see utils/fileType.js)
+const HEADER_BYTES = 64;
+
+const readHeader = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_BYTES), 0, HEADER_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+const removeTempFiles = (files = []) => Promise.all(
+  files.map(file => fs.promises.rm(file.path, { force: true }))
+);
+
+// Parse multipart file uploads into req.files (each with a temporary `path`).
+// Limits and allowed types come from config.attachments. Plain JSON requests pass straight through.
+const parseAttachments = (fieldName = 'attachments') => (req, res, next) => {
+  const settings = req.app.locals.config.attachments;
+
+  const upload = multer({
+    dest: TEMP_DIR,
+    limits: {
+      fileSize: settings.maxFileSize,
+      files: settings.maxFiles
+    },
+    fileFilter: (req, file, cb) => {
+      if (!settings.allowedTypes.includes(file.mimetype)) {
+        const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+        error.message = `${file.originalname}: file type ${file.mimetype} is not allowed`;
+        return cb(error);
+      }
+      cb(null, true);
+    }
+  }).array(fieldName, settings.maxFiles);
+
+  res.once('close', () => {
+    removeTempFiles(req.files).catch(error => {
+      console.error('Failed to remove temporary uploads:', error);
+    });
+  });
+
+  upload(req, res, async (error) => {
+    if (error) {
+      const messages = {
+        LIMIT_FILE_SIZE: `Each file must be smaller than ${Math.round(settings.maxFileSize / 1024 / 1024)} MB`,
+        LIMIT_FILE_COUNT: `You can attach at most ${settings.maxFiles} files`
+      };
+
+      return res.status(400).json({
+        success: false,
+        message: messages[error.code] || error.message || 'File upload failed'
+      });
+    }
+
+    try {
+      // Don't trust the browser's MIME type - check the file really is what it says
+      for (const file of req.files || []) {
+        const verifiedType = verifyMimeType(await readHeader(file.path), file.mimetype);
+        if (!verifiedType) {
+          return res.status(400).json({
+            success: false,
+            message: `${file.originalname}: file contents don't match its type`
+          });
+        }
+        file.mimetype = verifiedType;
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    next();
+  });
+};
+
+module.exports = { parseAttachments };
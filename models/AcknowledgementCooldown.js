@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// This defines the acknowledgement cooldown for one email address: while it lasts, further
+// submissions from that address don't get another acknowledgement email.
+const acknowledgementCooldownSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes the record once the cooldown is over
+acknowledgementCooldownSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Start a cooldown for this address, unless one is still running. Returns false if one is.
+// One atomic upsert, so two submissions arriving together can't both get an email: an expired
+// record is taken over, and a running one makes the insert hit the unique index.
+acknowledgementCooldownSchema.statics.claim = async function(email, cooldownHours) {
+  const now = new Date();
+  try {
+    await this.findOneAndUpdate(
+      { email: String(email).toLowerCase(), expiresAt: { $lte: now } },
+      { $set: { expiresAt: new Date(now.getTime() + cooldownHours * 60 * 60 * 1000) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Give the address back its acknowledgement, e.g. when the email couldn't be queued
+acknowledgementCooldownSchema.statics.release = function(email) {
+  return this.deleteOne({ email: String(email).toLowerCase() });
+};
+
+module.exports = mongoose.model('AcknowledgementCooldown', acknowledgementCooldownSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 // This defines the structure of admin users in your database
 const adminSchema = new mongoose.Schema({
@@ -31,9 +32,12 @@ const adminSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Full name cannot exceed 100 characters']
   },
+  // Name of a Role document - the role decides which permissions this admin has
   role: {
     type: String,
-    enum: ['admin', 'super_admin'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_]+$/, 'Role name can only contain lowercase letters, numbers, and underscores'],
     default: 'admin'
   },
   isActive: {
@@ -42,6 +46,63 @@ const adminSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
+  },
+  // Brute-force protection - see registerFailedLogin below
+  failedLoginCount: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Set when a super admin forces a reset - login is blocked until a new password is chosen
+  mustResetPassword: {
+    type: Boolean,
+    default: false
+  },
+  // Password reset - only a hash of the emailed token is kept
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Two-factor authentication (TOTP) - secrets and recovery codes never leave the database
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during setup, only moved to `secret` once the first code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP time step, so the same code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
   }
 }, {
   timestamps: true
@@ -56,6 +117,9 @@ adminSchema.pre('save', async function(next) {
     // Hash password with cost of 12 (very secure)
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -67,10 +131,118 @@ adminSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to update last login time
+// Method to update last login time (a successful login also clears failed attempts)
 adminSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
+  this.failedLoginCount = 0;
+  this.lockUntil = undefined;
+  return this.save();
+};
+
+// Lockout settings: after MAX_FAILED_LOGINS failures the account is locked, and every
+// further failure doubles the lock time (15 min, 30 min, 1 h ... up to 24 h)
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS, 10) || 5;
+const BASE_LOCK_MS = 15 * 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+// Method to check if the account is currently locked
+adminSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Copy values already written to the database onto a loaded document without marking
+// them as changed (a later save() would otherwise write them back over newer ones)
+const syncWritten = (doc, values) => {
+  Object.entries(values).forEach(([path, value]) => {
+    doc.set(path, value);
+    doc.unmarkModified(path);
+  });
+};
+
+// Method to record a failed login - returns true if this failure locked the account
+// The count is bumped in the database rather than saved from this copy, so failures
+// arriving at the same time all count
+adminSchema.methods.registerFailedLogin = async function() {
+  const now = new Date();
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginCount: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  );
+
+  const failedLoginCount = updated ? updated.failedLoginCount : (this.failedLoginCount || 0) + 1;
+  if (failedLoginCount < MAX_FAILED_LOGINS) {
+    syncWritten(this, { failedLoginCount, lastFailedLoginAt: now });
+    return false;
+  }
+
+  const lockMs = Math.min(BASE_LOCK_MS * 2 ** (failedLoginCount - MAX_FAILED_LOGINS), MAX_LOCK_MS);
+  const lockUntil = new Date(now.getTime() + lockMs);
+
+  // Only ever extend the lock - a slower request with a lower count mustn't shorten it
+  await this.constructor.updateOne(
+    { _id: this._id, lockUntil: { $not: { $gte: lockUntil } } },
+    { $set: { lockUntil } }
+  );
+
+  syncWritten(this, { failedLoginCount, lastFailedLoginAt: now, lockUntil });
+  return true;
+};
+
+// Method to mark a TOTP time step as used - returns false if that step (or a later one) was
+// already used. The check and the write are one update, so two requests with the same
+// code can't both get through
+adminSchema.methods.claimTotpStep = async function(step) {
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+        { 'twoFactor.lastUsedStep': null }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  if (result.modifiedCount !== 1) return false;
+
+  syncWritten(this, { 'twoFactor.lastUsedStep': step });
+  return true;
+};
+
+// Method to unlock the account (used by super admins)
+adminSchema.methods.unlock = function() {
+  this.failedLoginCount = 0;
+  this.lockUntil = undefined;
   return this.save();
 };
 
+// Method to create a password reset token - returns the plain token (to email), stores only its hash
+adminSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
+  return token;
+};
+
+// Recovery codes are stored hashed, like passwords
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+};
+
+// Method to replace all recovery codes with new ones (pass the plain codes, they are hashed here)
+adminSchema.methods.setRecoveryCodes = function(codes) {
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+};
+
+// Method to use up a recovery code - returns true if the code was valid and unused
+adminSchema.methods.consumeRecoveryCode = function(code) {
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hashRecoveryCode(code));
+
+  if (index === -1) return false;
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
 module.exports = mongoose.model('Admin', adminSchema);
\ No newline at end of file
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// This defines a file a visitor attached to a contact form submission.
+// The bytes live in a storage driver (utils/attachmentStorage.js); this is the record of where.
+const attachmentSchema = new mongoose.Schema({
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: [true, 'Contact is required']
+  },
+  // File name as uploaded - only ever used in the download's Content-Disposition
+  originalName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  // Verified from the file contents, not just what the browser claimed
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  sha256: {
+    type: String,
+    required: true
+  },
+  driver: {
+    type: String,
+    enum: ['local', 'cloudinary'],
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+attachmentSchema.index({ contact: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
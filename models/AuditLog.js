@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Kinds of record an entry can be about - add new ones here and the audit filter picks them up
+const TARGET_TYPES = ['contact', 'admin', 'role', 'tag', 'setting', 'session', 'form', 'email', 'email_template', 'macro'];
+
+// This defines one audit log entry - who did what to which record, and from where
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  // Copied in so the entry still reads well after the admin is renamed
+  actorUsername: String,
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Only the fields that changed, as they were before and after
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  metadata: mongoose.Schema.Types.Mixed,
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Create indexes for better performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// The audit log is append-only: existing entries can never be changed or removed through the app
+const refuseChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'].forEach(operation => {
+  auditLogSchema.pre(operation, refuseChange);
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.TARGET_TYPES = TARGET_TYPES;
@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { STATUSES, TRANSITIONS } = require('../config/contactWorkflow');
 
 // This defines the structure of contact form data in your database
 const contactSchema = new mongoose.Schema({
@@ -46,18 +48,112 @@ const contactSchema = new mongoose.Schema({
     trim: true,
     maxlength: [150, 'School name cannot exceed 150 characters']
   },
+  // Reference number given to the submitter, e.g. TL-240115-7K3Q (set when the contact is created)
+  reference: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // When the auto-acknowledgement email was queued
+  acknowledgedAt: {
+    type: Date
+  },
+  // Public form this came in through (unset for the original /api/contact endpoint)
+  form: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FormDefinition'
+  },
+  // Answers to form fields that have no column of their own, keyed by field name
+  formData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  // Names of Tag documents
+  tags: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    default: []
+  },
+  // Allowed moves between statuses are declared in config/contactWorkflow.js
   status: {
     type: String,
-    enum: ['new', 'read', 'replied', 'resolved'],
+    enum: STATUSES,
     default: 'new'
   },
+  // Every status change, oldest first - used for time-in-status reporting
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
     default: 'medium'
   },
+  // SLA deadlines (from the policy for this priority) and when we actually met them
+  firstResponseDueAt: Date,
+  resolveDueAt: Date,
+  firstRespondedAt: Date,
+  resolvedAt: Date,
+  // Set by the SLA checker when a deadline is missed, so escalation only happens once
+  firstResponseBreachedAt: Date,
+  resolveBreachedAt: Date,
+  // Names of the triage rules that fired when the contact was submitted
+  triageRules: {
+    type: [String],
+    default: undefined
+  },
+  // Admin currently handling this enquiry (null = unassigned)
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  assignedAt: {
+    type: Date
+  },
   ipAddress: String,
-  userAgent: String
+  userAgent: String,
+  // Result of the spam pipeline (utils/spamFilter.js) at submission time
+  spamScore: {
+    type: Number,
+    default: 0
+  },
+  spamReasons: {
+    type: [String],
+    default: undefined
+  },
+  // Hash of the normalised message, used to spot the same text sent from many addresses
+  contentHash: {
+    type: String,
+    select: false
+  },
+  // Soft delete - deleted contacts sit in the trash until they are restored or purged
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
 }, {
   timestamps: true // Automatically adds createdAt and updatedAt
 });
@@ -66,5 +162,145 @@ const contactSchema = new mongoose.Schema({
 contactSchema.index({ email: 1 });
 contactSchema.index({ status: 1 });
 contactSchema.index({ createdAt: -1 });
+contactSchema.index({ deletedAt: 1 });
+contactSchema.index({ assignedTo: 1, status: 1 });
+contactSchema.index({ tags: 1 });
+contactSchema.index({ form: 1, createdAt: -1 });
+contactSchema.index({ contentHash: 1, createdAt: -1 });
+contactSchema.index({ status: 1, firstResponseDueAt: 1 });
+contactSchema.index({ status: 1, resolveDueAt: 1 });
+
+// Hide deleted contacts from every query unless the query asks about deletedAt itself
+// or opts in with .setOptions({ withDeleted: true })
+const excludeDeleted = function() {
+  if (this.getOptions().withDeleted) return;
+  if (this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+};
+
+contactSchema.pre(
+  ['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateOne', 'updateMany'],
+  excludeDeleted
+);
+
+// Same for aggregations (dashboard stats etc.)
+contactSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+// No 0/O or 1/I, so references are easy to read out over the phone
+const REFERENCE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+// Reference numbers look like TL-<yymmdd>-<4 random characters>
+const generateReference = (createdAt) => {
+  const date = (createdAt || new Date()).toISOString().slice(2, 10).replace(/-/g, '');
+  const suffix = Array.from(crypto.randomBytes(4), byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+  return `TL-${date}-${suffix}`;
+};
+
+// How many references to try before giving up on saving a new contact
+const REFERENCE_ATTEMPTS = 5;
+
+// Give new contacts a reference number
+contactSchema.pre('validate', function(next) {
+  if (this.isNew && !this.reference) {
+    this.reference = generateReference(this.createdAt);
+  }
+  next();
+});
+
+// Method to save a new contact - with only 4 random characters per day two submissions can
+// draw the same reference, so pick another one and try again instead of losing the enquiry
+contactSchema.methods.saveNew = async function() {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await this.save();
+    } catch (error) {
+      const referenceTaken = error.code === 11000 && error.keyPattern && error.keyPattern.reference;
+      if (!referenceTaken || attempt >= REFERENCE_ATTEMPTS) throw error;
+
+      this.reference = generateReference(this.createdAt);
+    }
+  }
+};
+
+// Record the starting status of new contacts
+contactSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, changedAt: new Date() });
+  }
+  next();
+});
+
+// Method to check a status change against the workflow
+// Returns null if allowed, otherwise a message explaining why not
+contactSchema.methods.checkTransition = function(to, reason) {
+  if (to === this.status) return null;
+
+  const rule = (TRANSITIONS[this.status] || {})[to];
+  if (!rule) {
+    const allowed = Object.keys(TRANSITIONS[this.status] || {});
+    return `Cannot change status from "${this.status}" to "${to}". Allowed: ${allowed.join(', ') || 'none'}`;
+  }
+
+  if (rule.requiresReason && !(reason && reason.trim())) {
+    return `A reason is required to change status from "${this.status}" to "${to}"`;
+  }
+
+  return null;
+};
+
+// Method to change status and record it in the history (call checkTransition first, then save)
+// Returns false when the status was already `to`
+contactSchema.methods.applyTransition = function(to, { changedBy, reason } = {}) {
+  if (to === this.status) return false;
+
+  // Contacts from before status history existed (or not saved yet) - record where they started
+  if (this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, changedAt: this.createdAt || new Date() });
+  }
+
+  this.statusHistory.push({ from: this.status, to, changedBy, reason, changedAt: new Date() });
+  this.status = to;
+
+  // Keep the SLA resolution clock in step with the status
+  if (to === 'resolved' || to === 'closed') {
+    this.resolvedAt = this.resolvedAt || new Date();
+  } else if (to === 'reopened' || to === 'awaiting_response') {
+    this.resolvedAt = undefined;
+  }
+
+  return true;
+};
+
+// Method to work out how long the contact spent in each status (milliseconds)
+contactSchema.methods.getTimeInStatus = function(now = new Date()) {
+  const history = this.statusHistory.length > 0
+    ? this.statusHistory
+    : [{ to: this.status, changedAt: this.createdAt }];
+
+  return history.reduce((totals, entry, index) => {
+    const next = history[index + 1];
+    const end = next ? next.changedAt : now;
+    totals[entry.to] = (totals[entry.to] || 0) + (end - entry.changedAt);
+    return totals;
+  }, {});
+};
+
+// Method to move a contact to the trash
+contactSchema.methods.softDelete = function(adminId) {
+  this.deletedAt = new Date();
+  this.deletedBy = adminId;
+  return this.save();
+};
+
+// Method to take a contact back out of the trash
+contactSchema.methods.restore = function() {
+  this.deletedAt = null;
+  this.deletedBy = undefined;
+  return this.save();
+};
 
 module.exports = mongoose.model('Contact', contactSchema);
\ No newline at end of file
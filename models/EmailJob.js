@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// This defines one outgoing email waiting in (or done with) the mail queue.
+// jobs/emailQueue.js sends pending jobs and retries failures with exponential backoff;
+// after maxAttempts a job is dead-lettered until an admin retries or cancels it.
+const emailJobSchema = new mongoose.Schema({
+  // What kind of email this is - for filtering in the admin panel
+  kind: {
+    type: String,
+    enum: ['contact_notification', 'reply', 'password_reset', 'account_locked', 'sla_breach', 'event_notification', 'auto_acknowledgement'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'retrying', 'sent', 'dead', 'cancelled'],
+    default: 'pending'
+  },
+  // Passed straight to nodemailer's sendMail()
+  mailOptions: {
+    from: String,
+    to: String,
+    subject: String,
+    html: String,
+    text: String,
+    replyTo: String,
+    messageId: String
+  },
+  // Emails with secrets in them (reset links) are redacted in the API and wiped once sent,
+  // dead or cancelled
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is sending, so two workers never send the same job
+  lockedAt: Date,
+  lastError: String,
+  // Every failed attempt, oldest first
+  attemptLog: [{
+    _id: false,
+    at: Date,
+    message: String
+  }],
+  sentAt: Date,
+  providerMessageId: String,
+  // What the email belongs to, so sending can update it
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+emailJobSchema.index({ createdAt: -1 });
+emailJobSchema.index({ contact: 1 });
+
+module.exports = mongoose.model('EmailJob', emailJobSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TEMPLATES, TEMPLATE_KEYS } = require('../config/emailTemplates');
+const { parse } = require('../utils/templateRenderer');
+
+// This defines an admin's edited version of one of the built-in email templates
+// (config/emailTemplates.js). Only edited templates are stored; the rest use the built-in version.
+const emailTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: TEMPLATE_KEYS
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [300, 'Subject cannot exceed 300 characters']
+  },
+  html: {
+    type: String,
+    required: [true, 'HTML body is required'],
+    maxlength: [100000, 'HTML body cannot exceed 100000 characters']
+  },
+  // Left empty, the text version is made from the HTML
+  text: {
+    type: String,
+    maxlength: [50000, 'Text body cannot exceed 50000 characters']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// Refuse templates that wouldn't render (e.g. a {{#section}} that is never closed)
+emailTemplateSchema.pre('validate', function(next) {
+  ['subject', 'html', 'text'].forEach(part => {
+    try {
+      parse(this[part] || '');
+    } catch (error) {
+      this.invalidate(part, `${part}: ${error.message}`);
+    }
+  });
+  next();
+});
+
+// The template to use for a key: the edited one if there is one, otherwise the built-in one
+emailTemplateSchema.statics.resolve = async function(key) {
+  const custom = await this.findOne({ key });
+  const builtIn = DEFAULT_TEMPLATES[key];
+
+  if (custom) {
+    return { key, subject: custom.subject, html: custom.html, text: custom.text || '', isCustom: true };
+  }
+  return { key, subject: builtIn.subject, html: builtIn.html, text: builtIn.text, isCustom: false };
+};
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const { DEFAULT_FORMS } = require('../config/forms');
+const { isSafePattern } = require('../utils/formValidator');
+
+const FIELD_TYPES = ['text', 'textarea', 'email', 'phone', 'number', 'date', 'select', 'checkbox'];
+
+// This defines a public form (contact, demo request, workshop booking ...).
+// Submissions are checked against `fields` and stored as contacts linked to the form.
+const formDefinitionSchema = new mongoose.Schema({
+  // Used in the URL: /api/forms/:slug
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug can only contain lowercase letters, numbers and dashes']
+  },
+  name: {
+    type: String,
+    required: [true, 'Form name is required'],
+    trim: true,
+    maxlength: [100, 'Form name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  fields: {
+    type: [{
+      _id: false,
+      name: {
+        type: String,
+        required: true,
+        match: [/^[a-zA-Z][a-zA-Z0-9_]*$/, 'Field names must start with a letter and use only letters, numbers and _']
+      },
+      label: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [100, 'Label cannot exceed 100 characters']
+      },
+      type: {
+        type: String,
+        enum: FIELD_TYPES,
+        required: true
+      },
+      required: {
+        type: Boolean,
+        default: false
+      },
+      // Length limits for text fields, value limits for number fields
+      minLength: Number,
+      maxLength: Number,
+      min: Number,
+      max: Number,
+      // Regular expression a text value must match (only values up to 256 characters can match)
+      pattern: String,
+      // Choices for select fields
+      options: {
+        type: [String],
+        default: undefined
+      },
+      placeholder: String,
+      helpText: String
+    }],
+    validate: [fields => fields.length > 0, 'A form needs at least one field']
+  },
+  // Shown to the visitor after a successful submission
+  successMessage: {
+    type: String,
+    trim: true,
+    default: 'Thank you for your message! We will get back to you soon.'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// Every submission becomes a contact, so every form needs a required name and email field
+formDefinitionSchema.pre('validate', function(next) {
+  const problems = [];
+
+  const names = this.fields.map(field => field.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    problems.push(`Field "${duplicate}" is defined more than once`);
+  }
+
+  const nameField = this.fields.find(field => field.name === 'name');
+  const emailField = this.fields.find(field => field.name === 'email');
+  if (!nameField || !nameField.required) {
+    problems.push('Forms need a required "name" field');
+  }
+  if (!emailField || !emailField.required || emailField.type !== 'email') {
+    problems.push('Forms need a required "email" field of type email');
+  }
+
+  this.fields.forEach(field => {
+    if (field.type === 'select' && (!field.options || field.options.length === 0)) {
+      problems.push(`Select field "${field.name}" needs at least one option`);
+    }
+    if (field.pattern) {
+      try {
+        new RegExp(field.pattern);
+        if (!isSafePattern(field.pattern)) {
+          problems.push(`Field "${field.name}" has a pattern with nested repetition or backreferences, which could hang the server`);
+        }
+      } catch (error) {
+        problems.push(`Field "${field.name}" has an invalid pattern`);
+      }
+    }
+  });
+
+  if (problems.length > 0) {
+    this.invalidate('fields', problems.join('; '));
+  }
+
+  next();
+});
+
+// What the frontend needs to render the form
+formDefinitionSchema.methods.toPublicJSON = function() {
+  return {
+    slug: this.slug,
+    name: this.name,
+    description: this.description,
+    fields: this.fields.map(field => field.toObject()),
+    successMessage: this.successMessage
+  };
+};
+
+// Create the built-in forms on first start (existing ones are left as they are)
+formDefinitionSchema.statics.ensureDefaults = async function() {
+  for (const form of DEFAULT_FORMS) {
+    const exists = await this.exists({ slug: form.slug });
+    if (!exists) {
+      await this.create(form);
+    }
+  }
+};
+
+module.exports = mongoose.model('FormDefinition', formDefinitionSchema);
+module.exports.FIELD_TYPES = FIELD_TYPES;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { parse } = require('../utils/templateRenderer');
+
+// Statuses a macro can leave the contact in after the reply (instead of the usual "replied")
+const MACRO_STATUSES = ['replied', 'resolved', 'closed'];
+
+// This defines a canned reply ("macro") admins can send from the reply box.
+// Shared macros are visible to everyone who can reply; personal ones only to their owner.
+// subject and body can use the email template placeholders, e.g. {{contact.name}} (see utils/replyMacros.js)
+const macroSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Macro name is required'],
+    trim: true,
+    maxlength: [100, 'Macro name cannot exceed 100 characters']
+  },
+  // Left empty, the reply keeps the contact's own subject
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Macro text is required'],
+    maxlength: [5000, 'Macro text cannot exceed 5000 characters']
+  },
+  scope: {
+    type: String,
+    enum: ['shared', 'personal'],
+    default: 'personal'
+  },
+  // Set for personal macros only
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  // Applied to the contact when the macro is sent
+  actions: {
+    status: {
+      type: String,
+      enum: MACRO_STATUSES
+    },
+    tags: {
+      type: [String],
+      default: []
+    }
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+macroSchema.index({ scope: 1, owner: 1, name: 1 });
+
+macroSchema.pre('validate', function(next) {
+  if (this.scope === 'personal' && !this.owner) {
+    this.invalidate('owner', 'Personal macros need an owner');
+  }
+  if (this.scope === 'shared') {
+    this.owner = undefined;
+  }
+
+  // Refuse placeholders that wouldn't render (e.g. a {{#section}} that is never closed)
+  ['subject', 'body'].forEach(part => {
+    try {
+      parse(this[part] || '');
+    } catch (error) {
+      this.invalidate(part, `${part}: ${error.message}`);
+    }
+  });
+
+  next();
+});
+
+// Whether an admin can see and send this macro
+macroSchema.methods.isVisibleTo = function(adminId) {
+  return this.scope === 'shared' || String(this.owner) === String(adminId);
+};
+
+// Whether sending this macro changes the contact (which needs contacts:update)
+macroSchema.methods.hasActions = function() {
+  return Boolean(this.actions && (this.actions.status || (this.actions.tags && this.actions.tags.length > 0)));
+};
+
+module.exports = mongoose.model('Macro', macroSchema);
+module.exports.MACRO_STATUSES = MACRO_STATUSES;
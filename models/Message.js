@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// This defines one entry in a contact's conversation thread:
+// an email reply we sent, an email the customer sent back, or an internal note that is never emailed
+const messageSchema = new mongoose.Schema({
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: [true, 'Contact is required']
+  },
+  type: {
+    type: String,
+    enum: ['reply', 'inbound', 'note'],
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['outbound', 'inbound', 'internal'],
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Message body is required'],
+    trim: true,
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
+  },
+  // Sender of inbound emails
+  fromAddress: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Inbound emails only: false when the sender isn't the contact's own address. The matching
+  // headers and reply address can be forged, so these are kept but don't change the status.
+  senderVerified: {
+    type: Boolean
+  },
+  // Email delivery - only used for outbound replies
+  deliveryStatus: {
+    type: String,
+    enum: ['pending', 'sent', 'failed']
+  },
+  deliveryError: String,
+  emailMessageId: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+messageSchema.index({ contact: 1, createdAt: 1 });
+messageSchema.index({ emailMessageId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('Message', messageSchema);
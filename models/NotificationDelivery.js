@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS } = require('../config/notifications');
+
+// This defines one attempt to deliver a notification over one channel - successful or not
+const notificationDeliverySchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: [...Object.keys(NOTIFICATION_EVENTS), 'test'],
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: NOTIFICATION_CHANNELS,
+    required: true
+  },
+  // Who it was for (empty = the shared ADMIN_EMAIL inbox)
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  // Email address, or the host of the webhook URL (never the full URL - it is a secret)
+  target: String,
+  // queued = handed to the mail queue (see emailJob for how that went)
+  status: {
+    type: String,
+    enum: ['sent', 'queued', 'failed'],
+    required: true
+  },
+  emailJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailJob'
+  },
+  responseStatus: Number,
+  error: String,
+  durationMs: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Create indexes for better performance
+notificationDeliverySchema.index({ admin: 1, createdAt: -1 });
+notificationDeliverySchema.index({ status: 1, createdAt: -1 });
+// MongoDB removes delivery records after 90 days
+notificationDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS } = require('../config/notifications');
+
+// This defines where an admin wants to be told about things, and which things.
+// Admins without one get DEFAULT_SUBSCRIPTIONS from config/notifications.js
+const notificationPreferenceSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+    unique: true
+  },
+  channels: {
+    // Email goes to the admin's own address
+    email: {
+      enabled: {
+        type: Boolean,
+        default: true
+      }
+    },
+    // Generic JSON POST, signed with `secret` when one is set
+    webhook: {
+      url: String,
+      secret: {
+        type: String,
+        select: false
+      }
+    },
+    // Slack and Teams incoming-webhook URLs
+    slack: {
+      url: String
+    },
+    teams: {
+      url: String
+    }
+  },
+  subscriptions: [{
+    _id: false,
+    event: {
+      type: String,
+      enum: Object.keys(NOTIFICATION_EVENTS),
+      required: true
+    },
+    channels: [{
+      type: String,
+      enum: NOTIFICATION_CHANNELS
+    }],
+    // all = every contact, mine = only contacts assigned to this admin
+    scope: {
+      type: String,
+      enum: ['all', 'mine'],
+      default: 'all'
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
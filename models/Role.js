@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+// This defines a role - a named set of permissions that admins are given
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Role name cannot exceed 30 characters'],
+    match: [/^[a-z0-9_]+$/, 'Role name can only contain lowercase letters, numbers, and underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: Object.keys(PERMISSIONS)
+    }],
+    default: []
+  },
+  // Built-in roles can be edited but not deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// super_admin must never lose its permissions, otherwise nobody could fix the roles again
+roleSchema.pre('save', function(next) {
+  if (this.name === 'super_admin') {
+    this.permissions = Object.keys(PERMISSIONS);
+  }
+  next();
+});
+
+// Create the built-in roles if they are missing (safe to call on every start)
+roleSchema.statics.ensureDefaults = async function() {
+  for (const role of DEFAULT_ROLES) {
+    const exists = await this.exists({ name: role.name });
+    if (!exists) {
+      await this.create(role);
+    }
+  }
+};
+
+// Look up the permissions of a role by name, falling back to the built-in definition
+roleSchema.statics.permissionsFor = async function(name) {
+  const role = await this.findOne({ name }).lean();
+  if (role) {
+    return name === 'super_admin' ? Object.keys(PERMISSIONS) : role.permissions;
+  }
+
+  const builtIn = DEFAULT_ROLES.find(r => r.name === name);
+  return builtIn ? builtIn.permissions : [];
+};
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// This defines a login session - one per successful login, holding the current refresh token
+const sessionSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Admin is required']
+  },
+  // Only a SHA-256 hash of the refresh token is stored, never the token itself
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of refresh tokens that were already rotated out - seeing one again means reuse
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse_detected', 'password_changed', 'admin_action']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+sessionSchema.index({ admin: 1, revokedAt: 1 });
+// MongoDB removes sessions automatically a day after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// A session can be used while it is neither revoked nor expired
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to revoke this session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Revoke every open session of an admin (e.g. after a password change)
+// exceptSessionId keeps one session open - the one making the change
+sessionSchema.statics.revokeAllForAdmin = function(adminId, reason = 'admin_action', exceptSessionId) {
+  const filter = { admin: adminId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(
+    filter,
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
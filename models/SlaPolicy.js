@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Default targets (in minutes) used until super admins change them
+const DEFAULT_POLICIES = [
+  { priority: 'urgent', firstResponseMinutes: 60, resolveMinutes: 24 * 60 },
+  { priority: 'high', firstResponseMinutes: 4 * 60, resolveMinutes: 3 * 24 * 60 },
+  { priority: 'medium', firstResponseMinutes: 24 * 60, resolveMinutes: 7 * 24 * 60 },
+  { priority: 'low', firstResponseMinutes: 3 * 24 * 60, resolveMinutes: 14 * 24 * 60 }
+];
+
+// This defines the SLA for one contact priority - how fast we promise to reply and to resolve
+const slaPolicySchema = new mongoose.Schema({
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    required: [true, 'Priority is required'],
+    unique: true
+  },
+  firstResponseMinutes: {
+    type: Number,
+    required: [true, 'First response time is required'],
+    min: [1, 'First response time must be at least 1 minute']
+  },
+  resolveMinutes: {
+    type: Number,
+    required: [true, 'Resolution time is required'],
+    min: [1, 'Resolution time must be at least 1 minute']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Create the default policies if they are missing (safe to call on every start)
+slaPolicySchema.statics.ensureDefaults = async function() {
+  for (const policy of DEFAULT_POLICIES) {
+    const exists = await this.exists({ priority: policy.priority });
+    if (!exists) {
+      await this.create(policy);
+    }
+  }
+};
+
+// Look up the policy for a priority, falling back to the default
+slaPolicySchema.statics.forPriority = async function(priority) {
+  const policy = await this.findOne({ priority }).lean();
+  return policy || DEFAULT_POLICIES.find(p => p.priority === priority) || null;
+};
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// This defines a tag that can be put on contacts (e.g. "demo-request", "pricing")
+// Contacts store tag names, so renaming a tag also updates the contacts that use it
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [40, 'Tag name cannot exceed 40 characters'],
+    match: [/^[a-z0-9][a-z0-9 _-]*$/, 'Tag name can only contain letters, numbers, spaces, dashes, and underscores']
+  },
+  color: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^#[0-9a-f]{6}$/, 'Color must be a hex value like #1a2b3c'],
+    default: '#6c757d'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Tag', tagSchema);
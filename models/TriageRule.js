@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const CONDITION_FIELDS = ['subject', 'message', 'text', 'emailDomain', 'company', 'school', 'phone'];
+const CONDITION_OPERATORS = ['contains', 'equals', 'ends_with', 'present', 'absent'];
+
+// This defines an automatic triage rule, run against every new contact form submission.
+// Rules run in `order`; when the conditions match, the actions are applied to the contact.
+const triageRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // all = every condition must match, any = one is enough
+  matchMode: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  conditions: {
+    type: [{
+      _id: false,
+      // text = subject and message together; emailDomain = the part after @
+      field: {
+        type: String,
+        enum: CONDITION_FIELDS,
+        required: true
+      },
+      operator: {
+        type: String,
+        enum: CONDITION_OPERATORS,
+        required: true
+      },
+      // Matching any one value is enough (not used by present/absent)
+      values: {
+        type: [String],
+        default: []
+      }
+    }],
+    validate: [conditions => conditions.length > 0, 'A rule needs at least one condition']
+  },
+  actions: {
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'urgent']
+    },
+    tags: {
+      type: [String],
+      default: []
+    },
+    assignTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    status: {
+      type: String,
+      enum: ['read', 'resolved', 'spam']
+    }
+  },
+  // Don't run any later rules once this one has matched
+  stopProcessing: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+triageRuleSchema.index({ enabled: 1, order: 1 });
+
+module.exports = mongoose.model('TriageRule', triageRuleSchema);
+module.exports.CONDITION_FIELDS = CONDITION_FIELDS;
+module.exports.CONDITION_OPERATORS = CONDITION_OPERATORS;
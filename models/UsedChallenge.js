@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// This defines a used contact-form challenge. Each challenge nonce can only be tried once;
+// the record only needs to live until the challenge would have expired anyway.
+const usedChallengeSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// MongoDB removes the record once the challenge has expired
+usedChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Mark a nonce as used. Returns false if it was already used (a replay)
+usedChallengeSchema.statics.claim = async function(nonce, expiresAt) {
+  try {
+    await this.create({ nonce, expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('UsedChallenge', usedChallengeSchema);
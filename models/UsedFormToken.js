@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// This defines a form token that was already submitted. Each token is good for one
+// submission; the record only needs to live until the token would have expired anyway.
+const usedFormTokenSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// MongoDB removes the record once the token has expired
+usedFormTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Mark a token nonce as used. Returns false if it was already used (a replay)
+usedFormTokenSchema.statics.claim = async function(nonce, expiresAt) {
+  try {
+    await this.create({ nonce, expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('UsedFormToken', usedFormTokenSchema);
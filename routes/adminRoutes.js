@@ -2,19 +2,35 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Contact = require('../models/Contact');
 const Admin = require('../models/Admin');
-const { authenticateAdmin } = require('../middleware/auth');
+const Message = require('../models/Message');
+const Tag = require('../models/Tag');
+const Attachment = require('../models/Attachment');
+const Macro = require('../models/Macro');
+const { authenticateAdmin, requireTwoFactorSetup, authorize } = require('../middleware/auth');
 const { sendReplyEmail } = require('../utils/emailService');
+const { recordAudit, diffFields } = require('../utils/auditLogger');
+const { getAutoAssignSettings, saveAutoAssignSettings } = require('../utils/autoAssign');
+const { STATUSES, TRANSITIONS, OPEN_STATUSES } = require('../config/contactWorkflow');
+const { applySlaPolicy, getSlaSummary } = require('../utils/sla');
+const { getStorageDriver } = require('../utils/attachmentStorage');
+const { notify } = require('../utils/notificationDispatcher');
+const { renderMacro } = require('../utils/replyMacros');
 const router = express.Router();
 
-// All admin routes require authentication
-router.use(authenticateAdmin);
+// All admin routes require authentication (and 2FA when the policy demands it)
+router.use(authenticateAdmin, requireTwoFactorSetup);
+
+// Spam stays out of the inbox and the numbers unless asked for
+const NOT_SPAM = { status: { $ne: 'spam' } };
 
 // GET /api/admin/dashboard - Get dashboard data (stats, recent contacts, etc.)
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', authorize('contacts:read'), async (req, res) => {
   try {
-    // Get contact statistics
-    const totalContacts = await Contact.countDocuments();
+    // Get contact statistics - spam is only counted on its own
+    const totalContacts = await Contact.countDocuments(NOT_SPAM);
+    const spamContacts = await Contact.countDocuments({ status: 'spam' });
     const todayContacts = await Contact.countDocuments({
+      ...NOT_SPAM,
       createdAt: {
         $gte: new Date(new Date().setHours(0, 0, 0, 0))
       }
@@ -22,6 +38,9 @@ router.get('/dashboard', async (req, res) => {
 
     // Get contacts by status
     const statusStats = await Contact.aggregate([
+      {
+        $match: NOT_SPAM
+      },
       {
         $group: {
           _id: '$status',
@@ -31,13 +50,16 @@ router.get('/dashboard', async (req, res) => {
     ]);
 
     // Get recent contacts
-    const recentContacts = await Contact.find()
+    const recentContacts = await Contact.find(NOT_SPAM)
       .sort({ createdAt: -1 })
       .limit(5)
       .select('name email subject status createdAt priority');
 
     // Get contacts by priority
     const priorityStats = await Contact.aggregate([
+      {
+        $match: NOT_SPAM
+      },
       {
         $group: {
           _id: '$priority',
@@ -46,6 +68,63 @@ router.get('/dashboard', async (req, res) => {
       }
     ]);
 
+    // Get contacts per tag
+    const tagStats = await Contact.aggregate([
+      {
+        $match: NOT_SPAM
+      },
+      {
+        $unwind: '$tags'
+      },
+      {
+        $group: {
+          _id: '$tags',
+          count: { $sum: 1 }
+        }
+      },
+      {
+        $sort: { count: -1 }
+      }
+    ]);
+
+    // Get open contacts per assignee - the team's workload
+    const workload = await Contact.aggregate([
+      {
+        $match: {
+          status: { $in: OPEN_STATUSES }
+        }
+      },
+      {
+        $group: {
+          _id: '$assignedTo',
+          count: { $sum: 1 }
+        }
+      },
+      {
+        $lookup: {
+          from: 'admins',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'admin'
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          adminId: '$_id',
+          username: { $first: '$admin.username' },
+          fullName: { $first: '$admin.fullName' },
+          open: '$count'
+        }
+      },
+      {
+        $sort: { open: -1 }
+      }
+    ]);
+
+    // SLA compliance over the last 30 days, and open contacts close to (or past) a deadline
+    const sla = await getSlaSummary(req.app.locals.config.sla.atRiskWindowHours);
+
     // Get monthly trends (last 6 months)
     const sixMonthsAgo = new Date();
     sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
@@ -53,6 +132,7 @@ router.get('/dashboard', async (req, res) => {
     const monthlyTrends = await Contact.aggregate([
       {
         $match: {
+          ...NOT_SPAM,
           createdAt: { $gte: sixMonthsAgo }
         }
       },
@@ -76,6 +156,7 @@ router.get('/dashboard', async (req, res) => {
         stats: {
           total: totalContacts,
           today: todayContacts,
+          spam: spamContacts,
           byStatus: statusStats.reduce((acc, item) => {
             acc[item._id] = item.count;
             return acc;
@@ -86,7 +167,14 @@ router.get('/dashboard', async (req, res) => {
           acc[item._id] = item.count;
           return acc;
         }, {}),
-        monthlyTrends
+        monthlyTrends,
+        tagStats: tagStats.reduce((acc, item) => {
+          acc[item._id] = item.count;
+          return acc;
+        }, {}),
+        // adminId null = unassigned
+        workload,
+        sla
       }
     });
 
@@ -100,12 +188,20 @@ router.get('/dashboard', async (req, res) => {
 });
 
 // GET /api/admin/contacts - Get all contacts with filtering and pagination
-router.get('/contacts', [
+router.get('/contacts', authorize('contacts:read'), [
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
-  query('status').optional().isIn(['new', 'read', 'replied', 'resolved']),
+  query('status').optional().isIn(STATUSES),
   query('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
-  query('search').optional().trim()
+  query('assigned')
+    .optional()
+    .custom(value => ['mine', 'unassigned'].includes(value) || /^[a-f0-9]{24}$/.test(value))
+    .withMessage('assigned must be "mine", "unassigned" or an admin ID'),
+  // ?tags=a&tags=b arrives as an array - only the comma-separated form is supported
+  query('tags').optional().isString().withMessage('tags must be a comma-separated list').trim().toLowerCase(),
+  query('tagMode').optional().isIn(['any', 'all']),
+  query('form').optional().isMongoId().withMessage('form must be a form ID'),
+  query('search').optional().isString().withMessage('search must be a single value').trim()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -124,21 +220,39 @@ router.get('/contacts', [
     // Build filter object
     let filter = {};
     
-    if (req.query.status) {
-      filter.status = req.query.status;
-    }
+    // Spam only shows up when asked for with status=spam
+    filter.status = req.query.status || NOT_SPAM.status;
     
     if (req.query.priority) {
       filter.priority = req.query.priority;
     }
 
+    if (req.query.assigned === 'mine') {
+      filter.assignedTo = req.admin.id;
+    } else if (req.query.assigned === 'unassigned') {
+      filter.assignedTo = null;
+    } else if (req.query.assigned) {
+      filter.assignedTo = req.query.assigned;
+    }
+
+    // ?tags=pricing,demo-request - any of them by default, or all of them with tagMode=all
+    if (req.query.tags) {
+      const tags = req.query.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+      filter.tags = req.query.tagMode === 'all' ? { $all: tags } : { $in: tags };
+    }
+
+    if (req.query.form) {
+      filter.form = req.query.form;
+    }
+
     if (req.query.search) {
       filter.$or = [
         { name: { $regex: req.query.search, $options: 'i' } },
         { email: { $regex: req.query.search, $options: 'i' } },
         { subject: { $regex: req.query.search, $options: 'i' } },
         { message: { $regex: req.query.search, $options: 'i' } },
-        { company: { $regex: req.query.search, $options: 'i' } }
+        { company: { $regex: req.query.search, $options: 'i' } },
+        { reference: req.query.search.toUpperCase() }
       ];
     }
 
@@ -146,7 +260,9 @@ router.get('/contacts', [
     const contacts = await Contact.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
-      .limit(limit);
+      .limit(limit)
+      .populate('assignedTo', 'username fullName')
+      .populate('form', 'slug name');
 
     const total = await Contact.countDocuments(filter);
 
@@ -173,10 +289,79 @@ router.get('/contacts', [
   }
 });
 
-// GET /api/admin/contacts/:id - Get single contact by ID
-router.get('/contacts/:id', async (req, res) => {
+// GET /api/admin/workflow - Contact statuses and the allowed moves between them (for the frontend)
+router.get('/workflow', authorize('contacts:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      statuses: STATUSES,
+      openStatuses: OPEN_STATUSES,
+      transitions: TRANSITIONS
+    }
+  });
+});
+
+// GET /api/admin/contacts/trash - List deleted contacts waiting to be purged
+router.get('/contacts/trash', authorize('contacts:delete'), [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
   try {
-    const contact = await Contact.findById(req.params.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 10;
+    const skip = (page - 1) * limit;
+    const filter = { deletedAt: { $ne: null } };
+    const { retentionDays } = req.app.locals.config.trash;
+
+    const contacts = await Contact.find(filter)
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('deletedBy', 'username fullName');
+
+    const total = await Contact.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        contacts: contacts.map(contact => ({
+          ...contact.toObject(),
+          purgeAt: new Date(contact.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000)
+        })),
+        retentionDays,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch deleted contacts'
+    });
+  }
+});
+
+// GET /api/admin/contacts/:id - Get single contact by ID, with its conversation thread
+router.get('/contacts/:id', authorize('contacts:read'), async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.id)
+      .populate('form', 'slug name');
 
     if (!contact) {
       return res.status(404).json({
@@ -187,13 +372,26 @@ router.get('/contacts/:id', async (req, res) => {
 
     // Mark as read if it's new
     if (contact.status === 'new') {
-      contact.status = 'read';
+      contact.applyTransition('read', { changedBy: req.admin.id });
       await contact.save();
     }
 
+    // Full conversation: every reply we sent and every internal note, oldest first
+    const thread = await Message.find({ contact: contact._id })
+      .sort({ createdAt: 1 })
+      .populate('author', 'username fullName');
+
+    const attachments = await Attachment.find({ contact: contact._id }).sort({ createdAt: 1 });
+
     res.json({
       success: true,
-      data: contact
+      data: {
+        ...contact.toObject(),
+        thread,
+        attachments,
+        // Milliseconds spent in each status so far
+        timeInStatus: contact.getTimeInStatus()
+      }
     });
 
   } catch (error) {
@@ -205,11 +403,88 @@ router.get('/contacts/:id', async (req, res) => {
   }
 });
 
+// GET /api/admin/contacts/:id/attachments - Files attached to a contact submission
+router.get('/contacts/:id/attachments', authorize('contacts:read'), async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.id).select('_id');
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    const attachments = await Attachment.find({ contact: contact._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: attachments
+    });
+
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attachments'
+    });
+  }
+});
+
+// GET /api/admin/attachments/:id/download - Download an attachment
+router.get('/attachments/:id/download', authorize('contacts:read'), async (req, res) => {
+  try {
+    const attachment = await Attachment.findById(req.params.id).select('+storageKey');
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    // Attachments of trashed contacts stay hidden like the contact itself
+    const contact = await Contact.findById(attachment.contact).select('_id');
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const driver = getStorageDriver(req.app.locals.config.attachments, attachment.driver);
+    const stream = await driver.open(attachment.storageKey);
+
+    // Always download, never render in the browser
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    stream.on('error', (error) => {
+      console.error('Attachment stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download attachment'
+    });
+  }
+});
+
 // PUT /api/admin/contacts/:id - Update contact
-router.put('/contacts/:id', [
-  body('status').optional().isIn(['new', 'read', 'replied', 'resolved']),
+router.put('/contacts/:id', authorize('contacts:update'), [
+  body('status').optional().isIn(STATUSES),
+  body('statusReason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
   body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
-  body('tags').optional().isArray()
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('tags.*').isString().trim().toLowerCase()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -230,16 +505,73 @@ router.put('/contacts/:id', [
       });
     }
 
+    // Status changes must follow the workflow in config/contactWorkflow.js
+    if (req.body.status !== undefined) {
+      const problem = contact.checkTransition(req.body.status, req.body.statusReason);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+    }
+
+    // Only tags that exist in the tag list can be used
+    if (req.body.tags !== undefined) {
+      req.body.tags = [...new Set(req.body.tags)];
+      const known = await Tag.find({ name: { $in: req.body.tags } }).distinct('name');
+      const unknown = req.body.tags.filter(tag => !known.includes(tag));
+
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown tag(s): ${unknown.join(', ')}. Create them first.`
+        });
+      }
+    }
+
+    const before = contact.toObject();
+
+    if (req.body.status !== undefined) {
+      contact.applyTransition(req.body.status, {
+        changedBy: req.admin.id,
+        reason: req.body.statusReason
+      });
+    }
+
     // Update allowed fields
-    const allowedUpdates = ['status', 'priority', 'tags'];
+    const allowedUpdates = ['priority', 'tags'];
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
         contact[field] = req.body[field];
       }
     });
 
+    // A new priority means new SLA deadlines
+    const priorityChanged = contact.isModified('priority');
+    if (priorityChanged) {
+      await applySlaPolicy(contact);
+    }
+
     await contact.save();
 
+    if (priorityChanged && contact.priority === 'urgent') {
+      notify('contact.urgent', { contact }).catch(error => {
+        console.error('Failed to send urgent contact notifications:', error);
+      });
+    }
+
+    const changes = diffFields(before, contact.toObject(), ['status', ...allowedUpdates]);
+    if (changes) {
+      await recordAudit(req, {
+        action: 'contact.update',
+        targetType: 'contact',
+        targetId: contact._id,
+        changes,
+        metadata: req.body.statusReason ? { statusReason: req.body.statusReason } : undefined
+      });
+    }
+
     res.json({
       success: true,
       message: 'Contact updated successfully',
@@ -256,9 +588,16 @@ router.put('/contacts/:id', [
 });
 
 // POST /api/admin/contacts/:id/reply - Send email reply to contact
-router.post('/contacts/:id/reply', [
-  body('subject').trim().isLength({ min: 1, max: 200 }).withMessage('Subject must be between 1 and 200 characters'),
-  body('message').trim().isLength({ min: 1, max: 5000 }).withMessage('Message must be between 1 and 5000 characters')
+// With a macroId, the macro fills in the subject and message (either can still be sent to override it)
+// and its actions (status, tags) are applied to the contact
+router.post('/contacts/:id/reply', authorize('contacts:reply'), [
+  body('macroId').optional().isMongoId().withMessage('macroId must be a valid id'),
+  body('subject')
+    .if((value, { req }) => !req.body.macroId || value !== undefined)
+    .trim().isLength({ min: 1, max: 200 }).withMessage('Subject must be between 1 and 200 characters'),
+  body('message')
+    .if((value, { req }) => !req.body.macroId || value !== undefined)
+    .trim().isLength({ min: 1, max: 5000 }).withMessage('Message must be between 1 and 5000 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -279,16 +618,104 @@ router.post('/contacts/:id/reply', [
       });
     }
 
-    // Send reply email
-    await sendReplyEmail(contact, req.body.subject, req.body.message, req.admin.email);
+    let { subject, message } = req.body;
+    let macro = null;
+
+    if (req.body.macroId) {
+      macro = await Macro.findById(req.body.macroId);
+
+      if (!macro || !macro.isVisibleTo(req.admin.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Macro not found'
+        });
+      }
+
+      // Changing the status or tags is normally contacts:update
+      if (macro.hasActions() && !req.admin.permissions.includes('contacts:update')) {
+        return res.status(403).json({
+          success: false,
+          message: 'This macro changes the contact, which you do not have permission to do'
+        });
+      }
+
+      const rendered = await renderMacro(macro, contact, req.admin.id);
+      subject = subject || rendered.subject;
+      message = message || rendered.message;
+
+      if (subject.length > 200 || message.length > 5000 || !message) {
+        return res.status(400).json({
+          success: false,
+          message: 'The filled-in macro is empty or too long to send (max 200 characters subject, 5000 message)'
+        });
+      }
+    }
+
+    // Save the reply to the thread first, so it isn't lost even if sending fails
+    const reply = await Message.create({
+      contact: contact._id,
+      type: 'reply',
+      direction: 'outbound',
+      author: req.admin.id,
+      subject,
+      body: message,
+      deliveryStatus: 'pending'
+    });
+
+    // Queue the reply email - the queue retries if SMTP is down, and marks the thread entry
+    // sent (and records the first response for the SLA) once it is actually delivered
+    try {
+      const job = await sendReplyEmail(contact, subject, message, req.admin.email, reply._id);
+      reply.emailMessageId = job.mailOptions.messageId;
+      await reply.save();
+    } catch (error) {
+      reply.deliveryStatus = 'failed';
+      reply.deliveryError = error.message;
+      await reply.save();
+      throw error;
+    }
+
+    const before = { status: contact.status, tags: [...contact.tags] };
+
+    // Update contact status (only where the workflow allows it - e.g. a resolved contact stays resolved)
+    // A macro can ask for another status; when the workflow doesn't allow it, the usual move is made
+    const reason = macro ? `Reply macro "${macro.name}"` : undefined;
+    let targetStatus = 'replied';
+    if (macro && macro.actions.status && !contact.checkTransition(macro.actions.status, reason)) {
+      targetStatus = macro.actions.status;
+    }
+    if (!contact.checkTransition(targetStatus, reason)) {
+      contact.applyTransition(targetStatus, { changedBy: req.admin.id, reason });
+    }
+
+    // Only tags that still exist are added
+    if (macro && macro.actions.tags.length > 0) {
+      const known = await Tag.find({ name: { $in: macro.actions.tags } }).distinct('name');
+      contact.tags = [...new Set([...contact.tags, ...known])];
+    }
 
-    // Update contact status
-    contact.status = 'replied';
     await contact.save();
 
+    if (macro) {
+      await Macro.updateOne({ _id: macro._id }, { $inc: { useCount: 1 }, $set: { lastUsedAt: new Date() } });
+    }
+
+    await recordAudit(req, {
+      action: 'contact.reply',
+      targetType: 'contact',
+      targetId: contact._id,
+      changes: diffFields(before, { status: contact.status, tags: [...contact.tags] }, ['status', 'tags']),
+      metadata: {
+        subject,
+        messageId: reply._id,
+        ...(macro ? { macroId: macro._id, macroName: macro.name } : {})
+      }
+    });
+
     res.json({
       success: true,
-      message: 'Reply sent successfully'
+      message: 'Reply queued for sending',
+      data: reply
     });
 
   } catch (error) {
@@ -300,10 +727,238 @@ router.post('/contacts/:id/reply', [
   }
 });
 
-// DELETE /api/admin/contacts/:id - Delete contact
-router.delete('/contacts/:id', async (req, res) => {
+// PUT /api/admin/contacts/:id/assign - Assign (or reassign) a contact to an admin
+router.put('/contacts/:id/assign', authorize('contacts:update'), [
+  body('adminId').isMongoId().withMessage('adminId must be a valid admin ID')
+], async (req, res) => {
   try {
-    const contact = await Contact.findByIdAndDelete(req.params.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const contact = await Contact.findById(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    const assignee = await Admin.findOne({ _id: req.body.adminId, isActive: true });
+
+    if (!assignee) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assignee not found or inactive'
+      });
+    }
+
+    const previousAssignee = contact.assignedTo;
+    contact.assignedTo = assignee._id;
+    contact.assignedAt = new Date();
+    await contact.save();
+
+    if (String(previousAssignee) !== String(assignee._id)) {
+      notify('contact.assigned', { contact, details: { assignedBy: req.admin.id } }).catch(error => {
+        console.error('Failed to send assignment notifications:', error);
+      });
+    }
+
+    await recordAudit(req, {
+      action: previousAssignee ? 'contact.reassign' : 'contact.assign',
+      targetType: 'contact',
+      targetId: contact._id,
+      changes: {
+        before: { assignedTo: previousAssignee },
+        after: { assignedTo: assignee._id }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Contact assigned to ${assignee.fullName || assignee.username}`,
+      data: contact
+    });
+
+  } catch (error) {
+    console.error('Assign contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign contact'
+    });
+  }
+});
+
+// DELETE /api/admin/contacts/:id/assign - Unassign a contact
+router.delete('/contacts/:id/assign', authorize('contacts:update'), async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    if (!contact.assignedTo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contact is not assigned'
+      });
+    }
+
+    const previousAssignee = contact.assignedTo;
+    contact.assignedTo = null;
+    contact.assignedAt = undefined;
+    await contact.save();
+
+    await recordAudit(req, {
+      action: 'contact.unassign',
+      targetType: 'contact',
+      targetId: contact._id,
+      changes: {
+        before: { assignedTo: previousAssignee },
+        after: { assignedTo: null }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Contact unassigned',
+      data: contact
+    });
+
+  } catch (error) {
+    console.error('Unassign contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unassign contact'
+    });
+  }
+});
+
+// GET /api/admin/assignment/settings - Round-robin auto-assignment settings
+router.get('/assignment/settings', authorize('contacts:read'), async (req, res) => {
+  try {
+    const settings = await getAutoAssignSettings();
+
+    res.json({
+      success: true,
+      data: { enabled: settings.enabled }
+    });
+
+  } catch (error) {
+    console.error('Get assignment settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch assignment settings'
+    });
+  }
+});
+
+// PUT /api/admin/assignment/settings - Turn round-robin auto-assignment of new contacts on or off
+router.put('/assignment/settings', authorize('settings:manage'), [
+  body('enabled').isBoolean().withMessage('enabled must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const previous = await getAutoAssignSettings();
+    const setting = await saveAutoAssignSettings({ ...previous, enabled: req.body.enabled }, req.admin.id);
+
+    await recordAudit(req, {
+      action: 'setting.update',
+      targetType: 'setting',
+      targetId: setting._id,
+      changes: diffFields(previous, { enabled: req.body.enabled }, ['enabled'])
+    });
+
+    res.json({
+      success: true,
+      message: `Auto-assignment ${req.body.enabled ? 'enabled' : 'disabled'}`,
+      data: { enabled: req.body.enabled }
+    });
+
+  } catch (error) {
+    console.error('Update assignment settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update assignment settings'
+    });
+  }
+});
+
+// POST /api/admin/contacts/:id/notes - Add an internal note to the thread (never emailed)
+router.post('/contacts/:id/notes', authorize('contacts:update'), [
+  body('body').trim().isLength({ min: 1, max: 5000 }).withMessage('Note must be between 1 and 5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const contact = await Contact.findById(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    const note = await Message.create({
+      contact: contact._id,
+      type: 'note',
+      direction: 'internal',
+      author: req.admin.id,
+      body: req.body.body
+    });
+
+    await recordAudit(req, {
+      action: 'contact.note',
+      targetType: 'contact',
+      targetId: contact._id,
+      metadata: { messageId: note._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added successfully',
+      data: note
+    });
+
+  } catch (error) {
+    console.error('Add note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add note'
+    });
+  }
+});
+
+// DELETE /api/admin/contacts/:id - Delete contact (moves it to the trash)
+router.delete('/contacts/:id', authorize('contacts:delete'), async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.id);
     
     if (!contact) {
       return res.status(404).json({
@@ -312,9 +967,22 @@ router.delete('/contacts/:id', async (req, res) => {
       });
     }
 
+    // Move to the trash instead of deleting - it can be restored until the purge job removes it
+    await contact.softDelete(req.admin.id);
+
+    await recordAudit(req, {
+      action: 'contact.delete',
+      targetType: 'contact',
+      targetId: contact._id,
+      changes: {
+        before: { deletedAt: null },
+        after: { deletedAt: contact.deletedAt }
+      }
+    });
+
     res.json({
       success: true,
-      message: 'Contact deleted successfully'
+      message: 'Contact moved to trash'
     });
 
   } catch (error) {
@@ -326,14 +994,55 @@ router.delete('/contacts/:id', async (req, res) => {
   }
 });
 
+// POST /api/admin/contacts/:id/restore - Take a contact back out of the trash
+router.post('/contacts/:id/restore', authorize('contacts:delete'), async (req, res) => {
+  try {
+    const contact = await Contact.findOne({
+      _id: req.params.id,
+      deletedAt: { $ne: null }
+    });
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted contact not found'
+      });
+    }
+
+    const deletedAt = contact.deletedAt;
+    await contact.restore();
+
+    await recordAudit(req, {
+      action: 'contact.restore',
+      targetType: 'contact',
+      targetId: contact._id,
+      changes: {
+        before: { deletedAt },
+        after: { deletedAt: null }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Contact restored successfully',
+      data: contact
+    });
+
+  } catch (error) {
+    console.error('Restore contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore contact'
+    });
+  }
+});
+
 // GET /api/admin/export/contacts - Export contacts to CSV
-router.get('/export/contacts', async (req, res) => {
+router.get('/export/contacts', authorize('contacts:export'), async (req, res) => {
   try {
     let filter = {};
     
-    if (req.query.status) {
-      filter.status = req.query.status;
-    }
+    filter.status = req.query.status || NOT_SPAM.status;
     
     if (req.query.startDate || req.query.endDate) {
       filter.createdAt = {};
@@ -366,6 +1075,12 @@ router.get('/export/contacts', async (req, res) => {
 
     const csvContent = csvHeader + csvRows;
 
+    await recordAudit(req, {
+      action: 'contact.export',
+      targetType: 'contact',
+      metadata: { filter: req.query, count: contacts.length }
+    });
+
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', `attachment; filename="contacts-${new Date().toISOString().split('T')[0]}.csv"`);
     res.send(csvContent);
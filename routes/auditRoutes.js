@@ -0,0 +1,99 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { TARGET_TYPES } = require('../models/AuditLog');
+const { authenticateAdmin, requireTwoFactorSetup, authorize } = require('../middleware/auth');
+const router = express.Router();
+
+// Reading the audit log needs the audit:read permission
+// There are deliberately no routes that change or delete entries
+router.use(authenticateAdmin, requireTwoFactorSetup, authorize('audit:read'));
+
+// GET /api/admin/audit - List audit entries with filtering and pagination
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('actor').optional().isMongoId().withMessage('actor must be an admin ID'),
+  query('action').optional().trim(),
+  query('targetType').optional().isIn(TARGET_TYPES),
+  query('targetId').optional().isMongoId().withMessage('targetId must be a valid ID'),
+  query('startDate').optional().isISO8601().toDate(),
+  query('endDate').optional().isISO8601().toDate()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 50;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = {};
+
+    if (req.query.actor) {
+      filter.actor = req.query.actor;
+    }
+
+    // "contact." matches every contact action, "contact.delete" just that one
+    if (req.query.action) {
+      filter.action = req.query.action.endsWith('.')
+        ? { $regex: `^${req.query.action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+        : req.query.action;
+    }
+
+    if (req.query.targetType) {
+      filter.targetType = req.query.targetType;
+    }
+
+    if (req.query.targetId) {
+      filter.targetId = req.query.targetId;
+    }
+
+    if (req.query.startDate || req.query.endDate) {
+      filter.createdAt = {};
+      if (req.query.startDate) {
+        filter.createdAt.$gte = req.query.startDate;
+      }
+      if (req.query.endDate) {
+        filter.createdAt.$lte = req.query.endDate;
+      }
+    }
+
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log'
+    });
+  }
+});
+
+module.exports = router;
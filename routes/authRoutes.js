@@ -1,10 +1,107 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const Admin = require('../models/Admin');
-const { authenticateAdmin } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const Role = require('../models/Role');
+const { authenticateAdmin, requireTwoFactorSetup, authorize } = require('../middleware/auth');
+const { sendPasswordResetEmail, sendAccountLockedEmail } = require('../utils/emailService');
+const loginThrottle = require('../utils/loginThrottle');
+const { recordAudit } = require('../utils/auditLogger');
+const { passwordPolicy, checkPassword } = require('../utils/passwordPolicy');
+const {
+  hashToken,
+  createSession,
+  rotateRefreshToken,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../utils/tokenService');
+const { verifyTotp } = require('../utils/totp');
 const router = express.Router();
 
+// Response for a locked account - distinct from "Invalid credentials" so the frontend can explain it
+const sendLocked = (res, admin) => {
+  const retryAfter = Math.ceil((admin.lockUntil - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    message: 'Account temporarily locked because of too many failed login attempts',
+    accountLocked: true,
+    lockUntil: admin.lockUntil
+  });
+};
+
+// Record a failed password or 2FA attempt against the IP and the account
+const handleFailedLogin = async (req, res, admin, message) => {
+  loginThrottle.registerFailure(req.ip);
+
+  const justLocked = await admin.registerFailedLogin();
+  await recordAudit(req, {
+    actor: admin,
+    action: 'auth.login_failed',
+    targetType: 'admin',
+    targetId: admin._id,
+    metadata: { reason: message, locked: justLocked }
+  });
+
+  if (justLocked) {
+    if (process.env.LOCKOUT_NOTIFY_EMAIL !== 'false') {
+      sendAccountLockedEmail(admin, req.ip).catch(error => {
+        console.error('Failed to send account locked email:', error);
+      });
+    }
+    return sendLocked(res, admin);
+  }
+
+  return res.status(401).json({
+    success: false,
+    message
+  });
+};
+
+// Finish a login: record it, start a session and send the tokens back
+// Shared by the password-only login and the 2FA step
+const completeLogin = async (req, res, admin) => {
+  // Update last login time (also clears failed attempts)
+  await admin.updateLastLogin();
+  loginThrottle.clearFailures(req.ip);
+
+  // Start a session: a short-lived access token plus a refresh token to renew it
+  const { session, accessToken, refreshToken } = await createSession(admin, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  await recordAudit(req, {
+    actor: admin,
+    action: 'auth.login',
+    targetType: 'session',
+    targetId: session._id,
+    metadata: { twoFactor: admin.twoFactor.enabled }
+  });
+
+  const twoFactorRequired = await Setting.getValue('security.requireTwoFactor', false);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token: accessToken,
+    refreshToken,
+    // Tells the frontend to send the admin to the 2FA setup screen
+    twoFactorSetupRequired: twoFactorRequired && !admin.twoFactor.enabled,
+    admin: {
+      id: admin._id,
+      username: admin.username,
+      email: admin.email,
+      fullName: admin.fullName,
+      role: admin.role,
+      permissions: await Role.permissionsFor(admin.role),
+      twoFactorEnabled: admin.twoFactor.enabled,
+      lastLogin: admin.lastLogin
+    }
+  });
+};
+
 // POST /api/auth/login - Admin login
 router.post('/login', [
   body('username').trim().notEmpty().withMessage('Username is required'),
@@ -22,6 +119,16 @@ router.post('/login', [
 
     const { username, password } = req.body;
 
+    // Too many failures from this IP (across any accounts) - slow it down
+    const blockedSeconds = loginThrottle.getBlockedSeconds(req.ip);
+    if (blockedSeconds > 0) {
+      res.set('Retry-After', String(blockedSeconds));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts from this IP. Please try again later.'
+      });
+    }
+
     // Find admin by username or email
     const admin = await Admin.findOne({ 
       $or: [
@@ -32,60 +139,179 @@ router.post('/login', [
     }).select('+password'); // Include password field for verification
 
     if (!admin) {
+      loginThrottle.registerFailure(req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    if (admin.isLocked()) {
+      return sendLocked(res, admin);
+    }
+
     // Check password
     const isPasswordValid = await admin.comparePassword(password);
     if (!isPasswordValid) {
+      return handleFailedLogin(req, res, admin, 'Invalid credentials');
+    }
+
+    if (admin.mustResetPassword) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your password must be reset before you can log in. Check your email for a reset link.',
+        passwordResetRequired: true
+      });
+    }
+
+    // With 2FA on, the password alone is not enough - hand back a challenge for the second step
+    if (admin.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor code required',
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(admin)
+      });
+    }
+
+    await completeLogin(req, res, admin);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// POST /api/auth/login/2fa - Second login step: exchange the challenge token and a 2FA code for tokens
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('recoveryCode').optional().trim().notEmpty().withMessage('Recovery code cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either a 2FA code or a recovery code is required'
+      });
+    }
+
+    const adminId = verifyChallengeToken(challengeToken);
+    if (!adminId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const admin = await Admin.findOne({ _id: adminId, isActive: true })
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!admin || !admin.twoFactor.enabled) {
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login time
-    await admin.updateLastLogin();
+    if (admin.isLocked()) {
+      return sendLocked(res, admin);
+    }
 
-    // Create JWT token (this is what keeps admin logged in)
-    const token = jwt.sign(
-      { 
-        id: admin._id, 
-        username: admin.username,
-        role: admin.role 
-      },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
+    if (code) {
+      const step = verifyTotp(admin.twoFactor.secret, code, {
+        lastUsedStep: admin.twoFactor.lastUsedStep
+      });
+
+      if (step === null || !(await admin.claimTotpStep(step))) {
+        return handleFailedLogin(req, res, admin, 'Invalid two-factor code');
+      }
+    } else if (!admin.consumeRecoveryCode(recoveryCode)) {
+      return handleFailedLogin(req, res, admin, 'Invalid recovery code');
+    }
+
+    await completeLogin(req, res, admin);
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (result.error === 'reused') {
+      await recordAudit(req, {
+        actor: result.session.admin,
+        action: 'auth.refresh_token_reused',
+        targetType: 'session',
+        targetId: result.session._id
+      });
+      console.warn('Refresh token reuse detected, session revoked');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please log in again.'
+      });
+    }
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      admin: {
-        id: admin._id,
-        username: admin.username,
-        email: admin.email,
-        fullName: admin.fullName,
-        role: admin.role,
-        lastLogin: admin.lastLogin
-      }
+      token: result.accessToken,
+      refreshToken: result.refreshToken
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
-      message: 'Login failed'
+      message: 'Failed to refresh token'
     });
   }
 });
 
-// POST /api/auth/register - Create new admin (only super admin can do this)
-router.post('/register', authenticateAdmin, [
+// POST /api/auth/register - Create new admin (needs the admins:manage permission)
+router.post('/register', authenticateAdmin, requireTwoFactorSetup, authorize('admins:manage'), [
   body('username')
     .trim()
     .isLength({ min: 3, max: 20 })
@@ -99,8 +325,7 @@ router.post('/register', authenticateAdmin, [
     .withMessage('Please provide a valid email'),
   
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters'),
+    .custom(passwordPolicy),
   
   body('fullName')
     .optional()
@@ -110,18 +335,16 @@ router.post('/register', authenticateAdmin, [
   
   body('role')
     .optional()
-    .isIn(['admin', 'super_admin'])
-    .withMessage('Role must be either admin or super_admin')
+    .trim()
+    .toLowerCase()
+    .custom(async (name) => {
+      if (!(await Role.exists({ name }))) {
+        throw new Error('Role does not exist');
+      }
+      return true;
+    })
 ], async (req, res) => {
   try {
-    // Only super admin can create new accounts
-    if (req.admin.role !== 'super_admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only super admins can create new admin accounts'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -133,6 +356,13 @@ router.post('/register', authenticateAdmin, [
 
     const { username, email, password, fullName, role = 'admin' } = req.body;
 
+    if (role === 'super_admin' && req.admin.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only super admins can grant the super admin role'
+      });
+    }
+
     // Check if admin already exists
     const existingAdmin = await Admin.findOne({
       $or: [{ username }, { email }]
@@ -156,6 +386,16 @@ router.post('/register', authenticateAdmin, [
 
     await admin.save();
 
+    await recordAudit(req, {
+      action: 'admin.create',
+      targetType: 'admin',
+      targetId: admin._id,
+      changes: {
+        before: null,
+        after: { username: admin.username, email: admin.email, fullName: admin.fullName, role: admin.role }
+      }
+    });
+
     res.status(201).json({
       success: true,
       message: 'Admin created successfully',
@@ -197,6 +437,9 @@ router.get('/me', authenticateAdmin, async (req, res) => {
         email: admin.email,
         fullName: admin.fullName,
         role: admin.role,
+        // The frontend uses this list to hide actions the admin can't perform
+        permissions: req.admin.permissions,
+        twoFactorEnabled: admin.twoFactor.enabled,
         lastLogin: admin.lastLogin,
         createdAt: admin.createdAt
       }
@@ -214,7 +457,7 @@ router.get('/me', authenticateAdmin, async (req, res) => {
 // PUT /api/auth/change-password - Change admin password
 router.put('/change-password', authenticateAdmin, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
-  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+  body('newPassword').custom(passwordPolicy)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -251,6 +494,15 @@ router.put('/change-password', authenticateAdmin, [
     admin.password = newPassword;
     await admin.save();
 
+    // Log out every other device - a stolen session must not survive the change
+    await Session.revokeAllForAdmin(admin._id, 'password_changed', req.admin.sessionId);
+
+    await recordAudit(req, {
+      action: 'auth.password_change',
+      targetType: 'admin',
+      targetId: admin._id
+    });
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -265,12 +517,171 @@ router.put('/change-password', authenticateAdmin, [
   }
 });
 
-// POST /api/auth/logout - Logout (mainly for frontend to clear token)
-router.post('/logout', authenticateAdmin, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout successful'
+// Store a reset token for the admin, audit it and email the link
+const startPasswordReset = async (req, admin) => {
+  const token = admin.createPasswordResetToken();
+  await admin.save();
+
+  await recordAudit(req, {
+    actor: admin,
+    action: 'auth.password_reset_requested',
+    targetType: 'admin',
+    targetId: admin._id
   });
+
+  const resetUrl = `${process.env.ADMIN_PANEL_URL || 'http://localhost:3000/admin'}/reset-password?token=${token}`;
+  await sendPasswordResetEmail(admin, resetUrl);
+};
+
+// POST /api/auth/forgot-password - Email a one-time password reset link
+// Always answers the same way so it cannot be used to find out which accounts exist
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await Admin.findOne({ email: req.body.email, isActive: true });
+
+    // The token, audit entry and email are handled after answering, so the response
+    // takes the same time whether or not the account exists
+    if (admin) {
+      startPasswordReset(req, admin).catch(error => {
+        console.error('Failed to start password reset:', error);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request'
+    });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password using the emailed token
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const tokenFilter = {
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+      isActive: true
+    };
+
+    const candidate = await Admin.findOne(tokenFilter);
+    if (!candidate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Check the password before using the token up, so a rejected password doesn't cost the link
+    const problems = checkPassword(password, candidate);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: problems.map(msg => ({ path: 'password', msg }))
+      });
+    }
+
+    // Token is single-use: clear it in one update before the password changes, so two
+    // requests with the same link can't both get through
+    const admin = await Admin.findOneAndUpdate(
+      tokenFilter,
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+    if (!admin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    admin.password = password;
+    admin.mustResetPassword = false;
+    await admin.save();
+
+    // Log out everywhere - whoever had the old password should lose access
+    await Session.revokeAllForAdmin(admin._id, 'password_changed');
+
+    await recordAudit(req, {
+      actor: admin,
+      action: 'auth.password_reset',
+      targetType: 'admin',
+      targetId: admin._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+// POST /api/auth/logout - Logout (revokes the current session so its tokens stop working)
+router.post('/logout', authenticateAdmin, async (req, res) => {
+  try {
+    const session = await Session.findById(req.admin.sessionId);
+
+    if (session && !session.revokedAt) {
+      await session.revoke('logout');
+
+      await recordAudit(req, {
+        action: 'auth.logout',
+        targetType: 'session',
+        targetId: session._id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
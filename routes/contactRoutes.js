@@ -1,11 +1,16 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Contact = require('../models/Contact');
-const { sendNotificationEmail } = require('../utils/emailService');
+const { processNewContact } = require('../utils/contactIntake');
+const { scoreSubmission, issueFormToken } = require('../utils/spamFilter');
+const { issueChallenge, verifyChallenge } = require('../utils/captcha');
+const { saveAttachments } = require('../utils/attachmentStorage');
+const { parseAttachments } = require('../middleware/upload');
 const router = express.Router();
 
 // POST /api/contact - Submit a contact form
-router.post('/', [
+// Send JSON, or multipart/form-data with files in "attachments" (PDFs, images, Office documents)
+router.post('/', parseAttachments(), [
   // Validation rules - these check the data before processing
   body('name')
     .trim()
@@ -39,7 +44,33 @@ router.post('/', [
     .optional()
     .trim()
     .isLength({ max: 100 })
-    .withMessage('Company name cannot exceed 100 characters')
+    .withMessage('Company name cannot exceed 100 characters'),
+
+  // Spam signals - "website" is a hidden honeypot field, formToken comes from GET /form-token
+  body('website')
+    .optional()
+    .isString(),
+
+  body('formToken')
+    .optional()
+    .isString()
+    .isLength({ max: 200 }),
+
+  // Answer to the challenge from GET /challenge (checked when the CAPTCHA is enabled)
+  body('captchaToken')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 }),
+
+  body('captchaSolution')
+    .optional()
+    .isLength({ max: 100 }),
+
+  // Send false to opt out of the acknowledgement email
+  body('sendAcknowledgement')
+    .optional()
+    .isBoolean()
+    .toBoolean()
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -52,6 +83,18 @@ router.post('/', [
       });
     }
 
+    // The challenge must be solved before anything is stored
+    const { captcha } = req.app.locals.config;
+    if (captcha.enabled) {
+      const challengeError = await verifyChallenge(req.body.captchaToken, req.body.captchaSolution);
+      if (challengeError) {
+        return res.status(400).json({
+          success: false,
+          message: challengeError
+        });
+      }
+    }
+
     const { name, email, phone, subject, message, company } = req.body;
 
     // Prevent duplicate submissions (same email and message in last 5 minutes)
@@ -73,7 +116,13 @@ router.post('/', [
     const ipAddress = req.ip || req.connection.remoteAddress;
     const userAgent = req.get('User-Agent');
 
-    // Create and save new contact
+    // Score the submission (honeypot, fill time, links, blocklist, repeated content)
+    const spam = await scoreSubmission(req.body, {
+      ipAddress,
+      settings: req.app.locals.config.spam
+    });
+
+    // Create the contact and run it through spam handling, triage, SLA, assignment, notification and acknowledgement
     const contact = new Contact({
       name,
       email,
@@ -86,20 +135,32 @@ router.post('/', [
       source: 'website'
     });
 
-    await contact.save();
-
-    // Send notification email to you (don't wait for it to complete)
-    sendNotificationEmail(contact).catch(error => {
-      console.error('Failed to send notification email:', error);
+    await processNewContact(contact, spam, {
+      settings: req.app.locals.config.acknowledgement,
+      optOut: req.body.sendAcknowledgement === false
     });
 
-    // Send success response
+    // Store uploaded files (a storage failure must not lose the submission itself).
+    // Files sent with spam are never stored - the temporary copies go with the response.
+    const received = req.files ? req.files.length : 0;
+    let attachments = [];
+    if (received > 0 && contact.status !== 'spam') {
+      try {
+        attachments = await saveAttachments(contact._id, req.files, req.app.locals.config.attachments);
+      } catch (error) {
+        console.error('Failed to store attachments:', error);
+      }
+    }
+
+    // Send success response (the same for spam, so bots learn nothing)
     res.status(201).json({
       success: true,
       message: 'Thank you for your message! We will get back to you soon.',
       data: {
         id: contact._id,
-        submittedAt: contact.createdAt
+        reference: contact.reference,
+        submittedAt: contact.createdAt,
+        attachments: contact.status === 'spam' ? received : attachments.length
       }
     });
 
@@ -112,11 +173,36 @@ router.post('/', [
   }
 });
 
+// GET /api/contact/challenge - A signed CAPTCHA challenge to solve before submitting the form
+router.get('/challenge', (req, res) => {
+  const { captcha } = req.app.locals.config;
+
+  res.json({
+    success: true,
+    data: {
+      required: captcha.enabled,
+      ...(captcha.enabled ? issueChallenge(captcha) : {})
+    }
+  });
+});
+
+// GET /api/contact/form-token - Signed token the form sends back, so we know how long it took to fill in
+router.get('/form-token', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      formToken: issueFormToken()
+    }
+  });
+});
+
 // GET /api/contact/stats - Get public statistics (how many contacts submitted)
 router.get('/stats', async (req, res) => {
   try {
-    const totalContacts = await Contact.countDocuments();
+    // Spam isn't a submission worth counting
+    const totalContacts = await Contact.countDocuments({ status: { $ne: 'spam' } });
     const todayContacts = await Contact.countDocuments({
+      status: { $ne: 'spam' },
       createdAt: {
         $gte: new Date(new Date().setHours(0, 0, 0, 0))
       }
@@ -160,11 +246,12 @@ router.post('/verify', async (req, res) => {
       });
     }
 
+    // Spam shows up as new, so bots can't check whether they were caught
     res.json({
       success: true,
       data: {
         id: contact._id,
-        status: contact.status,
+        status: contact.status === 'spam' ? 'new' : contact.status,
         submittedAt: contact.createdAt
       }
     });
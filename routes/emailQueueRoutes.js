@@ -0,0 +1,253 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const EmailJob = require('../models/EmailJob');
+const { authenticateAdmin, requireTwoFactorSetup, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/auditLogger');
+const { retryJob, cancelJob, canRetry, RETRYABLE_STATUSES, CANCELLABLE_STATUSES } = require('../utils/mailQueue');
+const router = express.Router();
+
+router.use(authenticateAdmin, requireTwoFactorSetup, authorize('settings:manage'));
+
+const STATUSES = ['pending', 'sending', 'retrying', 'sent', 'dead', 'cancelled'];
+
+// Never show the body of an email that carries a secret
+const redact = (job) => {
+  const data = job.toObject();
+  if (data.sensitive && data.mailOptions) {
+    data.mailOptions.html = data.mailOptions.html ? '[redacted]' : undefined;
+    data.mailOptions.text = data.mailOptions.text ? '[redacted]' : undefined;
+  }
+  return data;
+};
+
+// GET /api/admin/email-queue - Queued and sent emails, newest first (without the bodies)
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('status').optional().isIn(STATUSES),
+  query('kind').optional().isString(),
+  query('contact').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    ['status', 'kind', 'contact'].forEach(field => {
+      if (req.query[field]) {
+        filter[field] = req.query[field];
+      }
+    });
+
+    const jobs = await EmailJob.find(filter)
+      .select('-mailOptions.html -mailOptions.text -attemptLog')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await EmailJob.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get email queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email queue'
+    });
+  }
+});
+
+// GET /api/admin/email-queue/stats - How many emails are in each state
+router.get('/stats', async (req, res) => {
+  try {
+    const counts = await EmailJob.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const byStatus = STATUSES.reduce((acc, status) => {
+      acc[status] = 0;
+      return acc;
+    }, {});
+    counts.forEach(item => {
+      byStatus[item._id] = item.count;
+    });
+
+    const oldestWaiting = await EmailJob.findOne({ status: { $in: ['pending', 'retrying'] } })
+      .sort({ createdAt: 1 })
+      .select('createdAt');
+
+    res.json({
+      success: true,
+      data: {
+        byStatus,
+        oldestWaitingSince: oldestWaiting ? oldestWaiting.createdAt : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get email queue stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email queue statistics'
+    });
+  }
+});
+
+// GET /api/admin/email-queue/:id - One email with its body and every failed attempt
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await EmailJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: redact(job)
+    });
+
+  } catch (error) {
+    console.error('Get email job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email'
+    });
+  }
+});
+
+// POST /api/admin/email-queue/:id/retry - Send a dead, cancelled or still-retrying email again now
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const job = await EmailJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found'
+      });
+    }
+
+    if (!RETRYABLE_STATUSES.includes(job.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `An email that is ${job.status} can't be retried`
+      });
+    }
+
+    if (!canRetry(job)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This email contained a secret that was removed when it stopped. Send a new one instead'
+      });
+    }
+
+    // The worker may have picked it up since - the update only applies if it hasn't
+    const retried = await retryJob(job._id);
+    if (!retried) {
+      return res.status(409).json({
+        success: false,
+        message: 'The email changed in the meantime. Refresh and try again'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'email.retry',
+      targetType: 'email',
+      targetId: job._id,
+      changes: { before: { status: job.status }, after: { status: retried.status } },
+      metadata: { kind: job.kind, to: job.mailOptions.to }
+    });
+
+    res.json({
+      success: true,
+      message: 'Email queued for another attempt',
+      data: redact(retried)
+    });
+
+  } catch (error) {
+    console.error('Retry email job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry email'
+    });
+  }
+});
+
+// POST /api/admin/email-queue/:id/cancel - Stop an email that hasn't been sent yet
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const job = await EmailJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found'
+      });
+    }
+
+    if (!CANCELLABLE_STATUSES.includes(job.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `An email that is ${job.status} can't be cancelled`
+      });
+    }
+
+    const cancelled = await cancelJob(job._id);
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'The email changed in the meantime. Refresh and try again'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'email.cancel',
+      targetType: 'email',
+      targetId: job._id,
+      changes: { before: { status: job.status }, after: { status: cancelled.status } },
+      metadata: { kind: job.kind, to: job.mailOptions.to }
+    });
+
+    res.json({
+      success: true,
+      message: 'Email cancelled',
+      data: redact(cancelled)
+    });
+
+  } catch (error) {
+    console.error('Cancel email job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel email'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,321 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const EmailTemplate = require('../models/EmailTemplate');
+const Contact = require('../models/Contact');
+const { authenticateAdmin, requireTwoFactorSetup, authorize } = require('../middleware/auth');
+const { recordAudit, diffFields } = require('../utils/auditLogger');
+const { parse } = require('../utils/templateRenderer');
+const { buildTemplateVariables, acknowledgementVariables, renderEmail } = require('../utils/emailService');
+const {
+  DEFAULT_TEMPLATES,
+  TEMPLATE_KEYS,
+  SAMPLE_CONTACT,
+  SAMPLE_VARIABLES
+} = require('../config/emailTemplates');
+const router = express.Router();
+
+router.use(authenticateAdmin, requireTwoFactorSetup, authorize('settings:manage'));
+
+const TEMPLATE_FIELDS = ['subject', 'html', 'text'];
+
+const keyRule = (location) => location('key')
+  .isIn(TEMPLATE_KEYS)
+  .withMessage(`Template must be one of: ${TEMPLATE_KEYS.join(', ')}`);
+
+// Body rules shared by update and preview
+const templateValidation = (optional) => [
+  (optional ? body('subject').optional() : body('subject'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('Subject must be between 1 and 300 characters'),
+  (optional ? body('html').optional() : body('html'))
+    .isString()
+    .isLength({ min: 1, max: 100000 })
+    .withMessage('HTML body must be between 1 and 100000 characters'),
+  body('text').optional({ values: 'null' }).isString().isLength({ max: 50000 })
+    .withMessage('Text body cannot exceed 50000 characters')
+];
+
+// A template's description and variables, with its current content
+const toResponse = (template) => {
+  const builtIn = DEFAULT_TEMPLATES[template.key];
+  return {
+    key: template.key,
+    name: builtIn.name,
+    description: builtIn.description,
+    variables: builtIn.variables,
+    subject: template.subject,
+    html: template.html,
+    text: template.text,
+    isCustom: template.isCustom
+  };
+};
+
+// Syntax errors in the submitted parts, e.g. a section that is never closed
+const syntaxErrors = (parts) => TEMPLATE_FIELDS
+  .filter(part => parts[part])
+  .map(part => {
+    try {
+      parse(parts[part]);
+      return null;
+    } catch (error) {
+      return { path: part, msg: error.message };
+    }
+  })
+  .filter(Boolean);
+
+// GET /api/admin/email-templates - Every template, edited or built-in
+router.get('/', async (req, res) => {
+  try {
+    const templates = await Promise.all(TEMPLATE_KEYS.map(key => EmailTemplate.resolve(key)));
+
+    res.json({
+      success: true,
+      data: templates.map(toResponse)
+    });
+
+  } catch (error) {
+    console.error('Get email templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email templates'
+    });
+  }
+});
+
+// POST /api/admin/email-templates/preview - Render a template against a sample (or real) contact
+// Send subject/html/text to preview unsaved changes; anything left out comes from the current template
+router.post('/preview', [
+  keyRule(body),
+  ...templateValidation(true),
+  body('contactId').optional().isMongoId().withMessage('contactId must be a valid id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invalid = syntaxErrors(req.body);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Template has errors',
+        errors: invalid
+      });
+    }
+
+    let contact = SAMPLE_CONTACT;
+    if (req.body.contactId) {
+      if (!req.admin.permissions.includes('contacts:read')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view contacts'
+        });
+      }
+
+      contact = await Contact.findById(req.body.contactId);
+      if (!contact) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact not found'
+        });
+      }
+    }
+
+    const current = await EmailTemplate.resolve(req.body.key);
+    const template = { ...current };
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        template[field] = req.body[field] || '';
+      }
+    });
+
+    let variables;
+    if (req.body.key === 'password_reset') {
+      variables = buildTemplateVariables(null, SAMPLE_VARIABLES);
+    } else if (req.body.key === 'auto_acknowledgement') {
+      variables = acknowledgementVariables(contact, SAMPLE_VARIABLES.expectedResponse);
+    } else {
+      variables = buildTemplateVariables(contact, SAMPLE_VARIABLES);
+    }
+    const email = await renderEmail(req.body.key, variables, template);
+
+    res.json({
+      success: true,
+      data: {
+        ...email,
+        textGenerated: !template.text
+      }
+    });
+
+  } catch (error) {
+    console.error('Preview email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview email template'
+    });
+  }
+});
+
+// GET /api/admin/email-templates/:key - Get a single template
+router.get('/:key', async (req, res) => {
+  try {
+    if (!TEMPLATE_KEYS.includes(req.params.key)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email template not found'
+      });
+    }
+
+    const template = await EmailTemplate.resolve(req.params.key);
+
+    res.json({
+      success: true,
+      data: {
+        ...toResponse(template),
+        builtIn: {
+          subject: DEFAULT_TEMPLATES[template.key].subject,
+          html: DEFAULT_TEMPLATES[template.key].html,
+          text: DEFAULT_TEMPLATES[template.key].text
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email template'
+    });
+  }
+});
+
+// PUT /api/admin/email-templates/:key - Save an edited version of a template
+// Parts left out keep their current content; send text as null (or '') to generate it from the HTML
+router.put('/:key', templateValidation(true), async (req, res) => {
+  try {
+    if (!TEMPLATE_KEYS.includes(req.params.key)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email template not found'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invalid = syntaxErrors(req.body);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Template has errors',
+        errors: invalid
+      });
+    }
+
+    const current = await EmailTemplate.resolve(req.params.key);
+    let template = await EmailTemplate.findOne({ key: req.params.key });
+
+    if (!template) {
+      template = new EmailTemplate({
+        key: req.params.key,
+        subject: current.subject,
+        html: current.html,
+        text: current.text
+      });
+    }
+
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        template[field] = req.body[field] || undefined;
+      }
+    });
+    template.updatedBy = req.admin.id;
+
+    await template.save();
+
+    const changes = diffFields(current, { ...template.toObject(), text: template.text || '' }, TEMPLATE_FIELDS);
+    if (changes) {
+      await recordAudit(req, {
+        action: 'email_template.update',
+        targetType: 'email_template',
+        targetId: template._id,
+        changes,
+        metadata: { key: template.key }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email template saved',
+      data: toResponse({ ...template.toObject(), isCustom: true })
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    console.error('Update email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save email template'
+    });
+  }
+});
+
+// DELETE /api/admin/email-templates/:key - Throw away the edited version and go back to the built-in one
+router.delete('/:key', async (req, res) => {
+  try {
+    const template = TEMPLATE_KEYS.includes(req.params.key)
+      ? await EmailTemplate.findOne({ key: req.params.key })
+      : null;
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'This template has not been edited'
+      });
+    }
+
+    await template.deleteOne();
+
+    await recordAudit(req, {
+      action: 'email_template.reset',
+      targetType: 'email_template',
+      targetId: template._id,
+      changes: { before: template.toObject(), after: null },
+      metadata: { key: template.key }
+    });
+
+    res.json({
+      success: true,
+      message: 'Email template reset to the built-in version',
+      data: toResponse(await EmailTemplate.resolve(req.params.key))
+    });
+
+  } catch (error) {
+    console.error('Reset email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset email template'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,276 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const FormDefinition = require('../models/FormDefinition');
+const { FIELD_TYPES } = require('../models/FormDefinition');
+const Contact = require('../models/Contact');
+const { authenticateAdmin, requireTwoFactorSetup, authorize } = require('../middleware/auth');
+const { recordAudit, diffFields } = require('../utils/auditLogger');
+const router = express.Router();
+
+router.use(authenticateAdmin, requireTwoFactorSetup);
+
+const FORM_FIELDS = ['slug', 'name', 'description', 'enabled', 'fields', 'successMessage'];
+
+// Validation rules shared by create and update
+const formValidation = (optional) => [
+  (optional ? body('slug').optional() : body('slug'))
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .isLength({ max: 60 })
+    .withMessage('Slug can only contain lowercase letters, numbers and dashes (max 60)'),
+  (optional ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Form name must be between 1 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('enabled').optional().isBoolean().toBoolean(),
+  body('successMessage').optional().trim().isLength({ max: 500 }),
+  (optional ? body('fields').optional() : body('fields'))
+    .isArray({ min: 1, max: 50 })
+    .withMessage('fields must be a list of 1 to 50 fields'),
+  body('fields.*.name').matches(/^[a-zA-Z][a-zA-Z0-9_]*$/).withMessage('Field names must start with a letter and use only letters, numbers and _'),
+  body('fields.*.label').trim().isLength({ min: 1, max: 100 }).withMessage('Every field needs a label'),
+  body('fields.*.type').isIn(FIELD_TYPES).withMessage(`Field type must be one of: ${FIELD_TYPES.join(', ')}`),
+  body('fields.*.required').optional().isBoolean().toBoolean(),
+  body('fields.*.minLength').optional().isInt({ min: 0 }).toInt(),
+  body('fields.*.maxLength').optional().isInt({ min: 1, max: 2000 }).toInt(),
+  body('fields.*.min').optional().isFloat().toFloat(),
+  body('fields.*.max').optional().isFloat().toFloat(),
+  body('fields.*.pattern').optional().isString().isLength({ max: 200 }),
+  body('fields.*.options').optional().isArray({ max: 100 }),
+  body('fields.*.placeholder').optional().isString().isLength({ max: 200 }),
+  body('fields.*.helpText').optional().isString().isLength({ max: 500 })
+];
+
+// Model-level checks (required name/email fields, duplicates ...) come back as a ValidationError
+const validationMessage = (error) => Object.values(error.errors).map(val => val.message).join(', ');
+
+// GET /api/admin/forms - List every form (enabled or not) with its submission count
+router.get('/', authorize('contacts:read'), async (req, res) => {
+  try {
+    const forms = await FormDefinition.find().sort({ name: 1 });
+
+    const counts = await Contact.aggregate([
+      { $match: { form: { $ne: null } } },
+      { $group: { _id: '$form', count: { $sum: 1 } } }
+    ]);
+    const countById = counts.reduce((acc, item) => {
+      acc[item._id.toString()] = item.count;
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      data: forms.map(form => ({
+        ...form.toObject(),
+        submissionCount: countById[form._id.toString()] || 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get forms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch forms'
+    });
+  }
+});
+
+// GET /api/admin/forms/:id - Get a single form definition
+router.get('/:id', authorize('contacts:read'), async (req, res) => {
+  try {
+    const form = await FormDefinition.findById(req.params.id);
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: form
+    });
+
+  } catch (error) {
+    console.error('Get form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch form'
+    });
+  }
+});
+
+// POST /api/admin/forms - Create a form
+router.post('/', authorize('settings:manage'), formValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (await FormDefinition.exists({ slug: req.body.slug })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A form with this slug already exists'
+      });
+    }
+
+    const form = new FormDefinition({ createdBy: req.admin.id });
+    FORM_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        form[field] = req.body[field];
+      }
+    });
+
+    await form.save();
+
+    await recordAudit(req, {
+      action: 'form.create',
+      targetType: 'form',
+      targetId: form._id,
+      changes: { before: null, after: form.toObject() }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Form created successfully',
+      data: form
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+
+    console.error('Create form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create form'
+    });
+  }
+});
+
+// PUT /api/admin/forms/:id - Update a form (fields are replaced as a whole)
+router.put('/:id', authorize('settings:manage'), formValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const form = await FormDefinition.findById(req.params.id);
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found'
+      });
+    }
+
+    if (req.body.slug && req.body.slug !== form.slug &&
+        await FormDefinition.exists({ slug: req.body.slug })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A form with this slug already exists'
+      });
+    }
+
+    const before = form.toObject();
+    FORM_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        form[field] = req.body[field];
+      }
+    });
+
+    await form.save();
+
+    const changes = diffFields(before, form.toObject(), FORM_FIELDS);
+    if (changes) {
+      await recordAudit(req, {
+        action: 'form.update',
+        targetType: 'form',
+        targetId: form._id,
+        changes
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Form updated successfully',
+      data: form
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+
+    console.error('Update form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update form'
+    });
+  }
+});
+
+// DELETE /api/admin/forms/:id - Delete a form that has no submissions (disable it otherwise)
+router.delete('/:id', authorize('settings:manage'), async (req, res) => {
+  try {
+    const form = await FormDefinition.findById(req.params.id);
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found'
+      });
+    }
+
+    const submissions = await Contact.countDocuments({ form: form._id }).setOptions({ withDeleted: true });
+    if (submissions > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `This form has ${submissions} submission(s). Disable it instead of deleting it.`
+      });
+    }
+
+    await form.deleteOne();
+
+    await recordAudit(req, {
+      action: 'form.delete',
+      targetType: 'form',
+      targetId: form._id,
+      changes: { before: form.toObject(), after: null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Form deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete form'
+    });
+  }
+});
+
+module.exports = router;
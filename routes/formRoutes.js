@@ -0,0 +1,187 @@
+const express = require('express');
+const { param, body, validationResult } = require('express-validator');
+const Contact = require('../models/Contact');
+const FormDefinition = require('../models/FormDefinition');
+const { validateSubmission, summarizeFormData } = require('../utils/formValidator');
+const { processNewContact } = require('../utils/contactIntake');
+const { scoreSubmission } = require('../utils/spamFilter');
+const { verifyChallenge } = require('../utils/captcha');
+const router = express.Router();
+
+const slugRule = param('slug').trim().toLowerCase().matches(/^[a-z0-9-]+$/).withMessage('Invalid form');
+
+// GET /api/forms - List the public forms
+router.get('/', async (req, res) => {
+  try {
+    const forms = await FormDefinition.find({ enabled: true })
+      .select('slug name description')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: forms
+    });
+
+  } catch (error) {
+    console.error('List forms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch forms'
+    });
+  }
+});
+
+// GET /api/forms/:slug - Field definitions so the frontend can render the form
+router.get('/:slug', [slugRule], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const form = await FormDefinition.findOne({ slug: req.params.slug, enabled: true });
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...form.toPublicJSON(),
+        captchaRequired: req.app.locals.config.captcha.enabled
+      }
+    });
+
+  } catch (error) {
+    console.error('Get form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch form'
+    });
+  }
+});
+
+// POST /api/forms/:slug/submit - Submit a form; it is checked against the form's field definitions
+router.post('/:slug/submit', [
+  slugRule,
+  // Send false to opt out of the acknowledgement email
+  body('sendAcknowledgement').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const form = await FormDefinition.findOne({ slug: req.params.slug, enabled: true });
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found'
+      });
+    }
+
+    const result = await validateSubmission(form, req);
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: result.errors
+      });
+    }
+
+    // The challenge must be solved before anything is stored
+    const { captcha } = req.app.locals.config;
+    if (captcha.enabled) {
+      const challengeError = await verifyChallenge(req.body.captchaToken, req.body.captchaSolution);
+      if (challengeError) {
+        return res.status(400).json({
+          success: false,
+          message: challengeError
+        });
+      }
+    }
+
+    const { contactValues, formData } = result.values;
+    const message = contactValues.message || summarizeFormData(form, formData);
+
+    // Prevent duplicate submissions (same email, form and message in last 5 minutes)
+    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
+    const existingContact = await Contact.findOne({
+      email: contactValues.email,
+      form: form._id,
+      message,
+      createdAt: { $gte: fiveMinutesAgo }
+    });
+
+    if (existingContact) {
+      return res.status(429).json({
+        success: false,
+        message: 'Duplicate submission detected. Please wait before submitting again.'
+      });
+    }
+
+    const ipAddress = req.ip || req.connection.remoteAddress;
+
+    const spam = await scoreSubmission({ ...req.body, message }, {
+      ipAddress,
+      settings: req.app.locals.config.spam
+    });
+
+    const contact = new Contact({
+      ...contactValues,
+      subject: contactValues.subject || form.name,
+      message,
+      form: form._id,
+      formData: Object.keys(formData).length > 0 ? formData : undefined,
+      ipAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    await processNewContact(contact, spam, {
+      settings: req.app.locals.config.acknowledgement,
+      optOut: req.body.sendAcknowledgement === false
+    });
+
+    res.status(201).json({
+      success: true,
+      message: form.successMessage,
+      data: {
+        id: contact._id,
+        reference: contact.reference,
+        form: form.slug,
+        submittedAt: contact.createdAt
+      }
+    });
+
+  } catch (error) {
+    // Form limits that go past what a contact can hold (e.g. a 500 character name)
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    console.error('Form submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit form. Please try again later.'
+    });
+  }
+});
+
+module.exports = router;
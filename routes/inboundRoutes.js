@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const express = require('express');
+const Contact = require('../models/Contact');
+const Message = require('../models/Message');
+const {
+  contactIdFromAddress,
+  contactIdFromMessageId,
+  parseInboundEmail
+} = require('../utils/inboundEmail');
+const router = express.Router();
+
+// The relay proves who it is with a shared secret in the X-Inbound-Secret header
+const verifyInboundSecret = (req, res, next) => {
+  const expected = process.env.INBOUND_EMAIL_SECRET;
+
+  if (!expected) {
+    return res.status(503).json({
+      success: false,
+      message: 'Inbound email is not configured'
+    });
+  }
+
+  const provided = Buffer.from(req.get('X-Inbound-Secret') || '');
+  const expectedBuffer = Buffer.from(expected);
+
+  if (provided.length !== expectedBuffer.length || !crypto.timingSafeEqual(provided, expectedBuffer)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid inbound secret'
+    });
+  }
+
+  next();
+};
+
+// Mail relays post the raw message, not JSON. Runs after verifyInboundSecret so nobody
+// without the secret gets a 10 MB body read into memory.
+const parseRawEmail = express.raw({
+  type: ['message/rfc822', 'text/plain', 'application/octet-stream'],
+  limit: '10mb'
+});
+
+// Work out which contact an inbound email belongs to
+// 1. reply+<contactId>@ recipient address
+// 2. In-Reply-To / References pointing at one of our Message-IDs
+const findContactForEmail = async (email) => {
+  for (const address of email.recipients) {
+    const contactId = contactIdFromAddress(address);
+    if (contactId) {
+      const contact = await Contact.findById(contactId);
+      if (contact) return contact;
+    }
+  }
+
+  for (const reference of email.references) {
+    const contactId = contactIdFromMessageId(reference);
+    if (contactId) {
+      const contact = await Contact.findById(contactId);
+      if (contact) return contact;
+    }
+  }
+
+  // Message-IDs assigned by the SMTP server instead of us - look them up in the thread
+  if (email.references.length > 0) {
+    const earlier = await Message.findOne({ emailMessageId: { $in: email.references } });
+    if (earlier) {
+      return Contact.findById(earlier.contact);
+    }
+  }
+
+  return null;
+};
+
+// POST /api/inbound/email - Receive a raw RFC 822 email from an SMTP relay or mail webhook
+router.post('/email', verifyInboundSecret, parseRawEmail, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Request body must be a raw RFC 822 message (Content-Type: message/rfc822)'
+      });
+    }
+
+    const email = await parseInboundEmail(req.body);
+
+    // Relays retry on failure - don't store the same email twice
+    if (email.messageId && await Message.exists({ emailMessageId: email.messageId })) {
+      return res.json({
+        success: true,
+        message: 'Email already received',
+        data: { matched: true, duplicate: true }
+      });
+    }
+
+    const contact = await findContactForEmail(email);
+
+    // Answer 202 so the relay doesn't keep retrying an email we'll never be able to match
+    if (!contact) {
+      console.warn(`Inbound email from ${email.from} could not be matched to a contact`);
+      return res.status(202).json({
+        success: true,
+        message: 'Email received but not matched to a contact',
+        data: { matched: false }
+      });
+    }
+
+    // Anyone can write to the reply address or copy our headers, so only the contact's
+    // own address counts as the customer writing back
+    const senderVerified = Boolean(email.from) &&
+      email.from.toLowerCase() === String(contact.email || '').toLowerCase();
+    if (!senderVerified) {
+      console.warn(`Inbound email for contact ${contact._id} came from ${email.from}, not the contact's address`);
+    }
+
+    const message = await Message.create({
+      contact: contact._id,
+      type: 'inbound',
+      direction: 'inbound',
+      subject: email.subject.slice(0, 200),
+      body: (email.text || '(no text content)').slice(0, 5000),
+      fromAddress: email.from,
+      senderVerified,
+      emailMessageId: email.messageId,
+      sentAt: email.date
+    });
+
+    // The customer wrote back, so the ball is in our court again (spam stays spam)
+    if (senderVerified && !contact.checkTransition('awaiting_response')) {
+      contact.applyTransition('awaiting_response', { reason: 'Customer replied by email' });
+      await contact.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Email added to contact thread',
+      data: {
+        matched: true,
+        contactId: contact._id,
+        messageId: message._id,
+        senderVerified
+      }
+    });
+
+  } catch (error) {
+    console.error('Inbound email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process inbound email'
+    });
+  }
+});
+
+module.exports = router;
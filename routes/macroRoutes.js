@@ -0,0 +1,360 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Macro = require('../models/Macro');
+const { MACRO_STATUSES } = require('../models/Macro');
+const Contact = require('../models/Contact');
+const { authenticateAdmin, requireTwoFactorSetup, authorize } = require('../middleware/auth');
+const { recordAudit, diffFields } = require('../utils/auditLogger');
+const { MACRO_VARIABLES, renderMacro, checkMacroTags } = require('../utils/replyMacros');
+const router = express.Router();
+
+router.use(authenticateAdmin, requireTwoFactorSetup, authorize('contacts:reply'));
+
+const MACRO_FIELDS = ['name', 'subject', 'body', 'scope', 'actions'];
+
+// Validation rules shared by create and update
+const macroValidation = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('subject').optional({ values: 'null' }).isString().trim().isLength({ max: 200 })
+    .withMessage('Subject cannot exceed 200 characters'),
+  (optional ? body('body').optional() : body('body'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Macro text must be between 1 and 5000 characters'),
+  body('scope').optional().isIn(['shared', 'personal']),
+  body('actions').optional().isObject(),
+  body('actions.status').optional({ values: 'null' }).isIn(MACRO_STATUSES)
+    .withMessage(`Status must be one of: ${MACRO_STATUSES.join(', ')}`),
+  body('actions.tags').optional().isArray(),
+  body('actions.tags.*').isString().trim().toLowerCase()
+];
+
+// Shared macros are managed by admins with settings:manage, personal ones by their owner
+const canManage = (macro, admin) => macro.scope === 'shared'
+  ? admin.permissions.includes('settings:manage')
+  : String(macro.owner) === String(admin.id);
+
+// Model-level checks (placeholder syntax ...) come back as a ValidationError
+const validationMessage = (error) => Object.values(error.errors).map(val => val.message).join(', ');
+
+// GET /api/admin/macros - Shared macros plus my personal ones
+router.get('/', [
+  query('scope').optional().isIn(['shared', 'personal']),
+  query('search').optional().isString().trim().isLength({ max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const visible = [{ scope: 'shared' }, { scope: 'personal', owner: req.admin.id }];
+    const filter = req.query.scope
+      ? visible.find(condition => condition.scope === req.query.scope)
+      : { $or: visible };
+
+    if (req.query.search) {
+      const pattern = new RegExp(req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      Object.assign(filter, { name: pattern });
+    }
+
+    const macros = await Macro.find(filter).sort({ scope: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        macros,
+        variables: MACRO_VARIABLES,
+        statuses: MACRO_STATUSES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get macros error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch macros'
+    });
+  }
+});
+
+// GET /api/admin/macros/:id - Get a single macro
+router.get('/:id', async (req, res) => {
+  try {
+    const macro = await Macro.findById(req.params.id);
+
+    if (!macro || !macro.isVisibleTo(req.admin.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Macro not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: macro
+    });
+
+  } catch (error) {
+    console.error('Get macro error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch macro'
+    });
+  }
+});
+
+// POST /api/admin/macros/:id/render - Fill in a macro for a contact, to check it before sending
+router.post('/:id/render', [
+  body('contactId').isMongoId().withMessage('contactId must be a valid id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const macro = await Macro.findById(req.params.id);
+
+    if (!macro || !macro.isVisibleTo(req.admin.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Macro not found'
+      });
+    }
+
+    const contact = await Contact.findById(req.body.contactId);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...(await renderMacro(macro, contact, req.admin.id)),
+        actions: macro.actions
+      }
+    });
+
+  } catch (error) {
+    console.error('Render macro error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render macro'
+    });
+  }
+});
+
+// POST /api/admin/macros - Create a macro (shared ones need settings:manage)
+router.post('/', macroValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const macro = new Macro({ createdBy: req.admin.id, owner: req.admin.id });
+    MACRO_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        macro[field] = req.body[field];
+      }
+    });
+
+    if (!canManage(macro, req.admin)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins who can manage settings can create shared macros'
+      });
+    }
+
+    const tagProblem = await checkMacroTags(macro.actions.tags);
+    if (tagProblem) {
+      return res.status(400).json({
+        success: false,
+        message: `${tagProblem}. Create them first.`
+      });
+    }
+
+    await macro.save();
+
+    await recordAudit(req, {
+      action: 'macro.create',
+      targetType: 'macro',
+      targetId: macro._id,
+      changes: { before: null, after: macro.toObject() }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Macro created successfully',
+      data: macro
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+
+    console.error('Create macro error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create macro'
+    });
+  }
+});
+
+// PUT /api/admin/macros/:id - Update a macro
+router.put('/:id', macroValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const macro = await Macro.findById(req.params.id);
+
+    if (!macro || !macro.isVisibleTo(req.admin.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Macro not found'
+      });
+    }
+
+    if (!canManage(macro, req.admin)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins who can manage settings can change shared macros'
+      });
+    }
+
+    const before = macro.toObject();
+    MACRO_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        macro[field] = req.body[field];
+      }
+    });
+
+    // Making a shared macro personal gives it to whoever did it
+    if (macro.scope === 'personal' && !macro.owner) {
+      macro.owner = req.admin.id;
+    }
+
+    if (!canManage(macro, req.admin)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins who can manage settings can share macros'
+      });
+    }
+
+    const tagProblem = await checkMacroTags(macro.actions.tags);
+    if (tagProblem) {
+      return res.status(400).json({
+        success: false,
+        message: `${tagProblem}. Create them first.`
+      });
+    }
+
+    await macro.save();
+
+    const changes = diffFields(before, macro.toObject(), MACRO_FIELDS);
+    if (changes) {
+      await recordAudit(req, {
+        action: 'macro.update',
+        targetType: 'macro',
+        targetId: macro._id,
+        changes
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Macro updated successfully',
+      data: macro
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+
+    console.error('Update macro error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update macro'
+    });
+  }
+});
+
+// DELETE /api/admin/macros/:id - Delete a macro
+router.delete('/:id', async (req, res) => {
+  try {
+    const macro = await Macro.findById(req.params.id);
+
+    if (!macro || !macro.isVisibleTo(req.admin.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Macro not found'
+      });
+    }
+
+    if (!canManage(macro, req.admin)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins who can manage settings can delete shared macros'
+      });
+    }
+
+    await macro.deleteOne();
+
+    await recordAudit(req, {
+      action: 'macro.delete',
+      targetType: 'macro',
+      targetId: macro._id,
+      changes: { before: macro.toObject(), after: null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Macro deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete macro error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete macro'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,304 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Admin = require('../models/Admin');
+const NotificationPreference = require('../models/NotificationPreference');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { authenticateAdmin, requireTwoFactorSetup } = require('../middleware/auth');
+const { recordAudit } = require('../utils/auditLogger');
+const { sendTestNotification } = require('../utils/notificationDispatcher');
+const { checkOutboundUrl } = require('../utils/outboundUrl');
+const {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  CHANNEL_HOSTS,
+  DEFAULT_SUBSCRIPTIONS
+} = require('../config/notifications');
+const router = express.Router();
+
+router.use(authenticateAdmin, requireTwoFactorSetup);
+
+const urlRule = (field) => body(field)
+  .optional({ values: 'null' })
+  .trim()
+  .isURL({ protocols: ['https'], require_protocol: true })
+  .withMessage(`${field} must be an https URL`);
+
+// What an admin's preferences look like over the API (the webhook secret is never shown)
+const toResponse = (preference) => ({
+  channels: {
+    email: { enabled: preference ? preference.channels.email.enabled !== false : true },
+    webhook: {
+      url: preference ? preference.channels.webhook.url || null : null,
+      hasSecret: Boolean(preference && preference.channels.webhook.secret)
+    },
+    slack: { url: preference ? preference.channels.slack.url || null : null },
+    teams: { url: preference ? preference.channels.teams.url || null : null }
+  },
+  subscriptions: preference ? preference.subscriptions : DEFAULT_SUBSCRIPTIONS,
+  isDefault: !preference
+});
+
+// GET /api/admin/notifications/events - Events and channels that can be subscribed to
+router.get('/events', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      events: Object.entries(NOTIFICATION_EVENTS).map(([name, description]) => ({ name, description })),
+      channels: NOTIFICATION_CHANNELS
+    }
+  });
+});
+
+// GET /api/admin/notifications/preferences - My notification channels and subscriptions
+router.get('/preferences', async (req, res) => {
+  try {
+    const preference = await NotificationPreference.findOne({ admin: req.admin.id })
+      .select('+channels.webhook.secret');
+
+    res.json({
+      success: true,
+      data: toResponse(preference)
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification preferences'
+    });
+  }
+});
+
+// PUT /api/admin/notifications/preferences - Change my channels and/or subscriptions
+// Send a URL as null to remove it; subscriptions replace the whole list
+router.put('/preferences', [
+  body('channels.email.enabled').optional().isBoolean().toBoolean(),
+  urlRule('channels.webhook.url'),
+  body('channels.webhook.secret').optional({ values: 'null' }).isString().isLength({ min: 16, max: 200 })
+    .withMessage('Webhook secret must be between 16 and 200 characters'),
+  urlRule('channels.slack.url'),
+  urlRule('channels.teams.url'),
+  body('subscriptions').optional().isArray({ max: Object.keys(NOTIFICATION_EVENTS).length })
+    .withMessage('subscriptions must be a list'),
+  body('subscriptions.*.event').isIn(Object.keys(NOTIFICATION_EVENTS))
+    .withMessage(`event must be one of: ${Object.keys(NOTIFICATION_EVENTS).join(', ')}`),
+  body('subscriptions.*.channels').isArray().withMessage('channels must be a list'),
+  body('subscriptions.*.channels.*').isIn(NOTIFICATION_CHANNELS)
+    .withMessage(`channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`),
+  body('subscriptions.*.scope').optional().isIn(['all', 'mine'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.body.subscriptions) {
+      const events = req.body.subscriptions.map(sub => sub.event);
+      if (new Set(events).size !== events.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each event can only be listed once'
+        });
+      }
+    }
+
+    const channels = req.body.channels || {};
+
+    // The server posts to these URLs, so they must not lead into our own network.
+    // A generic webhook can point anywhere public, so only admins who manage settings may set one.
+    for (const channel of ['webhook', 'slack', 'teams']) {
+      const url = channels[channel] && channels[channel].url;
+      if (!url) continue;
+
+      if (channel === 'webhook' && !req.admin.permissions.includes('settings:manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only admins who can manage settings can set a webhook URL'
+        });
+      }
+
+      const problem = await checkOutboundUrl(url, { allowedHosts: CHANNEL_HOSTS[channel] });
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: `channels.${channel}.url: ${problem}`
+        });
+      }
+    }
+
+    let preference = await NotificationPreference.findOne({ admin: req.admin.id })
+      .select('+channels.webhook.secret');
+
+    if (!preference) {
+      preference = new NotificationPreference({
+        admin: req.admin.id,
+        subscriptions: DEFAULT_SUBSCRIPTIONS
+      });
+    }
+
+    const before = toResponse(preference);
+
+    if (channels.email && channels.email.enabled !== undefined) {
+      preference.channels.email.enabled = channels.email.enabled;
+    }
+    ['webhook', 'slack', 'teams'].forEach(channel => {
+      if (channels[channel] && channels[channel].url !== undefined) {
+        preference.channels[channel].url = channels[channel].url || undefined;
+      }
+    });
+    if (channels.webhook && channels.webhook.secret !== undefined) {
+      preference.channels.webhook.secret = channels.webhook.secret || undefined;
+    }
+
+    if (req.body.subscriptions) {
+      preference.subscriptions = req.body.subscriptions.map(sub => ({
+        event: sub.event,
+        channels: [...new Set(sub.channels)],
+        scope: sub.scope || 'all'
+      }));
+    }
+
+    await preference.save();
+
+    const after = toResponse(preference);
+
+    await recordAudit(req, {
+      action: 'notification_preferences.update',
+      targetType: 'admin',
+      targetId: req.admin.id,
+      changes: { before, after }
+    });
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: after
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences'
+    });
+  }
+});
+
+// POST /api/admin/notifications/test - Send a test notification over one of my channels
+router.post('/test', [
+  body('channel').isIn(NOTIFICATION_CHANNELS).withMessage(`channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await Admin.findById(req.admin.id).select('username fullName email');
+    const delivery = await sendTestNotification(admin, req.body.channel);
+
+    if (!delivery) {
+      return res.status(400).json({
+        success: false,
+        message: `The ${req.body.channel} channel is not set up`
+      });
+    }
+
+    const delivered = delivery.status !== 'failed';
+
+    res.status(delivered ? 200 : 502).json({
+      success: delivered,
+      message: delivered
+        ? `Test notification ${delivery.status}`
+        : `Test notification failed: ${delivery.error}`,
+      data: delivery
+    });
+
+  } catch (error) {
+    console.error('Test notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send test notification'
+    });
+  }
+});
+
+// GET /api/admin/notifications/deliveries - Delivery attempts, newest first
+// Admins with settings:manage see everyone's; others only their own
+router.get('/deliveries', [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('event').optional().isIn([...Object.keys(NOTIFICATION_EVENTS), 'test']),
+  query('channel').optional().isIn(NOTIFICATION_CHANNELS),
+  query('status').optional().isIn(['sent', 'queued', 'failed']),
+  query('admin').optional().isMongoId(),
+  query('contact').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    ['event', 'channel', 'status', 'contact'].forEach(field => {
+      if (req.query[field]) {
+        filter[field] = req.query[field];
+      }
+    });
+
+    if (!req.admin.permissions.includes('settings:manage')) {
+      filter.admin = req.admin.id;
+    } else if (req.query.admin) {
+      filter.admin = req.query.admin;
+    }
+
+    const deliveries = await NotificationDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('admin', 'username fullName');
+
+    const total = await NotificationDelivery.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notification deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification deliveries'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const Admin = require('../models/Admin');
+const { PERMISSIONS } = require('../config/permissions');
+const { authenticateAdmin, requireTwoFactorSetup, authorize } = require('../middleware/auth');
+const { recordAudit, diffFields } = require('../utils/auditLogger');
+const router = express.Router();
+
+// Managing roles needs the admins:manage permission
+router.use(authenticateAdmin, requireTwoFactorSetup, authorize('admins:manage'));
+
+// Validation rules shared by create and update
+const roleValidation = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown permission')
+];
+
+// GET /api/admin/roles - List roles and every available permission
+router.get('/', async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        roles,
+        permissions: PERMISSIONS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roles'
+    });
+  }
+});
+
+// POST /api/admin/roles - Create a role
+router.post('/', [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9_]{2,30}$/)
+    .withMessage('Role name must be 2-30 lowercase letters, numbers, or underscores'),
+  ...roleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, permissions = [] } = req.body;
+
+    if (await Role.exists({ name })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    const role = await Role.create({ name, description, permissions });
+
+    await recordAudit(req, {
+      action: 'role.create',
+      targetType: 'role',
+      targetId: role._id,
+      changes: { before: null, after: { name, description, permissions: role.permissions } }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create role'
+    });
+  }
+});
+
+// PUT /api/admin/roles/:name - Change a role's description or permissions
+router.put('/:name', roleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.name === 'super_admin' && req.body.permissions !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'The super_admin role always has every permission'
+      });
+    }
+
+    const before = role.toObject();
+    ['description', 'permissions'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        role[field] = req.body[field];
+      }
+    });
+
+    await role.save();
+
+    const changes = diffFields(before, role.toObject(), ['description', 'permissions']);
+    if (changes) {
+      await recordAudit(req, {
+        action: 'role.update',
+        targetType: 'role',
+        targetId: role._id,
+        changes
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role'
+    });
+  }
+});
+
+// DELETE /api/admin/roles/:name - Delete a custom role that nobody uses
+router.delete('/:name', async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const adminsWithRole = await Admin.countDocuments({ role: role.name });
+    if (adminsWithRole > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is still assigned to ${adminsWithRole} admin(s)`
+      });
+    }
+
+    await role.deleteOne();
+
+    await recordAudit(req, {
+      action: 'role.delete',
+      targetType: 'role',
+      targetId: role._id,
+      changes: { before: { name: role.name, permissions: role.permissions }, after: null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete role'
+    });
+  }
+});
+
+module.exports = router;
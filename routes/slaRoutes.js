@@ -0,0 +1,96 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const SlaPolicy = require('../models/SlaPolicy');
+const { authenticateAdmin, requireTwoFactorSetup, authorize } = require('../middleware/auth');
+const { recordAudit, diffFields } = require('../utils/auditLogger');
+const router = express.Router();
+
+router.use(authenticateAdmin, requireTwoFactorSetup);
+
+// GET /api/admin/sla/policies - SLA targets for each priority
+router.get('/policies', authorize('contacts:read'), async (req, res) => {
+  try {
+    const policies = await SlaPolicy.find().sort({ firstResponseMinutes: 1 });
+
+    res.json({
+      success: true,
+      data: policies
+    });
+
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch SLA policies'
+    });
+  }
+});
+
+// PUT /api/admin/sla/policies/:priority - Change the SLA targets for a priority
+// New deadlines apply to contacts submitted (or re-prioritised) after the change
+router.put('/policies/:priority', authorize('settings:manage'), [
+  param('priority').isIn(['low', 'medium', 'high', 'urgent']).withMessage('Unknown priority'),
+  body('firstResponseMinutes').optional().isInt({ min: 1 }).toInt().withMessage('firstResponseMinutes must be a positive whole number'),
+  body('resolveMinutes').optional().isInt({ min: 1 }).toInt().withMessage('resolveMinutes must be a positive whole number'),
+  body('enabled').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let policy = await SlaPolicy.findOne({ priority: req.params.priority });
+
+    if (!policy) {
+      policy = new SlaPolicy(await SlaPolicy.forPriority(req.params.priority));
+    }
+
+    const allowedUpdates = ['firstResponseMinutes', 'resolveMinutes', 'enabled'];
+    const before = policy.toObject();
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        policy[field] = req.body[field];
+      }
+    });
+
+    if (policy.resolveMinutes < policy.firstResponseMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Resolution time cannot be shorter than first response time'
+      });
+    }
+
+    await policy.save();
+
+    const changes = diffFields(before, policy.toObject(), allowedUpdates);
+    if (changes) {
+      await recordAudit(req, {
+        action: 'sla.update',
+        targetType: 'setting',
+        targetId: policy._id,
+        changes,
+        metadata: { priority: policy.priority }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'SLA policy updated successfully',
+      data: policy
+    });
+
+  } catch (error) {
+    console.error('Update SLA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update SLA policy'
+    });
+  }
+});
+
+module.exports = router;
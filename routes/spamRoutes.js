@@ -0,0 +1,91 @@
+const express = require('express');
+const net = require('net');
+const { body, validationResult } = require('express-validator');
+const Setting = require('../models/Setting');
+const { authenticateAdmin, requireTwoFactorSetup, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/auditLogger');
+const { getBlocklist } = require('../utils/spamFilter');
+const router = express.Router();
+
+router.use(authenticateAdmin, requireTwoFactorSetup);
+
+// GET /api/admin/spam/blocklist - Blocked email/link domains and IP addresses
+router.get('/blocklist', authorize('contacts:read'), async (req, res) => {
+  try {
+    const blocklist = await getBlocklist();
+
+    res.json({
+      success: true,
+      data: {
+        ...blocklist,
+        threshold: req.app.locals.config.spam.threshold
+      }
+    });
+
+  } catch (error) {
+    console.error('Get spam blocklist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch spam blocklist'
+    });
+  }
+});
+
+// PUT /api/admin/spam/blocklist - Replace the blocked domains and/or IP addresses
+router.put('/blocklist', authorize('settings:manage'), [
+  body('domains').optional().isArray({ max: 1000 }).withMessage('domains must be a list'),
+  body('domains.*')
+    .trim()
+    .toLowerCase()
+    .isFQDN()
+    .withMessage('Each domain must be a valid domain name'),
+  body('ips').optional().isArray({ max: 1000 }).withMessage('ips must be a list'),
+  body('ips.*')
+    .trim()
+    .custom(ip => net.isIP(ip) !== 0)
+    .withMessage('Each IP must be a valid IPv4 or IPv6 address')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const previous = await getBlocklist();
+    const blocklist = {
+      domains: req.body.domains ? [...new Set(req.body.domains)] : previous.domains,
+      ips: req.body.ips ? [...new Set(req.body.ips)] : previous.ips
+    };
+
+    const setting = await Setting.setValue('spam.blocklist', blocklist, req.admin.id);
+
+    await recordAudit(req, {
+      action: 'setting.update',
+      targetType: 'setting',
+      targetId: setting._id,
+      changes: {
+        before: { 'spam.blocklist': previous },
+        after: { 'spam.blocklist': blocklist }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Spam blocklist updated',
+      data: blocklist
+    });
+
+  } catch (error) {
+    console.error('Update spam blocklist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update spam blocklist'
+    });
+  }
+});
+
+module.exports = router;
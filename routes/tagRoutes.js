@@ -0,0 +1,247 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Tag = require('../models/Tag');
+const Contact = require('../models/Contact');
+const TriageRule = require('../models/TriageRule');
+const Macro = require('../models/Macro');
+const { authenticateAdmin, requireTwoFactorSetup, authorize } = require('../middleware/auth');
+const { recordAudit, diffFields } = require('../utils/auditLogger');
+const router = express.Router();
+
+router.use(authenticateAdmin, requireTwoFactorSetup);
+
+// Tags are stored by name on contacts and in triage rule and macro actions,
+// so renames and deletes have to reach all three
+const renameTag = (oldName, newName) => Promise.all([
+  Contact.updateMany(
+    { tags: oldName },
+    { $set: { 'tags.$[tag]': newName } },
+    { arrayFilters: [{ tag: oldName }], withDeleted: true }
+  ),
+  TriageRule.updateMany(
+    { 'actions.tags': oldName },
+    { $set: { 'actions.tags.$[tag]': newName } },
+    { arrayFilters: [{ tag: oldName }] }
+  ),
+  Macro.updateMany(
+    { 'actions.tags': oldName },
+    { $set: { 'actions.tags.$[tag]': newName } },
+    { arrayFilters: [{ tag: oldName }] }
+  )
+]);
+
+// Returns how many contacts, rules and macros lost the tag
+const removeTag = async (name) => {
+  const [contacts, rules, macros] = await Promise.all([
+    Contact.updateMany({ tags: name }, { $pull: { tags: name } }, { withDeleted: true }),
+    TriageRule.updateMany({ 'actions.tags': name }, { $pull: { 'actions.tags': name } }),
+    Macro.updateMany({ 'actions.tags': name }, { $pull: { 'actions.tags': name } })
+  ]);
+
+  return {
+    contactsUpdated: contacts.modifiedCount,
+    rulesUpdated: rules.modifiedCount,
+    macrosUpdated: macros.modifiedCount
+  };
+};
+
+// Validation rules shared by create and update
+const tagValidation = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9][a-z0-9 _-]{0,39}$/)
+    .withMessage('Tag name must be 1-40 letters, numbers, spaces, dashes, or underscores'),
+
+  body('color')
+    .optional()
+    .trim()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value like #1a2b3c')
+];
+
+// GET /api/admin/tags - List tags with how many contacts use each
+router.get('/', authorize('contacts:read'), async (req, res) => {
+  try {
+    const tags = await Tag.find().sort({ name: 1 });
+
+    const counts = await Contact.aggregate([
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]);
+    const countByName = counts.reduce((acc, item) => {
+      acc[item._id] = item.count;
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      data: tags.map(tag => ({
+        ...tag.toObject(),
+        contactCount: countByName[tag.name] || 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tags'
+    });
+  }
+});
+
+// POST /api/admin/tags - Create a tag
+router.post('/', authorize('contacts:update'), tagValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (await Tag.exists({ name: req.body.name })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A tag with this name already exists'
+      });
+    }
+
+    const tag = await Tag.create({
+      name: req.body.name,
+      color: req.body.color,
+      createdBy: req.admin.id
+    });
+
+    await recordAudit(req, {
+      action: 'tag.create',
+      targetType: 'tag',
+      targetId: tag._id,
+      changes: { before: null, after: { name: tag.name, color: tag.color } }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: tag
+    });
+
+  } catch (error) {
+    console.error('Create tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create tag'
+    });
+  }
+});
+
+// PUT /api/admin/tags/:id - Rename or recolour a tag (renaming updates every contact, rule and macro using it)
+router.put('/:id', authorize('contacts:update'), tagValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const oldName = tag.name;
+
+    if (req.body.name && req.body.name !== oldName &&
+        await Tag.exists({ name: req.body.name })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A tag with this name already exists'
+      });
+    }
+
+    const before = tag.toObject();
+    ['name', 'color'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        tag[field] = req.body[field];
+      }
+    });
+
+    await tag.save();
+
+    if (tag.name !== oldName) {
+      await renameTag(oldName, tag.name);
+    }
+
+    const changes = diffFields(before, tag.toObject(), ['name', 'color']);
+    if (changes) {
+      await recordAudit(req, {
+        action: 'tag.update',
+        targetType: 'tag',
+        targetId: tag._id,
+        changes
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: tag
+    });
+
+  } catch (error) {
+    console.error('Update tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update tag'
+    });
+  }
+});
+
+// DELETE /api/admin/tags/:id - Delete a tag and remove it from every contact, rule and macro
+router.delete('/:id', authorize('contacts:update'), async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    await tag.deleteOne();
+    const removed = await removeTag(tag.name);
+
+    await recordAudit(req, {
+      action: 'tag.delete',
+      targetType: 'tag',
+      targetId: tag._id,
+      changes: { before: { name: tag.name, color: tag.color }, after: null },
+      metadata: removed
+    });
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete tag'
+    });
+  }
+});
+
+module.exports = router;
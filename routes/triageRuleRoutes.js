@@ -0,0 +1,284 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const TriageRule = require('../models/TriageRule');
+const { CONDITION_FIELDS, CONDITION_OPERATORS } = require('../models/TriageRule');
+const Admin = require('../models/Admin');
+const Tag = require('../models/Tag');
+const { authenticateAdmin, requireTwoFactorSetup, authorize } = require('../middleware/auth');
+const { recordAudit, diffFields } = require('../utils/auditLogger');
+const { evaluateRules, loadEnabledRules } = require('../utils/triageEngine');
+const router = express.Router();
+
+router.use(authenticateAdmin, requireTwoFactorSetup);
+
+const RULE_FIELDS = ['name', 'order', 'enabled', 'matchMode', 'conditions', 'actions', 'stopProcessing'];
+
+// Validation rules shared by create and update
+const ruleValidation = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('order').optional().isInt().toInt(),
+  body('enabled').optional().isBoolean().toBoolean(),
+  body('matchMode').optional().isIn(['all', 'any']),
+  (optional ? body('conditions').optional() : body('conditions'))
+    .isArray({ min: 1 })
+    .withMessage('At least one condition is required'),
+  body('conditions.*.field').isIn(CONDITION_FIELDS).withMessage(`Field must be one of: ${CONDITION_FIELDS.join(', ')}`),
+  body('conditions.*.operator').isIn(CONDITION_OPERATORS).withMessage(`Operator must be one of: ${CONDITION_OPERATORS.join(', ')}`),
+  body('conditions.*.values').optional().isArray(),
+  body('actions').optional().isObject(),
+  body('actions.priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+  body('actions.tags').optional().isArray(),
+  body('actions.tags.*').isString().trim().toLowerCase(),
+  body('actions.assignTo').optional({ values: 'null' }).isMongoId().withMessage('assignTo must be an admin ID'),
+  body('actions.status').optional().isIn(['read', 'resolved', 'spam']),
+  body('stopProcessing').optional().isBoolean().toBoolean()
+];
+
+// Check that the tags and assignee used by a rule's actions exist
+// Returns a message describing the problem, or null
+const checkActionTargets = async (actions = {}) => {
+  if (actions.tags && actions.tags.length > 0) {
+    const known = await Tag.find({ name: { $in: actions.tags } }).distinct('name');
+    const unknown = actions.tags.filter(tag => !known.includes(tag));
+    if (unknown.length > 0) {
+      return `Unknown tag(s): ${unknown.join(', ')}`;
+    }
+  }
+
+  if (actions.assignTo && !(await Admin.exists({ _id: actions.assignTo, isActive: true }))) {
+    return 'Assignee not found or inactive';
+  }
+
+  return null;
+};
+
+// present/absent don't need values, the other operators do
+const checkConditionValues = (conditions = []) => {
+  const missing = conditions.find(condition =>
+    !['present', 'absent'].includes(condition.operator) &&
+    !(condition.values && condition.values.some(value => String(value).trim())));
+
+  return missing ? `Condition on "${missing.field}" with "${missing.operator}" needs at least one value` : null;
+};
+
+// GET /api/admin/triage-rules - List rules in the order they run
+router.get('/', authorize('contacts:read'), async (req, res) => {
+  try {
+    const rules = await TriageRule.find()
+      .sort({ order: 1, createdAt: 1 })
+      .populate('actions.assignTo', 'username fullName');
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        fields: CONDITION_FIELDS,
+        operators: CONDITION_OPERATORS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get triage rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch triage rules'
+    });
+  }
+});
+
+// POST /api/admin/triage-rules/dry-run - Show which rules would fire for a sample submission
+router.post('/dry-run', authorize('contacts:read'), [
+  body('name').optional().isString(),
+  body('email').optional().isString(),
+  body('phone').optional().isString(),
+  body('subject').optional().isString(),
+  body('message').optional().isString(),
+  body('company').optional().isString(),
+  body('school').optional().isString(),
+  body('includeDisabled').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rules = req.body.includeDisabled
+      ? await TriageRule.find().sort({ order: 1, createdAt: 1 })
+      : await loadEnabledRules();
+
+    const { fired, outcome } = evaluateRules(rules, req.body);
+
+    res.json({
+      success: true,
+      data: {
+        rulesChecked: rules.length,
+        fired,
+        outcome
+      }
+    });
+
+  } catch (error) {
+    console.error('Triage dry run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run triage rules'
+    });
+  }
+});
+
+// POST /api/admin/triage-rules - Create a rule
+router.post('/', authorize('settings:manage'), ruleValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const problem = checkConditionValues(req.body.conditions) || await checkActionTargets(req.body.actions);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const rule = new TriageRule({ createdBy: req.admin.id });
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    });
+
+    await rule.save();
+
+    await recordAudit(req, {
+      action: 'triage_rule.create',
+      targetType: 'setting',
+      targetId: rule._id,
+      changes: { before: null, after: rule.toObject() }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Triage rule created successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    console.error('Create triage rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create triage rule'
+    });
+  }
+});
+
+// PUT /api/admin/triage-rules/:id - Update a rule (including order and enabled)
+router.put('/:id', authorize('settings:manage'), ruleValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await TriageRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Triage rule not found'
+      });
+    }
+
+    const problem = checkConditionValues(req.body.conditions) || await checkActionTargets(req.body.actions);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const before = rule.toObject();
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    });
+
+    await rule.save();
+
+    const changes = diffFields(before, rule.toObject(), RULE_FIELDS);
+    if (changes) {
+      await recordAudit(req, {
+        action: 'triage_rule.update',
+        targetType: 'setting',
+        targetId: rule._id,
+        changes
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Triage rule updated successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    console.error('Update triage rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update triage rule'
+    });
+  }
+});
+
+// DELETE /api/admin/triage-rules/:id - Delete a rule
+router.delete('/:id', authorize('settings:manage'), async (req, res) => {
+  try {
+    const rule = await TriageRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Triage rule not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'triage_rule.delete',
+      targetType: 'setting',
+      targetId: rule._id,
+      changes: { before: rule.toObject(), after: null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Triage rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete triage rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete triage rule'
+    });
+  }
+});
+
+module.exports = router;
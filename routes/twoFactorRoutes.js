@@ -0,0 +1,349 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Admin = require('../models/Admin');
+const Setting = require('../models/Setting');
+const { authenticateAdmin, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/auditLogger');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+  generateRecoveryCodes
+} = require('../utils/totp');
+const router = express.Router();
+
+// All 2FA management routes need a logged-in admin
+router.use(authenticateAdmin);
+
+// Binding an authenticator takes more than an access token (which may be stolen): the
+// password, plus a current code from the old authenticator when 2FA is already on.
+// Returns true if the admin proved both.
+const reauthenticate = async (admin, { password, currentCode }) => {
+  if (!(await admin.comparePassword(password))) return false;
+  if (!admin.twoFactor.enabled) return true;
+
+  const step = verifyTotp(admin.twoFactor.secret, currentCode, {
+    lastUsedStep: admin.twoFactor.lastUsedStep
+  });
+  return step !== null && admin.claimTotpStep(step);
+};
+
+const reauthenticationRules = [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('currentCode').optional().trim().matches(/^\d{6}$/).withMessage('Current code must be 6 digits')
+];
+
+// POST /api/auth/2fa/setup - Start enrollment (or replace the authenticator): create a secret
+// and otpauth URI for the authenticator app
+router.post('/setup', reauthenticationRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await Admin.findById(req.admin.id)
+      .select('+password +twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!(await reauthenticate(admin, req.body))) {
+      return res.status(400).json({
+        success: false,
+        message: admin.twoFactor.enabled
+          ? 'Password or current two-factor code is incorrect'
+          : 'Password is incorrect'
+      });
+    }
+
+    const secret = generateSecret();
+    admin.twoFactor.pendingSecret = secret;
+    await admin.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpAuthUri(secret, admin.email)
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// POST /api/auth/2fa/confirm - Finish enrollment with the first code and get recovery codes
+router.post('/confirm', [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  ...reauthenticationRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await Admin.findById(req.admin.id)
+      .select('+password +twoFactor.pendingSecret +twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!admin.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'No two-factor setup in progress. Start with /api/auth/2fa/setup'
+      });
+    }
+
+    // Check the new code first - a current code is used up by reauthenticate()
+    const step = verifyTotp(admin.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const replacing = admin.twoFactor.enabled;
+    if (!(await reauthenticate(admin, req.body))) {
+      return res.status(400).json({
+        success: false,
+        message: replacing
+          ? 'Password or current two-factor code is incorrect'
+          : 'Password is incorrect'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+    admin.twoFactor.pendingSecret = undefined;
+    admin.twoFactor.enabled = true;
+    admin.twoFactor.enabledAt = new Date();
+    admin.twoFactor.lastUsedStep = Math.max(step, admin.twoFactor.lastUsedStep || 0);
+    admin.setRecoveryCodes(recoveryCodes);
+    await admin.save();
+
+    await recordAudit(req, {
+      action: 'auth.2fa_enabled',
+      targetType: 'admin',
+      targetId: admin._id,
+      metadata: replacing ? { replaced: true } : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe - they are shown only once.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace all recovery codes (needs a current 2FA code)
+router.post('/recovery-codes', [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await Admin.findById(req.admin.id)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const step = verifyTotp(admin.twoFactor.secret, req.body.code, {
+      lastUsedStep: admin.twoFactor.lastUsedStep
+    });
+    if (step === null || !(await admin.claimTotpStep(step))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    admin.setRecoveryCodes(recoveryCodes);
+    await admin.save();
+
+    await recordAudit(req, {
+      action: 'auth.2fa_recovery_codes_regenerated',
+      targetType: 'admin',
+      targetId: admin._id
+    });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. The old ones no longer work.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate recovery codes'
+    });
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn 2FA off (needs the password and a current code)
+router.post('/disable', [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const required = await Setting.getValue('security.requireTwoFactor', false);
+    if (required) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for all admins and cannot be disabled'
+      });
+    }
+
+    const admin = await Admin.findById(req.admin.id)
+      .select('+password +twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await admin.comparePassword(req.body.password);
+    const step = verifyTotp(admin.twoFactor.secret, req.body.code, {
+      lastUsedStep: admin.twoFactor.lastUsedStep
+    });
+
+    if (!isPasswordValid || step === null || !(await admin.claimTotpStep(step))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password or two-factor code is incorrect'
+      });
+    }
+
+    admin.twoFactor = { enabled: false };
+    await admin.save();
+
+    await recordAudit(req, {
+      action: 'auth.2fa_disabled',
+      targetType: 'admin',
+      targetId: admin._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// GET /api/auth/2fa/policy - Whether 2FA is required for every admin
+router.get('/policy', async (req, res) => {
+  try {
+    const required = await Setting.getValue('security.requireTwoFactor', false);
+
+    res.json({
+      success: true,
+      data: { required }
+    });
+
+  } catch (error) {
+    console.error('2FA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor policy'
+    });
+  }
+});
+
+// PUT /api/auth/2fa/policy - Require (or stop requiring) 2FA for every admin (needs settings:manage)
+router.put('/policy', authorize('settings:manage'), [
+  body('required').isBoolean().withMessage('required must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const previous = await Setting.getValue('security.requireTwoFactor', false);
+    const setting = await Setting.setValue('security.requireTwoFactor', req.body.required, req.admin.id);
+
+    await recordAudit(req, {
+      action: 'setting.update',
+      targetType: 'setting',
+      targetId: setting._id,
+      changes: {
+        before: { 'security.requireTwoFactor': previous },
+        after: { 'security.requireTwoFactor': req.body.required }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: req.body.required
+        ? 'Two-factor authentication is now required for all admins'
+        : 'Two-factor authentication is now optional',
+      data: { required: req.body.required }
+    });
+
+  } catch (error) {
+    console.error('2FA policy update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update two-factor policy'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,496 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Admin = require('../models/Admin');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const { authenticateAdmin, requireTwoFactorSetup, authorize } = require('../middleware/auth');
+const { sendPasswordResetEmail } = require('../utils/emailService');
+const { recordAudit, diffFields } = require('../utils/auditLogger');
+const router = express.Router();
+
+// Managing admin accounts needs the admins:manage permission
+router.use(authenticateAdmin, requireTwoFactorSetup, authorize('admins:manage'));
+
+// Fields that are safe to send back for an admin account
+const toAdminSummary = (admin) => ({
+  id: admin._id,
+  username: admin.username,
+  email: admin.email,
+  fullName: admin.fullName,
+  role: admin.role,
+  isActive: admin.isActive,
+  twoFactorEnabled: admin.twoFactor.enabled,
+  failedLoginCount: admin.failedLoginCount,
+  lockUntil: admin.isLocked() ? admin.lockUntil : null,
+  lastLogin: admin.lastLogin,
+  createdAt: admin.createdAt
+});
+
+// Take an active super admin out of that group (demote or deactivate), unless nobody would be left.
+// Checking first and saving after lets two requests each see the other as the one left, so the
+// update goes in first and is undone if no active super admin remains.
+// Returns the updated admin, or null when refused.
+const updateUnlessLastSuperAdmin = async (admin, update) => {
+  const updated = await Admin.findOneAndUpdate(
+    { _id: admin._id, role: 'super_admin', isActive: true },
+    { $set: update },
+    { new: true, runValidators: true }
+  );
+  if (!updated) return null;
+
+  const remaining = await Admin.countDocuments({ role: 'super_admin', isActive: true });
+  if (remaining === 0) {
+    await Admin.updateOne({ _id: admin._id }, { $set: { role: 'super_admin', isActive: true } });
+    return null;
+  }
+
+  return updated;
+};
+
+// GET /api/admin/users - List admin accounts with filtering and pagination
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('role').optional().trim().toLowerCase(),
+  query('isActive').optional().isBoolean().toBoolean(),
+  query('search').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = {};
+
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive;
+    }
+
+    if (req.query.search) {
+      const search = req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { username: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { fullName: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const admins = await Admin.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Admin.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        users: admins.map(toAdminSummary),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get admin users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch admin users'
+    });
+  }
+});
+
+// GET /api/admin/users/:id - Get a single admin account
+router.get('/:id', async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toAdminSummary(admin)
+    });
+
+  } catch (error) {
+    console.error('Get admin user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch admin user'
+    });
+  }
+});
+
+// PUT /api/admin/users/:id - Edit full name, email or role
+router.put('/:id', [
+  body('fullName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Full name cannot exceed 100 characters'),
+
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+
+  body('role')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .custom(async (name) => {
+      if (!(await Role.exists({ name }))) {
+        throw new Error('Role does not exist');
+      }
+      return true;
+    })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    // admins:manage alone must not be a way to become (or take over) a super admin
+    if ((req.body.role === 'super_admin' || admin.role === 'super_admin') && req.admin.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only super admins can grant the super admin role or edit super admins'
+      });
+    }
+
+    if (req.body.email && req.body.email !== admin.email) {
+      const emailTaken = await Admin.exists({ email: req.body.email, _id: { $ne: admin._id } });
+      if (emailTaken) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another admin already uses this email'
+        });
+      }
+    }
+
+    // Update allowed fields in one write - saving the copy loaded above could put back
+    // values another request changed in the meantime
+    const allowedUpdates = ['fullName', 'email', 'role'];
+    const update = {};
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        update[field] = req.body[field];
+      }
+    });
+
+    const before = admin.toObject();
+    const demoting = admin.role === 'super_admin' && admin.isActive &&
+      update.role !== undefined && update.role !== 'super_admin';
+
+    let updated;
+    if (demoting) {
+      updated = await updateUnlessLastSuperAdmin(admin, update);
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot demote the last active super admin'
+        });
+      }
+    } else {
+      updated = await Admin.findByIdAndUpdate(admin._id, { $set: update }, { new: true, runValidators: true });
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Admin not found'
+        });
+      }
+    }
+
+    const changes = diffFields(before, updated.toObject(), allowedUpdates);
+    if (changes) {
+      await recordAudit(req, {
+        action: 'admin.update',
+        targetType: 'admin',
+        targetId: admin._id,
+        changes
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Admin updated successfully',
+      data: toAdminSummary(updated)
+    });
+
+  } catch (error) {
+    console.error('Update admin user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update admin user'
+    });
+  }
+});
+
+// POST /api/admin/users/:id/deactivate - Disable an account and end all its sessions
+router.post('/:id/deactivate', async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (!admin.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin is already deactivated'
+      });
+    }
+
+    if (admin.role === 'super_admin') {
+      if (!(await updateUnlessLastSuperAdmin(admin, { isActive: false }))) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot deactivate the last active super admin'
+        });
+      }
+      admin.isActive = false;
+    } else {
+      admin.isActive = false;
+      await admin.save();
+    }
+    await Session.revokeAllForAdmin(admin._id, 'admin_action');
+
+    await recordAudit(req, {
+      action: 'admin.deactivate',
+      targetType: 'admin',
+      targetId: admin._id,
+      changes: { before: { isActive: true }, after: { isActive: false } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin deactivated successfully',
+      data: toAdminSummary(admin)
+    });
+
+  } catch (error) {
+    console.error('Deactivate admin user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate admin user'
+    });
+  }
+});
+
+// POST /api/admin/users/:id/reactivate - Re-enable a deactivated account
+router.post('/:id/reactivate', async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (admin.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin is already active'
+      });
+    }
+
+    admin.isActive = true;
+    await admin.save();
+
+    await recordAudit(req, {
+      action: 'admin.reactivate',
+      targetType: 'admin',
+      targetId: admin._id,
+      changes: { before: { isActive: false }, after: { isActive: true } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin reactivated successfully',
+      data: toAdminSummary(admin)
+    });
+
+  } catch (error) {
+    console.error('Reactivate admin user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reactivate admin user'
+    });
+  }
+});
+
+// POST /api/admin/users/:id/unlock - Clear a lockout caused by failed logins
+router.post('/:id/unlock', async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    const wasLocked = admin.isLocked();
+    await admin.unlock();
+
+    await recordAudit(req, {
+      action: 'admin.unlock',
+      targetType: 'admin',
+      targetId: admin._id,
+      metadata: { wasLocked }
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin account unlocked',
+      data: toAdminSummary(admin)
+    });
+
+  } catch (error) {
+    console.error('Unlock admin user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock admin user'
+    });
+  }
+});
+
+// POST /api/admin/users/:id/logout - Force logout: revoke every session of the admin
+router.post('/:id/logout', async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    const result = await Session.revokeAllForAdmin(admin._id, 'admin_action');
+
+    await recordAudit(req, {
+      action: 'admin.force_logout',
+      targetType: 'admin',
+      targetId: admin._id,
+      metadata: { sessionsRevoked: result.modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin has been logged out everywhere',
+      data: { sessionsRevoked: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out admin'
+    });
+  }
+});
+
+// POST /api/admin/users/:id/force-password-reset - Lock out the current password and email a reset link
+router.post('/:id/force-password-reset', async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (!admin.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reactivate the admin before resetting their password'
+      });
+    }
+
+    // Queue the email before locking the account out: if it can't be sent, nothing changes
+    // and the admin still has a working password
+    const token = admin.createPasswordResetToken();
+    const resetUrl = `${process.env.ADMIN_PANEL_URL || 'http://localhost:3000/admin'}/reset-password?token=${token}`;
+    try {
+      await sendPasswordResetEmail(admin, resetUrl);
+    } catch (error) {
+      return res.status(503).json({
+        success: false,
+        message: 'The reset email could not be sent, so the account was left unchanged'
+      });
+    }
+
+    admin.mustResetPassword = true;
+    await admin.save();
+    await Session.revokeAllForAdmin(admin._id, 'admin_action');
+
+    await recordAudit(req, {
+      action: 'admin.force_password_reset',
+      targetType: 'admin',
+      targetId: admin._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Password reset email sent. The admin must set a new password before logging in again.'
+    });
+
+  } catch (error) {
+    console.error('Force password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to force password reset'
+    });
+  }
+});
+
+module.exports = router;
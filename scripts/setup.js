@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Admin = require('../models/Admin');
+const Role = require('../models/Role');
 require('dotenv').config();
 
 // This script creates the first admin account so you can access the admin panel
@@ -14,6 +15,9 @@ const setupDatabase = async () => {
 
     console.log('✅ Connected to MongoDB');
 
+    // Create the built-in roles (super_admin, admin) and their permissions
+    await Role.ensureDefaults();
+
     // Check if super admin already exists
     const existingSuperAdmin = await Admin.findOne({ role: 'super_admin' });
 
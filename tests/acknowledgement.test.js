@@ -0,0 +1,143 @@
+jest.mock('../utils/triageEngine', () => ({ runTriage: jest.fn() }));
+jest.mock('../utils/autoAssign', () => ({ autoAssignContact: jest.fn() }));
+jest.mock('../utils/sla', () => ({ applySlaPolicy: jest.fn() }));
+jest.mock('../utils/notificationDispatcher', () => ({ notify: jest.fn().mockResolvedValue() }));
+jest.mock('../utils/emailService', () => ({
+  ...jest.requireActual('../utils/emailService'),
+  sendAcknowledgementEmail: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const AcknowledgementCooldown = require('../models/AcknowledgementCooldown');
+const { processNewContact } = require('../utils/contactIntake');
+const { sendAcknowledgementEmail, acknowledgementVariables, renderEmail } = require('../utils/emailService');
+const { DEFAULT_TEMPLATES, SAMPLE_CONTACT } = require('../config/emailTemplates');
+const { loadConfig } = require('../config');
+
+const notSpam = { score: 0, reasons: [], isSpam: false, contentHash: 'hash' };
+const enabled = { enabled: true, cooldownHours: 24 };
+
+const makeContact = () => {
+  const contact = new Contact({
+    name: 'Priya Sharma',
+    email: 'priya@school.example',
+    message: 'We would like robotics kits for 120 students.'
+  });
+  jest.spyOn(contact, 'save').mockResolvedValue(contact);
+  return contact;
+};
+
+// In-memory stand-in for the unique index on email
+const stubCooldowns = () => {
+  const running = new Set();
+  jest.spyOn(AcknowledgementCooldown, 'claim').mockImplementation(async (email) => {
+    if (running.has(email)) return false;
+    running.add(email);
+    return true;
+  });
+  jest.spyOn(AcknowledgementCooldown, 'release').mockImplementation(async (email) => {
+    running.delete(email);
+  });
+  return running;
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  sendAcknowledgementEmail.mockReset();
+  jest.spyOn(Contact, 'updateOne').mockResolvedValue({});
+});
+
+describe('acknowledgement settings', () => {
+  const original = process.env.AUTO_ACK_ENABLED;
+
+  afterEach(() => {
+    if (original === undefined) delete process.env.AUTO_ACK_ENABLED;
+    else process.env.AUTO_ACK_ENABLED = original;
+  });
+
+  it('are off unless AUTO_ACK_ENABLED is true', () => {
+    delete process.env.AUTO_ACK_ENABLED;
+    expect(loadConfig('production').acknowledgement.enabled).toBe(false);
+
+    process.env.AUTO_ACK_ENABLED = 'true';
+    expect(loadConfig('production').acknowledgement.enabled).toBe(true);
+  });
+});
+
+describe('processNewContact acknowledgements', () => {
+  it('sends nothing when turned off', async () => {
+    const claim = jest.spyOn(AcknowledgementCooldown, 'claim');
+
+    await processNewContact(makeContact(), notSpam, { settings: { enabled: false, cooldownHours: 24 } });
+
+    expect(claim).not.toHaveBeenCalled();
+    expect(sendAcknowledgementEmail).not.toHaveBeenCalled();
+  });
+
+  it('sends one email per address, even for submissions arriving together', async () => {
+    stubCooldowns();
+    sendAcknowledgementEmail.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    const contacts = [makeContact(), makeContact(), makeContact()];
+    await Promise.all(contacts.map(contact => processNewContact(contact, notSpam, { settings: enabled })));
+
+    expect(sendAcknowledgementEmail).toHaveBeenCalledTimes(1);
+    expect(contacts.filter(contact => contact.acknowledgedAt)).toHaveLength(1);
+  });
+
+  it('gives the cooldown back when nothing was queued', async () => {
+    const running = stubCooldowns();
+    sendAcknowledgementEmail.mockResolvedValue(undefined);
+
+    await processNewContact(makeContact(), notSpam, { settings: enabled });
+
+    expect(running.size).toBe(0);
+  });
+
+  it('respects an opt-out', async () => {
+    stubCooldowns();
+
+    await processNewContact(makeContact(), notSpam, { settings: enabled, optOut: true });
+
+    expect(sendAcknowledgementEmail).not.toHaveBeenCalled();
+  });
+});
+
+describe('AcknowledgementCooldown.claim', () => {
+  it('takes over only an expired cooldown, in one upsert', async () => {
+    const upsert = jest.spyOn(AcknowledgementCooldown, 'findOneAndUpdate').mockResolvedValue({});
+
+    await expect(AcknowledgementCooldown.claim('Priya@School.example', 24)).resolves.toBe(true);
+
+    const [filter, , options] = upsert.mock.calls[0];
+    expect(filter).toEqual({ email: 'priya@school.example', expiresAt: { $lte: expect.any(Date) } });
+    expect(options).toEqual({ upsert: true });
+  });
+
+  it('reports a running cooldown', async () => {
+    jest.spyOn(AcknowledgementCooldown, 'findOneAndUpdate')
+      .mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(AcknowledgementCooldown.claim('priya@school.example', 24)).resolves.toBe(false);
+  });
+});
+
+describe('acknowledgement email', () => {
+  it('carries the reference but nothing the sender typed', async () => {
+    const contact = { ...SAMPLE_CONTACT, name: 'Visit evil.example', message: 'Click https://evil.example' };
+    const email = await renderEmail('auto_acknowledgement', acknowledgementVariables(contact, '24 hours'),
+      DEFAULT_TEMPLATES.auto_acknowledgement);
+
+    expect(email.subject).toContain(SAMPLE_CONTACT.reference);
+    expect(email.text).toContain('within 24 hours');
+    expect(`${email.subject}${email.html}${email.text}`).not.toContain('evil.example');
+  });
+
+  it('leaves sender text out even if an edited template asks for it', async () => {
+    const template = { subject: 'Hi', html: '<p>{{contact.name}} {{contact.message}} {{contact.reference}}</p>' };
+    const email = await renderEmail('auto_acknowledgement', acknowledgementVariables(SAMPLE_CONTACT), template);
+
+    expect(email.html).toBe(`<p>  ${SAMPLE_CONTACT.reference}</p>`);
+  });
+});
@@ -0,0 +1,47 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+
+// Smoke tests for the app factory - nothing here needs a database
+describe('createApp', () => {
+  const app = createApp(loadConfig('test'));
+
+  it('answers the health check', async () => {
+    const res = await request(app).get('/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('OK');
+  });
+
+  it('returns JSON 404s for unknown routes', async () => {
+    const res = await request(app).get('/no-such-route');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ success: false, message: 'Route not found' });
+  });
+
+  it('rejects admin routes without a token', async () => {
+    const res = await request(app).get('/api/admin/dashboard');
+
+    expect(res.status).toBe(401);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('validates the contact form before touching the database', async () => {
+    const res = await request(app).post('/api/contact').send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+  });
+
+  it('uses the profile CORS origins', async () => {
+    const production = createApp(loadConfig('production'));
+    const res = await request(production).get('/health').set('Origin', 'https://tangiblelearning.in');
+
+    expect(res.headers['access-control-allow-origin']).toBe('https://tangiblelearning.in');
+  });
+
+  it('refuses unknown profiles', () => {
+    expect(() => loadConfig('staging')).toThrow(/Unknown profile/);
+  });
+});
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Attachment = require('../models/Attachment');
+const { saveAttachments } = require('../utils/attachmentStorage');
+
+const localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachment-storage-'));
+const settings = { driver: 'local', localDir };
+
+// Every file the local driver has stored, relative to its folder
+const storedFiles = () => fs.readdirSync(localDir, { recursive: true })
+  .filter(name => fs.statSync(path.join(localDir, name)).isFile());
+
+const upload = (originalname) => {
+  const filePath = path.join(localDir, `upload-${Date.now()}.tmp`);
+  fs.writeFileSync(filePath, '%PDF-1.4\n');
+  return { path: filePath, originalname, mimetype: 'application/pdf', size: 9 };
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(localDir, { recursive: true, force: true });
+});
+
+describe('saveAttachments', () => {
+  it('shortens overlong file names to what the record allows', async () => {
+    const create = jest.spyOn(Attachment, 'create').mockImplementation(async (doc) => doc);
+    const file = upload(`${'x'.repeat(300)}.pdf`);
+
+    await saveAttachments(new mongoose.Types.ObjectId(), [file], settings);
+
+    expect(create.mock.calls[0][0].originalName).toHaveLength(255);
+    fs.rmSync(file.path);
+  });
+
+  it('removes the stored file when the record cannot be created', async () => {
+    jest.spyOn(Attachment, 'create').mockRejectedValue(new Error('db down'));
+    const file = upload('prices.pdf');
+    const before = storedFiles();
+
+    await expect(saveAttachments(new mongoose.Types.ObjectId(), [file], settings)).rejects.toThrow('db down');
+
+    expect(storedFiles()).toEqual(before);
+    fs.rmSync(file.path);
+  });
+});
@@ -0,0 +1,41 @@
+jest.mock('../middleware/auth', () => require('./helpers/mockAuth'));
+
+const request = require('supertest');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const mockAuth = require('./helpers/mockAuth');
+const AuditLog = require('../models/AuditLog');
+const { TARGET_TYPES } = require('../models/AuditLog');
+
+const app = createApp(loadConfig('test'));
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  mockAuth.loginAs(['audit:read']);
+
+  const chain = {
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    populate: () => chain,
+    then: (resolve) => resolve([])
+  };
+  jest.spyOn(AuditLog, 'find').mockReturnValue(chain);
+  jest.spyOn(AuditLog, 'countDocuments').mockResolvedValue(0);
+});
+
+describe('GET /api/admin/audit', () => {
+  it('filters by every target type the model knows', async () => {
+    for (const targetType of TARGET_TYPES) {
+      const res = await request(app).get(`/api/admin/audit?targetType=${targetType}`);
+      expect(res.status).toBe(200);
+    }
+  });
+
+  it('rejects unknown target types', async () => {
+    const res = await request(app).get('/api/admin/audit?targetType=nothing');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid query parameters');
+  });
+});
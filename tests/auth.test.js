@@ -0,0 +1,207 @@
+jest.mock('../middleware/auth', () => require('./helpers/mockAuth'));
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const mockAuth = require('./helpers/mockAuth');
+const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const { rotateRefreshToken, hashToken } = require('../utils/tokenService');
+
+const app = createApp(loadConfig('test'));
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+});
+
+describe('PUT /api/auth/change-password', () => {
+  it('revokes every other session but keeps the current one', async () => {
+    const me = mockAuth.loginAs([]);
+    const admin = {
+      _id: me.id,
+      comparePassword: jest.fn().mockResolvedValue(true),
+      save: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(Admin, 'findById').mockReturnValue({ select: () => Promise.resolve(admin) });
+    const revoke = jest.spyOn(Session, 'revokeAllForAdmin').mockResolvedValue({});
+
+    const res = await request(app)
+      .put('/api/auth/change-password')
+      .send({ currentPassword: 'old-pass-1', newPassword: 'brand-new-pass-2' });
+
+    expect(res.status).toBe(200);
+    expect(admin.save).toHaveBeenCalled();
+    expect(revoke).toHaveBeenCalledWith(me.id, 'password_changed', me.sessionId);
+  });
+
+  it('leaves sessions alone when the current password is wrong', async () => {
+    mockAuth.loginAs([]);
+    jest.spyOn(Admin, 'findById').mockReturnValue({
+      select: () => Promise.resolve({ comparePassword: jest.fn().mockResolvedValue(false) })
+    });
+    const revoke = jest.spyOn(Session, 'revokeAllForAdmin');
+
+    const res = await request(app)
+      .put('/api/auth/change-password')
+      .send({ currentPassword: 'wrong-pass-1', newPassword: 'brand-new-pass-2' });
+
+    expect(res.status).toBe(400);
+    expect(revoke).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+  const message = 'If an account with that email exists, a password reset link has been sent.';
+
+  it('answers before the reset token is stored', async () => {
+    const admin = {
+      _id: new mongoose.Types.ObjectId(),
+      createPasswordResetToken: jest.fn().mockReturnValue('token'),
+      // Never settles, so the request would hang if the handler waited on it
+      save: jest.fn().mockReturnValue(new Promise(() => {}))
+    };
+    jest.spyOn(Admin, 'findOne').mockResolvedValue(admin);
+
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: 'known@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe(message);
+    expect(admin.save).toHaveBeenCalled();
+    expect(AuditLog.create).not.toHaveBeenCalled();
+  });
+
+  it('gives the same answer for an unknown email', async () => {
+    jest.spyOn(Admin, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe(message);
+  });
+});
+
+describe('POST /api/auth/reset-password', () => {
+  const candidate = { _id: new mongoose.Types.ObjectId(), username: 'tester', email: 'tester@example.com' };
+
+  it('uses the token up in one update before setting the password', async () => {
+    const admin = { ...candidate, save: jest.fn().mockResolvedValue() };
+    jest.spyOn(Admin, 'findOne').mockResolvedValue(candidate);
+    const consume = jest.spyOn(Admin, 'findOneAndUpdate').mockResolvedValue(admin);
+    jest.spyOn(Session, 'revokeAllForAdmin').mockResolvedValue({});
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: 'reset-token', password: 'brand-new-pass-2' });
+
+    expect(res.status).toBe(200);
+    const [filter, update] = consume.mock.calls[0];
+    expect(filter.passwordResetTokenHash).toBe(hashToken('reset-token'));
+    expect(filter.passwordResetExpires.$gt).toBeInstanceOf(Date);
+    expect(update).toEqual({ $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } });
+    expect(admin.password).toBe('brand-new-pass-2');
+    expect(admin.save).toHaveBeenCalled();
+  });
+
+  it('refuses the second of two requests with the same link', async () => {
+    jest.spyOn(Admin, 'findOne').mockResolvedValue(candidate);
+    jest.spyOn(Admin, 'findOneAndUpdate').mockResolvedValue(null);
+    const revoke = jest.spyOn(Session, 'revokeAllForAdmin');
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: 'reset-token', password: 'brand-new-pass-2' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Reset link is invalid or has expired');
+    expect(revoke).not.toHaveBeenCalled();
+  });
+
+  it('keeps the token when the new password is rejected', async () => {
+    jest.spyOn(Admin, 'findOne').mockResolvedValue(candidate);
+    const consume = jest.spyOn(Admin, 'findOneAndUpdate');
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: 'reset-token', password: 'short' });
+
+    expect(res.status).toBe(400);
+    expect(consume).not.toHaveBeenCalled();
+  });
+});
+
+describe('Session.revokeAllForAdmin', () => {
+  it('skips the excepted session', async () => {
+    const updateMany = jest.spyOn(Session, 'updateMany').mockResolvedValue({});
+    const adminId = new mongoose.Types.ObjectId();
+    const keep = new mongoose.Types.ObjectId();
+
+    await Session.revokeAllForAdmin(adminId, 'password_changed', keep);
+
+    expect(updateMany.mock.calls[0][0]).toEqual({ admin: adminId, revokedAt: null, _id: { $ne: keep } });
+  });
+});
+
+describe('rotateRefreshToken', () => {
+  const fakeSession = (overrides) => {
+    const session = {
+      _id: new mongoose.Types.ObjectId(),
+      admin: { _id: new mongoose.Types.ObjectId(), username: 'tester', isActive: true },
+      refreshTokenHash: hashToken('current'),
+      previousTokenHashes: [hashToken('old')],
+      isActive: () => true,
+      save: jest.fn().mockResolvedValue(),
+      revoke: jest.fn().mockResolvedValue(),
+      ...overrides
+    };
+    jest.spyOn(Session, 'findById').mockReturnValue({
+      select: () => ({ populate: () => Promise.resolve(session) })
+    });
+    return session;
+  };
+
+  it('issues a new pair and retires the presented token', async () => {
+    const session = fakeSession();
+
+    const update = jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(session);
+
+    const result = await rotateRefreshToken(`${session._id}.current`);
+
+    expect(result.error).toBeUndefined();
+    expect(result.refreshToken).not.toBe(`${session._id}.current`);
+    const [filter, change] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: session._id, refreshTokenHash: hashToken('current'), revokedAt: null });
+    expect(change.$push).toEqual({ previousTokenHashes: hashToken('current') });
+    expect(change.$set.refreshTokenHash).not.toBe(hashToken('current'));
+  });
+
+  it('treats losing a concurrent rotation as reuse', async () => {
+    const session = fakeSession();
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+    const revoke = jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+
+    const result = await rotateRefreshToken(`${session._id}.current`);
+
+    expect(result.error).toBe('reused');
+    expect(result.refreshToken).toBeUndefined();
+    expect(revoke.mock.calls[0][1]).toMatchObject({ revokedReason: 'reuse_detected' });
+  });
+
+  it('revokes the session when an old token is presented again', async () => {
+    const session = fakeSession();
+
+    const result = await rotateRefreshToken(`${session._id}.old`);
+
+    expect(result.error).toBe('reused');
+    expect(session.revoke).toHaveBeenCalledWith('reuse_detected');
+  });
+
+  it('rejects malformed tokens without a lookup', async () => {
+    const findById = jest.spyOn(Session, 'findById');
+
+    expect(await rotateRefreshToken('not-a-token')).toEqual({ error: 'invalid' });
+    expect(findById).not.toHaveBeenCalled();
+  });
+});
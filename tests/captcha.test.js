@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const UsedChallenge = require('../models/UsedChallenge');
+const { issueChallenge, verifyChallenge } = require('../utils/captcha');
+const { loadConfig } = require('../config');
+
+const settings = (type, difficulty) => ({ type, difficulty, ttlSeconds: 600 });
+
+// Answer an arithmetic question like "What is 3 + 4 - 2?"
+const solveArithmetic = (question) => question
+  .replace(/^What is |\?$/g, '')
+  .split(' ')
+  .reduce((acc, part, i, parts) => {
+    if (i === 0) return Number(part);
+    if (i % 2 === 1) return acc;
+    return parts[i - 1] === '-' ? acc - Number(part) : acc + Number(part);
+  }, 0);
+
+// Brute-force a proof-of-work solution (difficulty is kept low in tests)
+const solvePow = ({ nonce, difficulty }) => {
+  for (let solution = 0; ; solution++) {
+    const hash = crypto.createHash('sha256').update(`${nonce}:${solution}`).digest();
+    const zeroBits = hash.readUInt32BE(0) === 0 ? 32 : Math.clz32(hash.readUInt32BE(0));
+    if (zeroBits >= difficulty) return String(solution);
+  }
+};
+
+let used;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  // In-memory stand-in for the unique index on nonce
+  used = new Set();
+  jest.spyOn(UsedChallenge, 'claim').mockImplementation(async (nonce) => {
+    if (used.has(nonce)) return false;
+    used.add(nonce);
+    return true;
+  });
+});
+
+describe('arithmetic challenges', () => {
+  it('accepts the right answer once', async () => {
+    const challenge = issueChallenge(settings('arithmetic', 2));
+    const answer = solveArithmetic(challenge.question);
+
+    await expect(verifyChallenge(challenge.token, answer)).resolves.toBeNull();
+    await expect(verifyChallenge(challenge.token, answer)).resolves.toMatch(/already been used/);
+  });
+
+  it('uses the challenge up on a wrong answer', async () => {
+    const challenge = issueChallenge(settings('arithmetic', 2));
+    const answer = solveArithmetic(challenge.question);
+
+    await expect(verifyChallenge(challenge.token, answer + 1)).resolves.toMatch(/incorrect/);
+    // Guessing again with the same token gets nowhere, even with the right answer
+    await expect(verifyChallenge(challenge.token, answer)).resolves.toMatch(/already been used/);
+  });
+
+  it('never sends the answer', () => {
+    const challenge = issueChallenge(settings('arithmetic', 2));
+    const payload = JSON.parse(Buffer.from(challenge.token.split('.')[0], 'base64url').toString());
+
+    expect(payload).not.toHaveProperty('answer');
+    expect(payload.answerHash).toBeDefined();
+  });
+});
+
+describe('proof-of-work challenges', () => {
+  it('accepts a valid solution and rejects a wrong one', async () => {
+    const challenge = issueChallenge(settings('pow', 8));
+    await expect(verifyChallenge(challenge.token, solvePow(challenge))).resolves.toBeNull();
+
+    const other = issueChallenge(settings('pow', 32));
+    await expect(verifyChallenge(other.token, 'not-a-solution')).resolves.toMatch(/incorrect/);
+  });
+});
+
+describe('tokens', () => {
+  it('rejects a tampered token without using anything up', async () => {
+    const challenge = issueChallenge(settings('pow', 8));
+    const [encoded] = challenge.token.split('.');
+
+    await expect(verifyChallenge(`${encoded}.forged`, '1')).resolves.toBe('Challenge is invalid');
+    expect(UsedChallenge.claim).not.toHaveBeenCalled();
+  });
+
+  it('rejects an expired challenge', async () => {
+    const challenge = issueChallenge({ type: 'pow', difficulty: 8, ttlSeconds: -1 });
+    await expect(verifyChallenge(challenge.token, '1')).resolves.toMatch(/expired/);
+  });
+});
+
+describe('config', () => {
+  const original = process.env.CAPTCHA_ENABLED;
+
+  afterEach(() => {
+    if (original === undefined) delete process.env.CAPTCHA_ENABLED;
+    else process.env.CAPTCHA_ENABLED = original;
+  });
+
+  it('is off unless CAPTCHA_ENABLED is true', () => {
+    delete process.env.CAPTCHA_ENABLED;
+    expect(loadConfig('production').captcha.enabled).toBe(false);
+    expect(loadConfig('development').captcha.enabled).toBe(false);
+
+    process.env.CAPTCHA_ENABLED = 'true';
+    expect(loadConfig('production').captcha.enabled).toBe(true);
+  });
+});
@@ -0,0 +1,101 @@
+jest.mock('../utils/contactIntake', () => ({
+  processNewContact: jest.fn(async (contact, spam) => {
+    contact.status = spam.isSpam ? 'spam' : 'new';
+    return contact;
+  })
+}));
+jest.mock('../utils/attachmentStorage', () => ({
+  ...jest.requireActual('../utils/attachmentStorage'),
+  saveAttachments: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const Contact = require('../models/Contact');
+const Setting = require('../models/Setting');
+const { saveAttachments } = require('../utils/attachmentStorage');
+
+const app = createApp(loadConfig('test'));
+const tempDir = path.join(os.tmpdir(), 'tangible-uploads');
+const pdf = Buffer.from('%PDF-1.4\n%fake but good enough\n');
+
+const listTemp = () => (fs.existsSync(tempDir) ? fs.readdirSync(tempDir).sort() : []);
+
+// Temporary files are removed once the response has closed
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+const submit = (fields = {}) => {
+  const req = request(app)
+    .post('/api/contact')
+    .field('name', 'Priya Sharma')
+    .field('email', 'priya@school.example')
+    .field('message', 'We would like robotics kits for 120 students.');
+  Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+  return req;
+};
+
+let tempBefore;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  saveAttachments.mockReset();
+  jest.spyOn(Contact, 'findOne').mockResolvedValue(null);
+  jest.spyOn(Contact, 'find').mockReturnValue({ setOptions: () => ({ distinct: () => Promise.resolve([]) }) });
+  jest.spyOn(Setting, 'getValue').mockResolvedValue({ domains: [], ips: [] });
+  tempBefore = listTemp();
+});
+
+describe('POST /api/contact with attachments', () => {
+  it('stores the files of a normal submission from disk', async () => {
+    saveAttachments.mockImplementation(async (contactId, files) => {
+      // Files arrive as temporary paths, not in-memory buffers
+      expect(files[0].buffer).toBeUndefined();
+      expect(fs.readFileSync(files[0].path)).toEqual(pdf);
+      return [{}];
+    });
+
+    const res = await submit().attach('attachments', pdf, { filename: 'prices.pdf', contentType: 'application/pdf' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.attachments).toBe(1);
+    expect(saveAttachments).toHaveBeenCalled();
+    await settle();
+    expect(listTemp()).toEqual(tempBefore);
+  });
+
+  it('never stores the files of spam, but answers the same', async () => {
+    const res = await submit({ website: 'http://bot.example' })
+      .attach('attachments', pdf, { filename: 'prices.pdf', contentType: 'application/pdf' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.attachments).toBe(1);
+    expect(saveAttachments).not.toHaveBeenCalled();
+    await settle();
+    expect(listTemp()).toEqual(tempBefore);
+  });
+
+  it('removes the upload when the form fails validation', async () => {
+    const res = await request(app)
+      .post('/api/contact')
+      .field('name', 'x')
+      .attach('attachments', pdf, { filename: 'prices.pdf', contentType: 'application/pdf' });
+
+    expect(res.status).toBe(400);
+    await settle();
+    expect(listTemp()).toEqual(tempBefore);
+  });
+
+  it('rejects a file whose contents do not match its type', async () => {
+    const res = await submit()
+      .attach('attachments', Buffer.from('MZ not a pdf'), { filename: 'prices.pdf', contentType: 'application/pdf' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/contents don't match/);
+    await settle();
+    expect(listTemp()).toEqual(tempBefore);
+  });
+});
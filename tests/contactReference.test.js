@@ -0,0 +1,46 @@
+const Contact = require('../models/Contact');
+
+const duplicateReference = () => Object.assign(new Error('E11000 duplicate key error'), {
+  code: 11000,
+  keyPattern: { reference: 1 }
+});
+
+const newContact = () => new Contact({
+  name: 'Priya Sharma',
+  email: 'priya@school.example',
+  message: 'We would like robotics kits for 120 students.'
+});
+
+describe('Contact#saveNew', () => {
+  it('draws a new reference when the first one is taken', async () => {
+    const contact = newContact();
+    contact.reference = 'TL-240115-AAAA';
+    const save = jest.spyOn(contact, 'save')
+      .mockRejectedValueOnce(duplicateReference())
+      .mockResolvedValueOnce(contact);
+
+    await contact.saveNew();
+
+    expect(save).toHaveBeenCalledTimes(2);
+    expect(contact.reference).toMatch(/^TL-\d{6}-[2-9A-HJ-NP-Z]{4}$/);
+    expect(contact.reference).not.toBe('TL-240115-AAAA');
+  });
+
+  it('gives up after a few attempts', async () => {
+    const contact = newContact();
+    const save = jest.spyOn(contact, 'save').mockRejectedValue(duplicateReference());
+
+    await expect(contact.saveNew()).rejects.toMatchObject({ code: 11000 });
+    expect(save).toHaveBeenCalledTimes(5);
+  });
+
+  it('does not retry other errors', async () => {
+    const contact = newContact();
+    const save = jest.spyOn(contact, 'save').mockRejectedValue(
+      Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { email: 1 } })
+    );
+
+    await expect(contact.saveNew()).rejects.toThrow('duplicate key');
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+});
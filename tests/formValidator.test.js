@@ -0,0 +1,63 @@
+const FormDefinition = require('../models/FormDefinition');
+const { isSafePattern, validateSubmission } = require('../utils/formValidator');
+
+const definitionWith = (field) => new FormDefinition({
+  slug: 'school-visit',
+  name: 'School visit',
+  fields: [
+    { name: 'name', label: 'Name', type: 'text', required: true },
+    { name: 'email', label: 'Email', type: 'email', required: true },
+    { label: 'Code', type: 'text', ...field }
+  ]
+});
+
+describe('isSafePattern', () => {
+  it('accepts ordinary patterns', () => {
+    [
+      '^[A-Z]{2}-\\d{4}$',
+      '^(\\+91|0)?[6-9]\\d{9}$',
+      '^(?:[a-z]+ )?[a-z]+$',
+      '^[(+*)]+$',
+      '^(?<year>\\d{4})-\\d{2}$',
+      '^\\d+?$'
+    ].forEach(pattern => expect(isSafePattern(pattern)).toBe(true));
+  });
+
+  it('rejects nested repetition and backreferences', () => {
+    [
+      '^(a+)+$',
+      '^(\\d*)*$',
+      '^(?:\\w{2})+$',
+      '^((ab)*c)+$',
+      '^(x+x+){2,}y$',
+      '^(a)\\1$'
+    ].forEach(pattern => expect(isSafePattern(pattern)).toBe(false));
+  });
+});
+
+describe('form definition patterns', () => {
+  it('refuses to save a catastrophic pattern', async () => {
+    const error = await definitionWith({ name: 'code', pattern: '^(a+)+$' }).validate().catch(e => e);
+
+    expect(error.errors.fields.message).toMatch(/nested repetition/);
+  });
+
+  it('does not run a pattern on overlong input', async () => {
+    const definition = definitionWith({ name: 'code', pattern: '^a+$', maxLength: 5000 });
+    const req = { body: { name: 'Priya', email: 'priya@school.example', code: 'a'.repeat(300) } };
+
+    const result = await validateSubmission(definition, req);
+
+    expect(result.errors.map(error => error.path)).toEqual(['code']);
+  });
+
+  it('skips an unsafe pattern stored before the check existed', async () => {
+    const definition = definitionWith({ name: 'code' });
+    definition.fields[2].pattern = '^(a+)+$';
+    const req = { body: { name: 'Priya', email: 'priya@school.example', code: `${'a'.repeat(40)}!` } };
+
+    const result = await validateSubmission(definition, req);
+
+    expect(result.values.formData.code).toBe(`${'a'.repeat(40)}!`);
+  });
+});
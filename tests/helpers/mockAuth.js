@@ -0,0 +1,39 @@
+// Stand-in for middleware/auth.js: every request is made by `currentAdmin`.
+// Use with jest.mock('../middleware/auth', () => require('./helpers/mockAuth'))
+const mongoose = require('mongoose');
+
+const mockAuth = {
+  currentAdmin: null,
+
+  // Log in as an admin with these permissions for the next requests
+  loginAs(permissions = [], overrides = {}) {
+    mockAuth.currentAdmin = {
+      id: new mongoose.Types.ObjectId(),
+      username: 'tester',
+      email: 'tester@example.com',
+      role: 'admin',
+      permissions,
+      twoFactorEnabled: true,
+      sessionId: new mongoose.Types.ObjectId(),
+      ...overrides
+    };
+    return mockAuth.currentAdmin;
+  },
+
+  authenticateAdmin(req, res, next) {
+    if (!mockAuth.currentAdmin) {
+      return res.status(401).json({ success: false, message: 'Access denied. No token provided.' });
+    }
+    req.admin = mockAuth.currentAdmin;
+    next();
+  },
+
+  requireTwoFactorSetup(req, res, next) {
+    next();
+  },
+
+  // Permission checks are the real ones
+  authorize: jest.requireActual('../../middleware/auth').authorize
+};
+
+module.exports = mockAuth;
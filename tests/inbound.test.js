@@ -0,0 +1,104 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const Contact = require('../models/Contact');
+const Message = require('../models/Message');
+
+const app = createApp(loadConfig('test'));
+
+describe('POST /api/inbound/email', () => {
+  const original = process.env.INBOUND_EMAIL_SECRET;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    process.env.INBOUND_EMAIL_SECRET = 'relay-secret';
+  });
+
+  afterAll(() => {
+    process.env.INBOUND_EMAIL_SECRET = original;
+  });
+
+  it('refuses a wrong secret before reading the body', async () => {
+    // A body over the 10 MB limit would be a 413 if it were parsed first
+    const res = await request(app)
+      .post('/api/inbound/email')
+      .set('Content-Type', 'message/rfc822')
+      .set('X-Inbound-Secret', 'wrong-secret')
+      .set('Content-Length', String(11 * 1024 * 1024))
+      .send('Subject: hi');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('parses the body once the secret matches', async () => {
+    const res = await request(app)
+      .post('/api/inbound/email')
+      .set('Content-Type', 'message/rfc822')
+      .set('X-Inbound-Secret', 'relay-secret')
+      .send('');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('is off when no secret is configured', async () => {
+    delete process.env.INBOUND_EMAIL_SECRET;
+
+    const res = await request(app).post('/api/inbound/email').send('Subject: hi');
+
+    expect(res.status).toBe(503);
+  });
+
+  describe('a reply to a contact', () => {
+    const contactFor = () => {
+      const contact = new Contact({
+        name: 'Priya Sharma',
+        email: 'Priya@School.example',
+        message: 'We would like robotics kits for 120 students.',
+        status: 'replied'
+      });
+      jest.spyOn(contact, 'save').mockResolvedValue(contact);
+      jest.spyOn(Contact, 'findById').mockResolvedValue(contact);
+      jest.spyOn(Message, 'exists').mockResolvedValue(null);
+      return contact;
+    };
+
+    const reply = (contact, from) => request(app)
+      .post('/api/inbound/email')
+      .set('Content-Type', 'message/rfc822')
+      .set('X-Inbound-Secret', 'relay-secret')
+      .send([
+        `From: ${from}`,
+        `To: reply+${contact._id}@inbound.example`,
+        'Subject: Re: your enquiry',
+        'Message-ID: <reply-1@mail.example>',
+        '',
+        'Thanks, 120 kits please.'
+      ].join('\r\n'));
+
+    it('moves the status when the contact wrote it', async () => {
+      const contact = contactFor();
+      const create = jest.spyOn(Message, 'create').mockImplementation(async (doc) => ({ _id: 'm1', ...doc }));
+
+      const res = await reply(contact, 'Priya <priya@school.example>');
+
+      expect(res.status).toBe(201);
+      expect(create.mock.calls[0][0].senderVerified).toBe(true);
+      expect(contact.status).toBe('awaiting_response');
+      expect(contact.save).toHaveBeenCalled();
+    });
+
+    it('keeps a mismatched sender flagged and leaves the status alone', async () => {
+      const contact = contactFor();
+      const create = jest.spyOn(Message, 'create').mockImplementation(async (doc) => ({ _id: 'm1', ...doc }));
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const res = await reply(contact, 'someone@attacker.example');
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.senderVerified).toBe(false);
+      expect(create.mock.calls[0][0]).toMatchObject({ senderVerified: false, fromAddress: 'someone@attacker.example' });
+      expect(contact.status).toBe('replied');
+      expect(contact.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const Admin = require('../models/Admin');
+const AuditLog = require('../models/AuditLog');
+
+const app = createApp(loadConfig('test'));
+
+const makeAdmin = (values = {}) => new Admin({
+  username: 'tester',
+  email: 'tester@example.com',
+  password: 'long-enough-pass-1',
+  ...values
+});
+
+// What the database holds after the $inc
+const stubIncrement = (failedLoginCount) => jest.spyOn(Admin, 'findOneAndUpdate')
+  .mockResolvedValue({ failedLoginCount });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+});
+
+describe('Admin#registerFailedLogin', () => {
+  it('increments the count in the database', async () => {
+    const admin = makeAdmin({ failedLoginCount: 0 });
+    const increment = stubIncrement(3);
+
+    await expect(admin.registerFailedLogin()).resolves.toBe(false);
+
+    const [filter, update] = increment.mock.calls[0];
+    expect(filter).toEqual({ _id: admin._id });
+    expect(update.$inc).toEqual({ failedLoginCount: 1 });
+    // The count comes from the database, not from this (stale) copy
+    expect(admin.failedLoginCount).toBe(3);
+    expect(admin.isModified('failedLoginCount')).toBe(false);
+  });
+
+  it('locks once the returned count reaches the limit', async () => {
+    const admin = makeAdmin({ failedLoginCount: 1 });
+    stubIncrement(5);
+    const lock = jest.spyOn(Admin, 'updateOne').mockResolvedValue({});
+
+    await expect(admin.registerFailedLogin()).resolves.toBe(true);
+
+    const [filter, update] = lock.mock.calls[0];
+    expect(filter.lockUntil).toEqual({ $not: { $gte: update.$set.lockUntil } });
+    expect(update.$set.lockUntil.getTime() - Date.now()).toBeGreaterThan(14 * 60 * 1000);
+    expect(admin.isLocked()).toBe(true);
+  });
+
+  it('doubles the lock for every failure past the limit', async () => {
+    const admin = makeAdmin();
+    stubIncrement(7);
+    const lock = jest.spyOn(Admin, 'updateOne').mockResolvedValue({});
+
+    await admin.registerFailedLogin();
+
+    const lockMs = lock.mock.calls[0][1].$set.lockUntil.getTime() - Date.now();
+    expect(lockMs).toBeGreaterThan(59 * 60 * 1000);
+    expect(lockMs).toBeLessThanOrEqual(60 * 60 * 1000);
+  });
+});
+
+describe('POST /api/auth/login lockout', () => {
+  const stubLogin = (admin) => jest.spyOn(Admin, 'findOne').mockReturnValue({
+    select: () => Promise.resolve(admin)
+  });
+
+  it('answers 423 on the failure that locks the account', async () => {
+    const admin = makeAdmin();
+    jest.spyOn(admin, 'comparePassword').mockResolvedValue(false);
+    stubLogin(admin);
+    stubIncrement(5);
+    jest.spyOn(Admin, 'updateOne').mockResolvedValue({});
+    // No SMTP in tests, so the lock email is skipped with a log line
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const res = await request(app).post('/api/auth/login').send({ username: 'tester', password: 'wrong-pass' });
+
+    expect(res.status).toBe(423);
+    expect(res.body.accountLocked).toBe(true);
+    expect(res.headers['retry-after']).toBeDefined();
+    expect(AuditLog.create.mock.calls[0][0].metadata).toEqual({ reason: 'Invalid credentials', locked: true });
+  });
+
+  it('refuses a locked account without checking the password', async () => {
+    const admin = makeAdmin({ lockUntil: new Date(Date.now() + 60 * 1000) });
+    const compare = jest.spyOn(admin, 'comparePassword');
+    stubLogin(admin);
+
+    const res = await request(app).post('/api/auth/login').send({ username: 'tester', password: 'anything' });
+
+    expect(res.status).toBe(423);
+    expect(compare).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,198 @@
+const mockSendMail = jest.fn();
+jest.mock('nodemailer', () => ({ createTransport: () => ({ sendMail: mockSendMail }) }));
+jest.mock('../middleware/auth', () => require('./helpers/mockAuth'));
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const mockAuth = require('./helpers/mockAuth');
+const EmailJob = require('../models/EmailJob');
+const Message = require('../models/Message');
+const Contact = require('../models/Contact');
+const AuditLog = require('../models/AuditLog');
+const { processQueue, retryJob, cancelJob } = require('../utils/mailQueue');
+
+const config = loadConfig('test');
+const app = createApp(config);
+
+const makeJob = (values = {}) => {
+  const job = new EmailJob({
+    kind: 'reply',
+    status: 'sending',
+    mailOptions: { to: 'priya@school.example', subject: 'Re: kits', html: '<p>Hi</p>' },
+    ...values
+  });
+  jest.spyOn(job, 'save').mockResolvedValue(job);
+  return job;
+};
+
+// Hand out these jobs to the worker, one per claim, then nothing
+const stubClaims = (...jobs) => jest.spyOn(EmailJob, 'findOneAndUpdate')
+  .mockImplementation(() => Promise.resolve(jobs.shift() || null));
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  mockSendMail.mockReset();
+  jest.spyOn(Message, 'updateOne').mockResolvedValue({});
+  jest.spyOn(Contact, 'updateOne').mockResolvedValue({});
+  jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+});
+
+describe('processQueue', () => {
+  it('claims due jobs atomically and sends them', async () => {
+    const job = makeJob({ contact: new mongoose.Types.ObjectId() });
+    const claim = stubClaims(job);
+    mockSendMail.mockResolvedValue({ messageId: '<abc@example.com>' });
+
+    await expect(processQueue(config.emailQueue)).resolves.toBe(1);
+
+    expect(claim.mock.calls[0][1]).toEqual({ $set: { status: 'sending', lockedAt: expect.any(Date) } });
+    expect(job.status).toBe('sent');
+    expect(job.providerMessageId).toBe('<abc@example.com>');
+    // A sent reply starts the first-response clock
+    expect(Contact.updateOne.mock.calls[0][0]).toEqual({ _id: job.contact, firstRespondedAt: null });
+  });
+
+  it('wipes the body of a sensitive email once sent', async () => {
+    const job = makeJob({ sensitive: true });
+    stubClaims(job);
+    mockSendMail.mockResolvedValue({});
+
+    await processQueue(config.emailQueue);
+
+    expect(job.mailOptions.html).toBeUndefined();
+  });
+
+  it('backs off after a failure', async () => {
+    const job = makeJob();
+    stubClaims(job);
+    mockSendMail.mockRejectedValue(new Error('SMTP timeout'));
+
+    await processQueue(config.emailQueue);
+
+    expect(job.status).toBe('retrying');
+    expect(job.attempts).toBe(1);
+    expect(job.lastError).toBe('SMTP timeout');
+    expect(job.nextAttemptAt.getTime() - Date.now()).toBeGreaterThan(config.emailQueue.baseDelayMs - 1000);
+  });
+
+  it('dead-letters a job after its last attempt', async () => {
+    const job = makeJob({ attempts: 5, maxAttempts: 6, message: new mongoose.Types.ObjectId() });
+    stubClaims(job);
+    mockSendMail.mockRejectedValue(new Error('Mailbox unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await processQueue(config.emailQueue);
+
+    expect(job.status).toBe('dead');
+    expect(Message.updateOne.mock.calls[0][1]).toEqual({
+      $set: { deliveryStatus: 'failed', deliveryError: 'Mailbox unavailable' }
+    });
+  });
+
+  it('wipes the body of a sensitive email that goes dead', async () => {
+    const job = makeJob({ sensitive: true, attempts: 5, maxAttempts: 6 });
+    stubClaims(job);
+    mockSendMail.mockRejectedValue(new Error('Mailbox unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await processQueue(config.emailQueue);
+
+    expect(job.status).toBe('dead');
+    expect(job.mailOptions.html).toBeUndefined();
+  });
+
+  it('keeps the body of a sensitive email that will be tried again', async () => {
+    const job = makeJob({ sensitive: true });
+    stubClaims(job);
+    mockSendMail.mockRejectedValue(new Error('SMTP timeout'));
+
+    await processQueue(config.emailQueue);
+
+    expect(job.status).toBe('retrying');
+    expect(job.mailOptions.html).toBe('<p>Hi</p>');
+  });
+});
+
+describe('retryJob and cancelJob', () => {
+  it('only retry a job the worker has not claimed', async () => {
+    const update = jest.spyOn(EmailJob, 'findOneAndUpdate').mockResolvedValue(null);
+    const id = new mongoose.Types.ObjectId();
+
+    await expect(retryJob(id)).resolves.toBeNull();
+    expect(update.mock.calls[0][0]).toEqual({
+      _id: id,
+      status: { $in: ['dead', 'cancelled', 'retrying'] },
+      $or: [{ sensitive: { $ne: true } }, { status: 'retrying' }]
+    });
+    expect(Message.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('only cancel a job the worker has not claimed', async () => {
+    const update = jest.spyOn(EmailJob, 'findOneAndUpdate').mockResolvedValue(null);
+    const id = new mongoose.Types.ObjectId();
+
+    await expect(cancelJob(id)).resolves.toBeNull();
+    expect(update.mock.calls[0][0]).toEqual({ _id: id, status: { $in: ['pending', 'retrying', 'dead'] } });
+  });
+
+  it('wipe the body of a sensitive job in the cancelling update', async () => {
+    const update = jest.spyOn(EmailJob, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await cancelJob(new mongoose.Types.ObjectId());
+
+    expect(update.mock.calls[0][1][0].$set.mailOptions).toEqual({
+      $cond: ['$sensitive', { $mergeObjects: ['$mailOptions', { html: null, text: null }] }, '$mailOptions']
+    });
+  });
+});
+
+describe('POST /api/admin/email-queue/:id/cancel', () => {
+  beforeEach(() => {
+    mockAuth.loginAs(['settings:manage']);
+  });
+
+  it('answers 409 when the worker claimed the job first', async () => {
+    const job = makeJob({ status: 'pending' });
+    jest.spyOn(EmailJob, 'findById').mockResolvedValue(job);
+    jest.spyOn(EmailJob, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const res = await request(app).post(`/api/admin/email-queue/${job._id}/cancel`);
+
+    expect(res.status).toBe(409);
+    expect(AuditLog.create).not.toHaveBeenCalled();
+  });
+
+  it('cancels and audits a pending job', async () => {
+    const job = makeJob({ status: 'pending' });
+    jest.spyOn(EmailJob, 'findById').mockResolvedValue(job);
+    jest.spyOn(EmailJob, 'findOneAndUpdate').mockResolvedValue(makeJob({ _id: job._id, status: 'cancelled' }));
+
+    const res = await request(app).post(`/api/admin/email-queue/${job._id}/cancel`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('cancelled');
+    expect(AuditLog.create.mock.calls[0][0].changes).toEqual({
+      before: { status: 'pending' },
+      after: { status: 'cancelled' }
+    });
+  });
+});
+
+describe('POST /api/admin/email-queue/:id/retry', () => {
+  beforeEach(() => {
+    mockAuth.loginAs(['settings:manage']);
+  });
+
+  it('refuses a dead sensitive email, whose body is gone', async () => {
+    const job = makeJob({ kind: 'password_reset', status: 'dead', sensitive: true, mailOptions: { to: 'a@example.com' } });
+    jest.spyOn(EmailJob, 'findById').mockResolvedValue(job);
+    const update = jest.spyOn(EmailJob, 'findOneAndUpdate');
+
+    const res = await request(app).post(`/api/admin/email-queue/${job._id}/retry`);
+
+    expect(res.status).toBe(409);
+    expect(update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,137 @@
+jest.mock('../middleware/auth', () => require('./helpers/mockAuth'));
+
+const dns = require('dns');
+const request = require('supertest');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const mockAuth = require('./helpers/mockAuth');
+const NotificationPreference = require('../models/NotificationPreference');
+const AuditLog = require('../models/AuditLog');
+const { checkOutboundUrl, lookupPublic, isPublicAddress } = require('../utils/outboundUrl');
+const { webhook } = require('../utils/notificationChannels');
+
+const app = createApp(loadConfig('test'));
+
+// Pretend every hostname resolves to this address
+const stubDns = (address) => {
+  const family = address.includes(':') ? 6 : 4;
+  jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address, family }]);
+  jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) =>
+    callback(null, [{ address, family }]));
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+});
+
+describe('isPublicAddress', () => {
+  it.each([
+    '127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+    '0.0.0.0', '::1', '::', 'fe80::1', 'fd00:ec2::254', '::ffff:127.0.0.1'
+  ])('refuses %s', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  it.each(['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946'])('allows %s', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+});
+
+describe('checkOutboundUrl', () => {
+  it('needs https', async () => {
+    await expect(checkOutboundUrl('http://example.com/hook')).resolves.toBe('URL must use https');
+  });
+
+  it('refuses private IP literals without a lookup', async () => {
+    const lookup = jest.spyOn(dns.promises, 'lookup');
+    await expect(checkOutboundUrl('https://169.254.169.254/latest')).resolves.toMatch(/private or internal/);
+    await expect(checkOutboundUrl('https://[::1]/hook')).resolves.toMatch(/private or internal/);
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  it('refuses hostnames that resolve to private addresses', async () => {
+    stubDns('10.0.0.7');
+    await expect(checkOutboundUrl('https://internal.example.com/hook')).resolves.toMatch(/private or internal/);
+  });
+
+  it('keeps Slack URLs on the Slack hooks host', async () => {
+    stubDns('93.184.216.34');
+    const allowedHosts = ['hooks.slack.com'];
+    await expect(checkOutboundUrl('https://hooks.slack.com/services/T/B/X', { allowedHosts })).resolves.toBeNull();
+    await expect(checkOutboundUrl('https://evil-hooks.slack.com.example/x', { allowedHosts }))
+      .resolves.toMatch(/must be on hooks.slack.com/);
+  });
+});
+
+describe('lookupPublic', () => {
+  it('fails the connection when the name now resolves somewhere private', (done) => {
+    stubDns('127.0.0.1');
+    lookupPublic('rebound.example.com', { all: true }, (error) => {
+      expect(error.code).toBe('EPRIVATEADDRESS');
+      done();
+    });
+  });
+
+  it('answers in the shape the caller asked for', (done) => {
+    stubDns('93.184.216.34');
+    lookupPublic('example.com', {}, (error, address, family) => {
+      expect(error).toBeNull();
+      expect([address, family]).toEqual(['93.184.216.34', 4]);
+      done();
+    });
+  });
+});
+
+describe('sending', () => {
+  it('refuses to post to a private address', async () => {
+    await expect(webhook.deliver('https://127.0.0.1:27017/', { event: 'test', title: 'Test', fields: [] }))
+      .rejects.toThrow(/private or internal/);
+  });
+});
+
+describe('PUT /api/admin/notifications/preferences', () => {
+  const save = (channels) => request(app).put('/api/admin/notifications/preferences').send({ channels });
+
+  beforeEach(() => {
+    jest.spyOn(NotificationPreference, 'findOne').mockReturnValue({ select: () => Promise.resolve(null) });
+    jest.spyOn(NotificationPreference.prototype, 'save').mockResolvedValue();
+  });
+
+  it('keeps generic webhooks to admins who manage settings', async () => {
+    mockAuth.loginAs(['contacts:read']);
+    stubDns('93.184.216.34');
+
+    const res = await save({ webhook: { url: 'https://example.com/hook' } });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('refuses plain http', async () => {
+    mockAuth.loginAs(['settings:manage']);
+
+    const res = await save({ webhook: { url: 'http://example.com/hook' } });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('refuses a webhook into the internal network', async () => {
+    mockAuth.loginAs(['settings:manage']);
+    stubDns('192.168.0.10');
+
+    const res = await save({ webhook: { url: 'https://intranet.example.com/hook' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/private or internal/);
+  });
+
+  it('lets anyone set a Slack URL on hooks.slack.com', async () => {
+    mockAuth.loginAs(['contacts:read']);
+    stubDns('93.184.216.34');
+
+    const res = await save({ slack: { url: 'https://hooks.slack.com/services/T0/B0/abc' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.channels.slack.url).toBe('https://hooks.slack.com/services/T0/B0/abc');
+  });
+});
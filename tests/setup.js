@@ -0,0 +1,6 @@
+// Tests run without a database: any model call a test forgot to stub fails straight away
+// instead of waiting for a connection that never comes
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
@@ -0,0 +1,188 @@
+jest.mock('../middleware/auth', () => require('./helpers/mockAuth'));
+
+const request = require('supertest');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const mockAuth = require('./helpers/mockAuth');
+const Contact = require('../models/Contact');
+const Setting = require('../models/Setting');
+const UsedFormToken = require('../models/UsedFormToken');
+const { issueFormToken, readFormToken, scoreSubmission } = require('../utils/spamFilter');
+
+const config = loadConfig('test');
+const app = createApp(config);
+
+// Contacts that sent the same message from other addresses
+const stubOtherSenders = (emails = []) => jest.spyOn(Contact, 'find').mockReturnValue({
+  setOptions: () => ({ distinct: () => Promise.resolve(emails) })
+});
+
+const score = (submission, ipAddress = '203.0.113.5') =>
+  scoreSubmission({ email: 'priya@school.example', message: 'Hello, we need robotics kits.', ...submission }, {
+    ipAddress,
+    settings: config.spam
+  });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Setting, 'getValue').mockResolvedValue({ domains: ['spam.example'], ips: ['198.51.100.7'] });
+  stubOtherSenders();
+  jest.spyOn(UsedFormToken, 'claim').mockResolvedValue(true);
+});
+
+describe('form tokens', () => {
+  it('round-trips a signed token', () => {
+    const token = issueFormToken(1700000000000);
+    expect(readFormToken(token)).toEqual({ valid: true, issuedAt: 1700000000000, nonce: token.split('.')[1] });
+  });
+
+  it('rejects a tampered token', () => {
+    const [, nonce, signature] = issueFormToken(1700000000000).split('.');
+    expect(readFormToken(`1600000000000.${nonce}.${signature}`).valid).toBe(false);
+    expect(readFormToken('garbage').valid).toBe(false);
+  });
+});
+
+describe('scoreSubmission', () => {
+  it('lets a normal enquiry through', async () => {
+    const result = await score({ formToken: issueFormToken(Date.now() - 60 * 1000) });
+    expect(result).toMatchObject({ score: 0, reasons: [], isSpam: false });
+  });
+
+  it('only counts a missing form token a little', async () => {
+    const result = await score({});
+    expect(result.score).toBe(config.spam.missingTokenScore);
+    expect(result.isSpam).toBe(false);
+  });
+
+  it('flags a filled-in honeypot', async () => {
+    const result = await score({ website: 'http://bot.example', formToken: issueFormToken(Date.now() - 60 * 1000) });
+    expect(result.isSpam).toBe(true);
+    expect(result.reasons[0]).toMatch(/^honeypot:/);
+  });
+
+  it('flags a form filled in too quickly', async () => {
+    const result = await score({ formToken: issueFormToken() });
+    expect(result.score).toBe(60);
+    expect(result.isSpam).toBe(true);
+  });
+
+  it('uses a token up and scores a second submission with it like a forged one', async () => {
+    const formToken = issueFormToken(Date.now() - 60 * 1000);
+    const claim = UsedFormToken.claim.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    const first = await score({ formToken });
+    const second = await score({ formToken });
+
+    expect(first.score).toBe(0);
+    expect(claim.mock.calls[0][0]).toBe(formToken.split('.')[1]);
+    expect(second.score).toBe(50);
+    expect(second.reasons).toEqual(['fillTime: Form token was already used']);
+  });
+
+  it('scores an expired token like a forged one', async () => {
+    const result = await score({ formToken: issueFormToken(Date.now() - 25 * 60 * 60 * 1000) });
+    expect(result.score).toBe(50);
+    expect(UsedFormToken.claim).not.toHaveBeenCalled();
+  });
+
+  it('adds up several weaker signals', async () => {
+    stubOtherSenders(['a@example.com']);
+    const result = await score({
+      message: 'Buy now http://a.example http://b.example http://c.example',
+      formToken: issueFormToken(Date.now() - 60 * 1000)
+    });
+    expect(result.reasons.map(reason => reason.split(':')[0])).toEqual(['linkDensity', 'repeatedContent']);
+    expect(result.score).toBe(45 + 40);
+    expect(result.isSpam).toBe(true);
+  });
+
+  it('flags blocklisted email domains, subdomains and IPs', async () => {
+    await expect(score({ email: 'x@mail.spam.example' })).resolves.toMatchObject({ isSpam: true });
+    await expect(score({}, '198.51.100.7')).resolves.toMatchObject({ isSpam: true });
+  });
+
+  it('keeps scoring when a check throws', async () => {
+    jest.spyOn(Contact, 'find').mockImplementation(() => { throw new Error('db down'); });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await score({ website: 'filled' });
+    expect(result.isSpam).toBe(true);
+  });
+});
+
+describe('spam in the admin views', () => {
+  const stubList = () => {
+    const chain = {
+      sort: () => chain,
+      skip: () => chain,
+      limit: () => chain,
+      populate: () => chain,
+      select: () => chain,
+      then: (resolve) => resolve([])
+    };
+    const find = jest.spyOn(Contact, 'find').mockReturnValue(chain);
+    jest.spyOn(Contact, 'countDocuments').mockResolvedValue(0);
+    return find;
+  };
+
+  beforeEach(() => {
+    mockAuth.loginAs(['contacts:read']);
+  });
+
+  it('leaves spam out of the contact list by default', async () => {
+    const find = stubList();
+
+    const res = await request(app).get('/api/admin/contacts');
+
+    expect(res.status).toBe(200);
+    expect(find.mock.calls[0][0].status).toEqual({ $ne: 'spam' });
+  });
+
+  it('lists spam when asked for', async () => {
+    const find = stubList();
+
+    await request(app).get('/api/admin/contacts?status=spam');
+
+    expect(find.mock.calls[0][0].status).toBe('spam');
+  });
+
+  it('leaves spam out of the dashboard numbers', async () => {
+    stubList();
+    const aggregate = jest.spyOn(Contact, 'aggregate').mockResolvedValue([]);
+
+    const res = await request(app).get('/api/admin/dashboard');
+
+    expect(res.status).toBe(200);
+    expect(Contact.countDocuments).toHaveBeenCalledWith({ status: { $ne: 'spam' } });
+    expect(Contact.countDocuments).toHaveBeenCalledWith({ status: 'spam' });
+    // Either { $ne: 'spam' } or a list of open statuses, which never includes spam
+    const excludesSpam = (status) => Boolean(status) &&
+      (status.$ne === 'spam' || (Array.isArray(status.$in) && !status.$in.includes('spam')));
+    aggregate.mock.calls.forEach(([pipeline]) => {
+      expect(excludesSpam(pipeline.find(stage => stage.$match).$match.status)).toBe(true);
+    });
+  });
+});
+
+describe('public contact endpoints', () => {
+  it('reports spam as new when a submission is verified', async () => {
+    const contact = new Contact({ name: 'Bot', email: 'bot@example.com', message: 'Buy now', status: 'spam' });
+    jest.spyOn(Contact, 'findById').mockReturnValue({ select: () => Promise.resolve(contact) });
+
+    const res = await request(app).post('/api/contact/verify').send({ contactId: String(contact._id) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('new');
+  });
+
+  it('leaves spam out of the public counts', async () => {
+    const count = jest.spyOn(Contact, 'countDocuments').mockResolvedValue(3);
+
+    const res = await request(app).get('/api/contact/stats');
+
+    expect(res.status).toBe(200);
+    count.mock.calls.forEach(([filter]) => expect(filter.status).toEqual({ $ne: 'spam' }));
+    expect(count).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('../middleware/auth', () => require('./helpers/mockAuth'));
+
+const request = require('supertest');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const mockAuth = require('./helpers/mockAuth');
+const Tag = require('../models/Tag');
+const Contact = require('../models/Contact');
+const TriageRule = require('../models/TriageRule');
+const Macro = require('../models/Macro');
+const AuditLog = require('../models/AuditLog');
+
+const app = createApp(loadConfig('test'));
+
+const stubTag = () => {
+  const tag = new Tag({ name: 'robotics', color: '#007bff' });
+  jest.spyOn(tag, 'save').mockResolvedValue(tag);
+  jest.spyOn(tag, 'deleteOne').mockResolvedValue({});
+  jest.spyOn(Tag, 'findById').mockResolvedValue(tag);
+  return tag;
+};
+
+const stubUpdates = (modifiedCount) => [Contact, TriageRule, Macro].map(model =>
+  jest.spyOn(model, 'updateMany').mockResolvedValue({ modifiedCount }));
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+  mockAuth.loginAs(['contacts:update']);
+});
+
+describe('renaming a tag', () => {
+  it('renames it on contacts, triage rules and macros', async () => {
+    const tag = stubTag();
+    jest.spyOn(Tag, 'exists').mockResolvedValue(null);
+    const [contacts, rules, macros] = stubUpdates(1);
+
+    const res = await request(app).put(`/api/admin/tags/${tag._id}`).send({ name: 'STEM kits' });
+
+    expect(res.status).toBe(200);
+    expect(contacts.mock.calls[0][1]).toEqual({ $set: { 'tags.$[tag]': 'stem kits' } });
+    for (const update of [rules, macros]) {
+      expect(update).toHaveBeenCalledWith(
+        { 'actions.tags': 'robotics' },
+        { $set: { 'actions.tags.$[tag]': 'stem kits' } },
+        { arrayFilters: [{ tag: 'robotics' }] }
+      );
+    }
+  });
+
+  it('leaves them alone when only the colour changes', async () => {
+    const tag = stubTag();
+    const [contacts, rules, macros] = stubUpdates(0);
+
+    await request(app).put(`/api/admin/tags/${tag._id}`).send({ color: '#ff0000' });
+
+    [contacts, rules, macros].forEach(update => expect(update).not.toHaveBeenCalled());
+  });
+});
+
+describe('deleting a tag', () => {
+  it('pulls it from contacts, triage rules and macros', async () => {
+    const tag = stubTag();
+    const [, rules, macros] = stubUpdates(2);
+
+    const res = await request(app).delete(`/api/admin/tags/${tag._id}`);
+
+    expect(res.status).toBe(200);
+    expect(rules.mock.calls[0][1]).toEqual({ $pull: { 'actions.tags': 'robotics' } });
+    expect(macros.mock.calls[0][1]).toEqual({ $pull: { 'actions.tags': 'robotics' } });
+    expect(AuditLog.create.mock.calls[0][0].metadata).toEqual({
+      contactsUpdated: 2,
+      rulesUpdated: 2,
+      macrosUpdated: 2
+    });
+  });
+});
+
+describe('filtering contacts by tag', () => {
+  const stubList = () => {
+    const chain = {
+      sort: () => chain,
+      skip: () => chain,
+      limit: () => chain,
+      populate: () => chain,
+      select: () => chain,
+      then: (resolve) => resolve([])
+    };
+    const find = jest.spyOn(Contact, 'find').mockReturnValue(chain);
+    jest.spyOn(Contact, 'countDocuments').mockResolvedValue(0);
+    return find;
+  };
+
+  beforeEach(() => {
+    mockAuth.loginAs(['contacts:read']);
+  });
+
+  it('splits a comma-separated list', async () => {
+    const find = stubList();
+
+    const res = await request(app).get('/api/admin/contacts?tags=Robotics,%20demo&tagMode=all');
+
+    expect(res.status).toBe(200);
+    expect(find.mock.calls[0][0].tags).toEqual({ $all: ['robotics', 'demo'] });
+  });
+
+  it('rejects a repeated tags parameter instead of failing', async () => {
+    const find = stubList();
+
+    const res = await request(app).get('/api/admin/contacts?tags=robotics&tags=demo');
+
+    expect(res.status).toBe(400);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,70 @@
+const { render, parse, escapeHtml, htmlToText } = require('../utils/templateRenderer');
+const { renderEmail, buildTemplateVariables } = require('../utils/emailService');
+const { DEFAULT_TEMPLATES, SAMPLE_CONTACT } = require('../config/emailTemplates');
+
+const attack = '<script>alert("x")</script> & \'friends\'';
+
+describe('render', () => {
+  it('escapes values in HTML', () => {
+    expect(render('<p>{{name}}</p>', { name: attack }))
+      .toBe('<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;friends&#39;</p>');
+  });
+
+  it('leaves values alone in text and in triple braces', () => {
+    expect(render('{{name}}', { name: attack }, 'text')).toBe(attack);
+    expect(render('{{{html}}}', { html: '<b>ok</b>' })).toBe('<b>ok</b>');
+  });
+
+  it('escapes values inside sections and list items', () => {
+    const fields = [{ label: 'School', value: '<img src=x onerror=alert(1)>' }];
+    expect(render('{{#fields}}<li>{{label}}: {{value}}</li>{{/fields}}', { fields }))
+      .toBe('<li>School: &lt;img src=x onerror=alert(1)&gt;</li>');
+  });
+
+  it('shows sections only when the value is set, and inverted ones when it is not', () => {
+    const template = '{{#phone}}Phone: {{phone}}{{/phone}}{{^phone}}No phone{{/phone}}';
+    expect(render(template, { phone: '123' })).toBe('Phone: 123');
+    expect(render(template, { phone: '' })).toBe('No phone');
+    expect(render(template, {})).toBe('No phone');
+  });
+
+  it('looks up dotted names and renders missing ones as nothing', () => {
+    expect(render('{{contact.name}}|{{contact.missing}}|{{nope.deeper}}', { contact: { name: 'Priya' } }))
+      .toBe('Priya||');
+  });
+
+  it('does not reach into inherited properties', () => {
+    expect(render('{{contact.constructor}}{{contact.__proto__}}', { contact: {} })).toBe('');
+  });
+});
+
+describe('parse', () => {
+  it('rejects unclosed and mismatched sections', () => {
+    expect(() => parse('{{#a}}open')).toThrow('{{#a}} is never closed');
+    expect(() => parse('{{#a}}{{/b}}')).toThrow('Unexpected {{/b}}');
+    expect(() => parse('{{/a}}')).toThrow('Unexpected {{/a}}');
+  });
+});
+
+describe('htmlToText', () => {
+  it('keeps link targets and unescapes entities', () => {
+    expect(htmlToText('<p>Hi &amp; welcome</p><a href="https://x.example">Open</a>'))
+      .toBe('Hi & welcome\nOpen (https://x.example)');
+  });
+
+  it('drops scripts and styles', () => {
+    expect(htmlToText('<style>p{}</style><script>alert(1)</script><p>Body</p>')).toBe('Body');
+  });
+});
+
+describe('built-in templates', () => {
+  it('escape whatever a visitor typed into the form', async () => {
+    const contact = { ...SAMPLE_CONTACT, name: attack, message: attack, subject: attack };
+    const email = await renderEmail('admin_notification', buildTemplateVariables(contact), DEFAULT_TEMPLATES.admin_notification);
+
+    expect(email.html).not.toContain('<script>');
+    expect(email.html).toContain(escapeHtml(attack));
+    // The subject and text version are plain text, so nothing to escape there
+    expect(email.text).toContain(attack);
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('../middleware/auth', () => require('./helpers/mockAuth'));
+
+const request = require('supertest');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const mockAuth = require('./helpers/mockAuth');
+const Admin = require('../models/Admin');
+const AuditLog = require('../models/AuditLog');
+const { generateSecret, hotp, verifyTotp, generateRecoveryCodes } = require('../utils/totp');
+
+const app = createApp(loadConfig('test'));
+
+// "12345678901234567890" in base32 - the RFC 6238 test secret
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    expect(hotp(RFC_SECRET, Math.floor(59 / 30))).toBe('287082');
+    expect(hotp(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+  });
+
+  it('accepts the current code and one step of drift, nothing further', () => {
+    const secret = generateSecret();
+    const now = Date.now();
+    const step = Math.floor(now / 1000 / 30);
+
+    expect(verifyTotp(secret, hotp(secret, step), { now })).toBe(step);
+    expect(verifyTotp(secret, hotp(secret, step - 1), { now })).toBe(step - 1);
+    expect(verifyTotp(secret, hotp(secret, step - 2), { now })).toBeNull();
+  });
+
+  it('refuses a code that was already used', () => {
+    const secret = generateSecret();
+    const now = Date.now();
+    const step = Math.floor(now / 1000 / 30);
+
+    expect(verifyTotp(secret, hotp(secret, step), { now, lastUsedStep: step })).toBeNull();
+  });
+
+  it('refuses malformed codes', () => {
+    const secret = generateSecret();
+
+    expect(verifyTotp(secret, '12345')).toBeNull();
+    expect(verifyTotp(secret, 'abcdef')).toBeNull();
+    expect(verifyTotp(secret, undefined)).toBeNull();
+  });
+
+  it('generates distinct recovery codes', () => {
+    const codes = generateRecoveryCodes(10);
+
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+  });
+});
+
+describe('2FA enrolment routes', () => {
+  const fakeAdmin = (overrides = {}) => {
+    const admin = {
+      _id: mockAuth.currentAdmin.id,
+      email: 'tester@example.com',
+      comparePassword: jest.fn().mockResolvedValue(true),
+      claimTotpStep: jest.fn().mockResolvedValue(true),
+      setRecoveryCodes: jest.fn(),
+      save: jest.fn().mockResolvedValue(),
+      ...overrides,
+      twoFactor: { enabled: false, ...(overrides.twoFactor || {}) }
+    };
+    jest.spyOn(Admin, 'findById').mockReturnValue({ select: () => Promise.resolve(admin) });
+    return admin;
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    mockAuth.loginAs([]);
+  });
+
+  it('needs the password before creating a secret', async () => {
+    const admin = fakeAdmin({ comparePassword: jest.fn().mockResolvedValue(false) });
+
+    const missing = await request(app).post('/api/auth/2fa/setup').send({});
+    const wrong = await request(app).post('/api/auth/2fa/setup').send({ password: 'not-it' });
+
+    expect(missing.status).toBe(400);
+    expect(wrong.status).toBe(400);
+    expect(admin.save).not.toHaveBeenCalled();
+  });
+
+  it('needs a current code to replace an enabled authenticator', async () => {
+    const secret = generateSecret();
+    const admin = fakeAdmin({ twoFactor: { enabled: true, secret } });
+
+    const withoutCode = await request(app).post('/api/auth/2fa/setup').send({ password: 'right-pass' });
+    expect(withoutCode.status).toBe(400);
+    expect(admin.save).not.toHaveBeenCalled();
+
+    const step = Math.floor(Date.now() / 1000 / 30);
+    const withCode = await request(app)
+      .post('/api/auth/2fa/setup')
+      .send({ password: 'right-pass', currentCode: hotp(secret, step) });
+
+    expect(withCode.status).toBe(200);
+    expect(admin.claimTotpStep).toHaveBeenCalledWith(step);
+    expect(admin.twoFactor.pendingSecret).toBe(withCode.body.data.secret);
+  });
+
+  it('refuses a current code another request already used', async () => {
+    const secret = generateSecret();
+    const admin = fakeAdmin({
+      twoFactor: { enabled: true, secret },
+      claimTotpStep: jest.fn().mockResolvedValue(false)
+    });
+
+    const res = await request(app)
+      .post('/api/auth/2fa/setup')
+      .send({ password: 'right-pass', currentCode: hotp(secret, Math.floor(Date.now() / 1000 / 30)) });
+
+    expect(res.status).toBe(400);
+    expect(admin.save).not.toHaveBeenCalled();
+  });
+
+  it('needs the password to confirm enrolment', async () => {
+    const pendingSecret = generateSecret();
+    const admin = fakeAdmin({
+      twoFactor: { pendingSecret },
+      comparePassword: jest.fn().mockResolvedValue(false)
+    });
+
+    const res = await request(app)
+      .post('/api/auth/2fa/confirm')
+      .send({ code: hotp(pendingSecret, Math.floor(Date.now() / 1000 / 30)), password: 'not-it' });
+
+    expect(res.status).toBe(400);
+    expect(admin.twoFactor.enabled).toBe(false);
+    expect(admin.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('Admin#claimTotpStep', () => {
+  it('only writes a step later than the last used one', async () => {
+    const updateOne = jest.spyOn(Admin, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const admin = new Admin({ username: 'tester', email: 'tester@example.com', password: 'x' });
+
+    expect(await admin.claimTotpStep(100)).toBe(false);
+
+    const [filter, update] = updateOne.mock.calls[0];
+    expect(filter.$or).toEqual([
+      { 'twoFactor.lastUsedStep': { $lt: 100 } },
+      { 'twoFactor.lastUsedStep': null }
+    ]);
+    expect(update).toEqual({ $set: { 'twoFactor.lastUsedStep': 100 } });
+  });
+});
@@ -0,0 +1,151 @@
+jest.mock('../middleware/auth', () => require('./helpers/mockAuth'));
+
+const request = require('supertest');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const mockAuth = require('./helpers/mockAuth');
+const Admin = require('../models/Admin');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+
+const app = createApp(loadConfig('test'));
+
+const superAdmin = () => {
+  const admin = new Admin({
+    username: 'root',
+    email: 'root@example.com',
+    password: 'long-enough-pass-1',
+    role: 'super_admin',
+    isActive: true
+  });
+  jest.spyOn(admin, 'save').mockResolvedValue(admin);
+  jest.spyOn(Admin, 'findById').mockResolvedValue(admin);
+  return admin;
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+  jest.spyOn(Role, 'exists').mockResolvedValue(true);
+  jest.spyOn(Session, 'revokeAllForAdmin').mockResolvedValue({});
+  mockAuth.loginAs(['admins:manage'], { role: 'super_admin' });
+});
+
+describe('last active super admin', () => {
+  it('only demotes through a conditional update', async () => {
+    const admin = superAdmin();
+    const update = jest.spyOn(Admin, 'findOneAndUpdate').mockResolvedValue(admin);
+    jest.spyOn(Admin, 'countDocuments').mockResolvedValue(1);
+
+    const res = await request(app).put(`/api/admin/users/${admin._id}`).send({ role: 'admin' });
+
+    expect(res.status).toBe(200);
+    expect(update).toHaveBeenCalledWith(
+      { _id: admin._id, role: 'super_admin', isActive: true },
+      { $set: { role: 'admin' } },
+      { new: true, runValidators: true }
+    );
+  });
+
+  it('undoes a demotion that left nobody', async () => {
+    const admin = superAdmin();
+    jest.spyOn(Admin, 'findOneAndUpdate').mockResolvedValue(admin);
+    jest.spyOn(Admin, 'countDocuments').mockResolvedValue(0);
+    const revert = jest.spyOn(Admin, 'updateOne').mockResolvedValue({});
+
+    const res = await request(app).put(`/api/admin/users/${admin._id}`).send({ role: 'admin' });
+
+    expect(res.status).toBe(409);
+    expect(revert).toHaveBeenCalledWith({ _id: admin._id }, { $set: { role: 'super_admin', isActive: true } });
+    expect(admin.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses when the account changed in the meantime', async () => {
+    const admin = superAdmin();
+    jest.spyOn(Admin, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const res = await request(app).post(`/api/admin/users/${admin._id}/deactivate`);
+
+    expect(res.status).toBe(409);
+    expect(Session.revokeAllForAdmin).not.toHaveBeenCalled();
+  });
+
+  it('deactivates when another super admin is left', async () => {
+    const admin = superAdmin();
+    const update = jest.spyOn(Admin, 'findOneAndUpdate').mockResolvedValue(admin);
+    jest.spyOn(Admin, 'countDocuments').mockResolvedValue(1);
+
+    const res = await request(app).post(`/api/admin/users/${admin._id}/deactivate`);
+
+    expect(res.status).toBe(200);
+    expect(update.mock.calls[0][1]).toEqual({ $set: { isActive: false } });
+    expect(res.body.data.isActive).toBe(false);
+    expect(Session.revokeAllForAdmin).toHaveBeenCalledWith(admin._id, 'admin_action');
+  });
+});
+
+describe('PUT /api/admin/users/:id', () => {
+  const regularAdmin = () => {
+    const admin = new Admin({ username: 'helper', email: 'helper@example.com', password: 'long-enough-pass-1' });
+    jest.spyOn(admin, 'save').mockResolvedValue(admin);
+    jest.spyOn(Admin, 'findById').mockResolvedValue(admin);
+    return admin;
+  };
+
+  it('writes the changes in one update instead of saving the loaded copy', async () => {
+    const admin = regularAdmin();
+    const fresh = new Admin({ username: 'helper', email: 'helper@example.com', fullName: 'New Name', password: 'x' });
+    const update = jest.spyOn(Admin, 'findByIdAndUpdate').mockResolvedValue(fresh);
+
+    const res = await request(app).put(`/api/admin/users/${admin._id}`).send({ fullName: 'New Name' });
+
+    expect(res.status).toBe(200);
+    expect(update).toHaveBeenCalledWith(admin._id, { $set: { fullName: 'New Name' } }, { new: true, runValidators: true });
+    expect(admin.save).not.toHaveBeenCalled();
+    expect(res.body.data.fullName).toBe('New Name');
+  });
+
+  it('lets only super admins grant the super admin role', async () => {
+    mockAuth.loginAs(['admins:manage']);
+    const admin = regularAdmin();
+    const update = jest.spyOn(Admin, 'findByIdAndUpdate');
+
+    const res = await request(app).put(`/api/admin/users/${admin._id}`).send({ role: 'super_admin' });
+
+    expect(res.status).toBe(403);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('lets only super admins edit a super admin', async () => {
+    mockAuth.loginAs(['admins:manage']);
+    const admin = superAdmin();
+    const update = jest.spyOn(Admin, 'findByIdAndUpdate');
+
+    const res = await request(app).put(`/api/admin/users/${admin._id}`).send({ email: 'mine@example.com' });
+
+    expect(res.status).toBe(403);
+    expect(update).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/admin/users/:id/force-password-reset', () => {
+  it('leaves the account alone when the reset email cannot be queued', async () => {
+    const admin = new Admin({ username: 'helper', email: 'helper@example.com', password: 'long-enough-pass-1' });
+    jest.spyOn(admin, 'save').mockResolvedValue(admin);
+    jest.spyOn(Admin, 'findById').mockResolvedValue(admin);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const smtpUser = process.env.SMTP_USER;
+    delete process.env.SMTP_USER;
+
+    try {
+      const res = await request(app).post(`/api/admin/users/${admin._id}/force-password-reset`);
+
+      expect(res.status).toBe(503);
+      expect(admin.save).not.toHaveBeenCalled();
+      expect(Session.revokeAllForAdmin).not.toHaveBeenCalled();
+    } finally {
+      if (smtpUser !== undefined) process.env.SMTP_USER = smtpUser;
+    }
+  });
+});
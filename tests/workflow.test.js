@@ -0,0 +1,95 @@
+const Contact = require('../models/Contact');
+const { STATUSES, TRANSITIONS, OPEN_STATUSES } = require('../config/contactWorkflow');
+
+const makeContact = (status = 'new') => new Contact({
+  name: 'Priya Sharma',
+  email: 'priya@school.example',
+  message: 'We would like robotics kits for 120 students.',
+  status
+});
+
+describe('workflow config', () => {
+  it('only moves between known statuses', () => {
+    Object.entries(TRANSITIONS).forEach(([from, moves]) => {
+      expect(STATUSES).toContain(from);
+      Object.keys(moves).forEach(to => expect(STATUSES).toContain(to));
+    });
+  });
+
+  it('never counts spam as open', () => {
+    expect(OPEN_STATUSES).not.toContain('spam');
+  });
+});
+
+describe('Contact#checkTransition', () => {
+  it('allows listed moves and staying put', () => {
+    expect(makeContact('new').checkTransition('read')).toBeNull();
+    expect(makeContact('read').checkTransition('read')).toBeNull();
+  });
+
+  it('rejects moves the workflow does not list', () => {
+    expect(makeContact('new').checkTransition('reopened'))
+      .toBe('Cannot change status from "new" to "reopened". Allowed: read, replied, awaiting_response, resolved, closed, spam');
+    expect(makeContact('spam').checkTransition('resolved')).toMatch(/Allowed: new$/);
+  });
+
+  it('asks for a reason where the workflow needs one', () => {
+    const contact = makeContact('resolved');
+    expect(contact.checkTransition('reopened')).toMatch(/reason is required/);
+    expect(contact.checkTransition('reopened', '   ')).toMatch(/reason is required/);
+    expect(contact.checkTransition('reopened', 'Customer wrote back')).toBeNull();
+  });
+});
+
+describe('Contact#applyTransition', () => {
+  it('records the move in the history', () => {
+    const contact = makeContact('new');
+    const adminId = contact._id;
+
+    expect(contact.applyTransition('read', { changedBy: adminId })).toBe(true);
+
+    expect(contact.status).toBe('read');
+    const [start, move] = contact.statusHistory;
+    expect(start).toMatchObject({ from: null, to: 'new' });
+    expect(move).toMatchObject({ from: 'new', to: 'read' });
+    expect(String(move.changedBy)).toBe(String(adminId));
+  });
+
+  it('does nothing when the status is unchanged', () => {
+    const contact = makeContact('read');
+    expect(contact.applyTransition('read')).toBe(false);
+    expect(contact.statusHistory).toHaveLength(0);
+  });
+
+  it('keeps the resolution clock in step', () => {
+    const contact = makeContact('read');
+
+    contact.applyTransition('resolved');
+    const resolvedAt = contact.resolvedAt;
+    expect(resolvedAt).toBeInstanceOf(Date);
+
+    contact.applyTransition('closed');
+    expect(contact.resolvedAt).toBe(resolvedAt);
+
+    contact.applyTransition('reopened', { reason: 'More questions' });
+    expect(contact.resolvedAt).toBeUndefined();
+  });
+});
+
+describe('Contact#getTimeInStatus', () => {
+  it('adds up the time spent in each status', () => {
+    const contact = makeContact('new');
+    const start = new Date('2024-01-01T10:00:00Z');
+    contact.statusHistory = [
+      { from: null, to: 'new', changedAt: start },
+      { from: 'new', to: 'read', changedAt: new Date(start.getTime() + 60 * 1000) },
+      { from: 'read', to: 'replied', changedAt: new Date(start.getTime() + 5 * 60 * 1000) }
+    ];
+
+    expect(contact.getTimeInStatus(new Date(start.getTime() + 65 * 60 * 1000))).toEqual({
+      new: 60 * 1000,
+      read: 4 * 60 * 1000,
+      replied: 60 * 60 * 1000
+    });
+  });
+});
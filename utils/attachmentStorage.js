@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const https = require('https');
+const Attachment = require('../models/Attachment');
+
+// Storage drivers for contact attachments. Every driver has the same interface:
+//   save({ buffer, mimeType, originalName }) -> Promise<storageKey>
+//   open(storageKey)                         -> Promise<readable stream>
+//   remove(storageKey)                       -> Promise
+// The driver name is saved with each attachment, so switching drivers doesn't
+// break files that were stored earlier.
+
+// Files on the server's own disk, under config.attachments.localDir
+const createLocalDriver = ({ localDir }) => {
+  const root = path.resolve(localDir);
+
+  // Keys are generated by us, but never let one point outside the upload folder
+  const resolveKey = (storageKey) => {
+    const filePath = path.resolve(root, storageKey);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save({ buffer }) {
+      // Spread files over month folders, e.g. 2026-10/3f2a...bin
+      const storageKey = path.join(
+        new Date().toISOString().slice(0, 7),
+        `${crypto.randomBytes(16).toString('hex')}.bin`
+      );
+      const filePath = resolveKey(storageKey);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+      return storageKey;
+    },
+
+    async open(storageKey) {
+      const filePath = resolveKey(storageKey);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(storageKey) {
+      await fs.promises.rm(resolveKey(storageKey), { force: true });
+    }
+  };
+};
+
+// Files in Cloudinary, stored as private "raw" uploads so they are never publicly reachable
+const createCloudinaryDriver = ({ cloudinaryFolder }) => {
+  const cloudinary = require('cloudinary').v2;
+
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    secure: true
+  });
+
+  return {
+    name: 'cloudinary',
+
+    save({ buffer }) {
+      return new Promise((resolve, reject) => {
+        const upload = cloudinary.uploader.upload_stream({
+          folder: cloudinaryFolder,
+          resource_type: 'raw',
+          type: 'private'
+        }, (error, result) => {
+          if (error) return reject(error);
+          resolve(result.public_id);
+        });
+        upload.end(buffer);
+      });
+    },
+
+    // Fetch through a short-lived signed URL and pass the bytes on, so admins never see Cloudinary URLs
+    open(storageKey) {
+      const url = cloudinary.utils.private_download_url(storageKey, '', {
+        resource_type: 'raw',
+        type: 'private',
+        expires_at: Math.floor(Date.now() / 1000) + 60
+      });
+
+      return new Promise((resolve, reject) => {
+        https.get(url, (response) => {
+          if (response.statusCode !== 200) {
+            response.resume();
+            return reject(new Error(`Cloudinary download failed with status ${response.statusCode}`));
+          }
+          resolve(response);
+        }).on('error', reject);
+      });
+    },
+
+    async remove(storageKey) {
+      await cloudinary.uploader.destroy(storageKey, { resource_type: 'raw', type: 'private' });
+    }
+  };
+};
+
+const DRIVERS = {
+  local: createLocalDriver,
+  cloudinary: createCloudinaryDriver
+};
+
+const drivers = {};
+
+// Get a driver by name (defaults to the configured one). settings = config.attachments
+const getStorageDriver = (settings, name = settings.driver) => {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown attachment storage driver "${name}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  if (!drivers[name]) {
+    drivers[name] = DRIVERS[name](settings);
+  }
+  return drivers[name];
+};
+
+// Store the files multer parsed for a contact and record them. files = req.files
+// (read from their temporary paths, see middleware/upload.js)
+const saveAttachments = async (contactId, files, settings) => {
+  const driver = getStorageDriver(settings);
+  const attachments = [];
+
+  for (const file of files) {
+    // Attachment records allow 255 characters, so shorten the name before anything is stored
+    const originalName = String(file.originalname || '').trim().slice(0, 255) || 'attachment';
+    const buffer = await fs.promises.readFile(file.path);
+    const storageKey = await driver.save({
+      buffer,
+      mimeType: file.mimetype,
+      originalName
+    });
+
+    try {
+      attachments.push(await Attachment.create({
+        contact: contactId,
+        originalName,
+        mimeType: file.mimetype,
+        size: file.size,
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        driver: driver.name,
+        storageKey
+      }));
+    } catch (error) {
+      // Without a record nothing would ever point at (or clean up) the stored file
+      await driver.remove(storageKey).catch(removeError => {
+        console.error(`Failed to remove unrecorded attachment ${storageKey}:`, removeError);
+      });
+      throw error;
+    }
+  }
+
+  return attachments;
+};
+
+// Delete the stored files and records of every attachment on these contacts
+const removeAttachments = async (contactIds, settings) => {
+  const attachments = await Attachment.find({ contact: { $in: contactIds } }).select('+storageKey');
+
+  for (const attachment of attachments) {
+    try {
+      await getStorageDriver(settings, attachment.driver).remove(attachment.storageKey);
+    } catch (error) {
+      console.error(`Failed to remove attachment ${attachment._id}:`, error);
+    }
+  }
+
+  await Attachment.deleteMany({ contact: { $in: contactIds } });
+  return attachments.length;
+};
+
+module.exports = { getStorageDriver, saveAttachments, removeAttachments };
@@ -0,0 +1,47 @@
+const AuditLog = require('../models/AuditLog');
+
+// Pick out the fields that differ between two versions of a record
+// Returns null when nothing changed
+const diffFields = (before, after, fields) => {
+  const changes = { before: {}, after: {} };
+  let changed = false;
+
+  fields.forEach(field => {
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.before[field] = oldValue;
+      changes.after[field] = newValue;
+      changed = true;
+    }
+  });
+
+  return changed ? changes : null;
+};
+
+// Save an audit entry for the current request.
+// entry: { action, targetType, targetId, changes, metadata, actor }
+// actor defaults to the logged-in admin; pass it for routes without one (e.g. login)
+// Never throws - a failed audit write is logged but doesn't break the request
+const recordAudit = async (req, entry) => {
+  try {
+    const actor = entry.actor || req.admin;
+
+    await AuditLog.create({
+      actor: actor && (actor.id || actor._id),
+      actorUsername: actor && actor.username,
+      action: entry.action,
+      targetType: entry.targetType,
+      targetId: entry.targetId,
+      changes: entry.changes || undefined,
+      metadata: entry.metadata,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error('Failed to write audit log:', error);
+  }
+};
+
+module.exports = { recordAudit, diffFields };
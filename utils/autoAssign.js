@@ -0,0 +1,46 @@
+const Admin = require('../models/Admin');
+const Role = require('../models/Role');
+const Setting = require('../models/Setting');
+
+const SETTING_KEY = 'assignment.roundRobin';
+
+// { enabled, lastAdminId } - lastAdminId is who got the previous contact
+const getAutoAssignSettings = () => Setting.getValue(SETTING_KEY, { enabled: false, lastAdminId: null });
+
+const saveAutoAssignSettings = (settings, updatedBy) => Setting.setValue(SETTING_KEY, settings, updatedBy);
+
+// Admins who can take new contacts: active, and their role lets them reply
+const eligibleAdmins = async () => {
+  const roles = await Role.find({ permissions: 'contacts:reply' }).distinct('name');
+
+  return Admin.find({
+    isActive: true,
+    role: { $in: [...new Set([...roles, 'super_admin'])] }
+  }).sort({ _id: 1 });
+};
+
+// Give a new contact to the next eligible admin in turn (when auto-assignment is on)
+// Returns the admin it was assigned to, or null
+const autoAssignContact = async (contact) => {
+  // Already assigned (e.g. by a triage rule)
+  if (contact.assignedTo) return null;
+
+  const settings = await getAutoAssignSettings();
+  if (!settings.enabled) return null;
+
+  const admins = await eligibleAdmins();
+  if (admins.length === 0) return null;
+
+  const lastIndex = admins.findIndex(admin => String(admin._id) === String(settings.lastAdminId));
+  const next = admins[(lastIndex + 1) % admins.length];
+
+  contact.assignedTo = next._id;
+  contact.assignedAt = new Date();
+  await contact.save();
+
+  await saveAutoAssignSettings({ ...settings, lastAdminId: next._id });
+
+  return next;
+};
+
+module.exports = { getAutoAssignSettings, saveAutoAssignSettings, autoAssignContact };
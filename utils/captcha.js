@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const UsedChallenge = require('../models/UsedChallenge');
+
+// Self-hosted CAPTCHA for the public contact form. Challenges are stateless signed tokens;
+// only used nonces are stored (models/UsedChallenge.js) so a challenge can't be tried twice.
+//
+// pow:        find a `solution` so that sha256("<nonce>:<solution>") starts with
+//             `difficulty` zero bits
+// arithmetic: answer the sum in `question` (difficulty = number of terms minus one)
+
+const secret = () => process.env.CAPTCHA_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+const hmac = (value) => crypto.createHmac('sha256', secret()).update(value).digest('base64url');
+
+const signPayload = (payload) => {
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${hmac(encoded)}`;
+};
+
+// Returns the payload of a correctly signed token, or null
+const readToken = (token) => {
+  const [encoded, signature, extra] = String(token || '').split('.');
+  if (!encoded || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(hmac(encoded));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Number of leading zero bits in a hash
+const leadingZeroBits = (buffer) => {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+};
+
+const buildArithmetic = (difficulty) => {
+  const terms = [crypto.randomInt(1, 20)];
+  let question = String(terms[0]);
+  let answer = terms[0];
+
+  for (let i = 0; i < difficulty; i++) {
+    const value = crypto.randomInt(1, 20);
+    // Only subtract when the running total stays positive
+    if (answer > value && crypto.randomInt(2) === 1) {
+      question += ` - ${value}`;
+      answer -= value;
+    } else {
+      question += ` + ${value}`;
+      answer += value;
+    }
+  }
+
+  return { question, answer };
+};
+
+// Issue a new challenge. settings = config.captcha
+const issueChallenge = ({ type, difficulty, ttlSeconds }) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+  const payload = { type, nonce, difficulty, expiresAt };
+  const challenge = { type, expiresAt: new Date(expiresAt) };
+
+  if (type === 'arithmetic') {
+    const { question, answer } = buildArithmetic(difficulty);
+    // The answer is never sent - only a keyed hash of it
+    payload.answerHash = hmac(`${nonce}:${answer}`);
+    challenge.question = `What is ${question}?`;
+  } else {
+    challenge.nonce = nonce;
+    challenge.difficulty = difficulty;
+    challenge.algorithm = 'sha256';
+  }
+
+  challenge.token = signPayload(payload);
+  return challenge;
+};
+
+// Check a solution. Returns an error message, or null when the challenge is solved.
+// Every attempt uses the challenge up, right or wrong - otherwise a bot could keep
+// guessing arithmetic answers against the same token.
+const verifyChallenge = async (token, solution) => {
+  const payload = readToken(token);
+  if (!payload) {
+    return 'Challenge is invalid';
+  }
+
+  if (payload.expiresAt < Date.now()) {
+    return 'Challenge has expired. Please request a new one';
+  }
+
+  const answer = String(solution === undefined || solution === null ? '' : solution).trim();
+  if (!answer) {
+    return 'Challenge solution is required';
+  }
+
+  const claimed = await UsedChallenge.claim(payload.nonce, new Date(payload.expiresAt));
+  if (!claimed) {
+    return 'Challenge has already been used. Please request a new one';
+  }
+
+  let solved;
+  if (payload.type === 'arithmetic') {
+    const expected = Buffer.from(payload.answerHash);
+    const provided = Buffer.from(hmac(`${payload.nonce}:${parseInt(answer, 10)}`));
+    solved = expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  } else {
+    const hash = crypto.createHash('sha256').update(`${payload.nonce}:${answer}`).digest();
+    solved = leadingZeroBits(hash) >= payload.difficulty;
+  }
+
+  if (!solved) {
+    return 'Challenge solution is incorrect. Please request a new one';
+  }
+
+  return null;
+};
+
+module.exports = {
+  issueChallenge,
+  verifyChallenge
+};
@@ -0,0 +1,102 @@
+const { notify } = require('./notificationDispatcher');
+const { autoAssignContact } = require('./autoAssign');
+const { applySlaPolicy } = require('./sla');
+const { runTriage } = require('./triageEngine');
+const { sendAcknowledgementEmail } = require('./emailService');
+const Contact = require('../models/Contact');
+const AcknowledgementCooldown = require('../models/AcknowledgementCooldown');
+
+// "45 minutes", "24 hours", "3 days" - how long the first-response SLA gives us
+const describeResponseTime = (contact) => {
+  if (!contact.firstResponseDueAt) return undefined;
+
+  const minutes = Math.ceil((contact.firstResponseDueAt - contact.createdAt) / 60000);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+
+  const hours = Math.ceil(minutes / 60);
+  if (hours <= 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+
+  return `${Math.ceil(hours / 24)} days`;
+};
+
+// Email the submitter their reference number, unless turned off, they opted out,
+// or this address already got one within the cooldown.
+// settings = config.acknowledgement
+const acknowledgeContact = async (contact, { settings, optOut }) => {
+  if (!settings || !settings.enabled || optOut) return;
+
+  const claimed = await AcknowledgementCooldown.claim(contact.email, settings.cooldownHours);
+  if (!claimed) return;
+
+  let job;
+  try {
+    job = await sendAcknowledgementEmail(contact, describeResponseTime(contact));
+  } finally {
+    // Nothing was sent (email is not configured, or queueing failed), so don't hold the cooldown
+    if (!job) await AcknowledgementCooldown.release(contact.email);
+  }
+  if (!job) return;
+
+  contact.acknowledgedAt = new Date();
+  await Contact.updateOne({ _id: contact._id }, { $set: { acknowledgedAt: contact.acknowledgedAt } });
+};
+
+// Everything that happens to a new (unsaved) submission from any public form:
+// spam goes to the spam bucket; real enquiries get triage, SLA deadlines,
+// auto-assignment, notifications and an acknowledgement email to the submitter.
+// spam = result of scoreSubmission() from utils/spamFilter.js
+// acknowledgement = { settings: config.acknowledgement, optOut: true when the submitter asked for no email }
+const processNewContact = async (contact, spam, acknowledgement = {}) => {
+  contact.spamScore = spam.score;
+  contact.spamReasons = spam.reasons.length > 0 ? spam.reasons : undefined;
+  contact.contentHash = spam.contentHash;
+
+  if (spam.isSpam) {
+    // Likely spam is kept in the spam bucket for review - no triage, SLA, assignment or email
+    contact.applyTransition('spam', { reason: 'Flagged by spam filter' });
+    await contact.saveNew();
+    return contact;
+  }
+
+  // Let the admin-defined triage rules set priority, tags, assignee or status
+  try {
+    await runTriage(contact);
+  } catch (error) {
+    console.error('Triage rules failed:', error);
+  }
+
+  // Set the first-response and resolution deadlines for its priority
+  await applySlaPolicy(contact);
+
+  await contact.saveNew();
+
+  // Hand it to the next admin in line when round-robin assignment is on
+  // (a failure here must not lose the submission)
+  try {
+    await autoAssignContact(contact);
+  } catch (error) {
+    console.error('Auto-assignment failed:', error);
+  }
+
+  // Tell the subscribed admins (don't wait for it to complete)
+  const events = ['contact.created'];
+  if (contact.priority === 'urgent') events.push('contact.urgent');
+  if (contact.assignedTo) events.push('contact.assigned');
+
+  events.forEach(event => {
+    notify(event, { contact }).catch(error => {
+      console.error(`Failed to send ${event} notifications:`, error);
+    });
+  });
+
+  // Queued like the admin notification; a failure here must not lose the submission either
+  try {
+    await acknowledgeContact(contact, acknowledgement);
+  } catch (error) {
+    console.error('Acknowledgement email failed:', error);
+  }
+
+  return contact;
+};
+
+module.exports = { processNewContact };
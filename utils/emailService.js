@@ -1,135 +1,332 @@
-const nodemailer = require('nodemailer');
-
-// Create email transporter (the thing that sends emails)
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    host: process.env.SMTP_HOST || 'smtp.gmail.com',
-    port: process.env.SMTP_PORT || 587,
-    secure: false, // true for 465, false for other ports
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS
-    }
-  });
+const { queueEmail } = require('./mailQueue');
+const { buildReplyAddress, buildMessageId } = require('./inboundEmail');
+const { render, escapeHtml, htmlToText } = require('./templateRenderer');
+const EmailTemplate = require('../models/EmailTemplate');
+
+// Emails aren't sent here directly - they go on the mail queue (utils/mailQueue.js),
+// which retries them if SMTP is down. Each function returns the queued EmailJob.
+// Emails people can edit live in EmailTemplate (built-in versions in config/emailTemplates.js);
+// the rest are built here, with every value escaped.
+
+const adminPanelUrl = () => process.env.ADMIN_PANEL_URL || 'http://localhost:3000/admin';
+
+// What templates can use from a contact
+const contactVariables = (contact) => ({
+  reference: contact.reference,
+  name: contact.name,
+  email: contact.email,
+  phone: contact.phone,
+  company: contact.company,
+  school: contact.school,
+  location: contact.location,
+  subject: contact.subject,
+  message: contact.message,
+  priority: contact.priority,
+  status: contact.status,
+  submittedAt: contact.createdAt ? new Date(contact.createdAt).toLocaleString() : '',
+  formFields: Object.entries(contact.formData || {}).map(([label, value]) => ({
+    label,
+    value: value instanceof Date ? value.toLocaleDateString() : value
+  }))
+});
+
+// Everything a template can refer to. extra holds the template-specific values (reply, resetUrl ...)
+const buildTemplateVariables = (contact, extra = {}) => ({
+  contact: contact ? contactVariables(contact) : undefined,
+  site: {
+    name: process.env.COMPANY_NAME || 'Tangible Learning',
+    url: process.env.COMPANY_WEBSITE || 'https://tangiblelearning.in'
+  },
+  adminPanelUrl: adminPanelUrl(),
+  ...extra
+});
+
+// The acknowledgement goes to an address nobody has verified, so it carries nothing the
+// sender typed in - just the reference number and how soon to expect an answer
+const acknowledgementVariables = (contact, expectedResponse) =>
+  buildTemplateVariables(null, { contact: { reference: contact.reference }, expectedResponse });
+
+// Render a template into { subject, html, text }. Uses the stored (or built-in) template for
+// the key unless one is passed in, e.g. an unsaved draft being previewed.
+const renderEmail = async (key, variables, template) => {
+  const source = template || await EmailTemplate.resolve(key);
+  const html = render(source.html, variables, 'html');
+
+  return {
+    subject: render(source.subject, variables, 'text').replace(/\s+/g, ' ').trim(),
+    html,
+    text: source.text ? render(source.text, variables, 'text') : htmlToText(html)
+  };
 };
 
 // Send notification email to admin when new contact is received
-const sendNotificationEmail = async (contact) => {
+// (to the shared ADMIN_EMAIL inbox unless another address is given)
+const sendNotificationEmail = async (contact, to = process.env.ADMIN_EMAIL) => {
   try {
     // Skip if email is not configured
-    if (!process.env.SMTP_USER || !process.env.ADMIN_EMAIL) {
+    if (!process.env.SMTP_USER || !to) {
       console.log('Email configuration not found, skipping notification');
       return;
     }
 
-    const transporter = createTransporter();
+    const email = await renderEmail('admin_notification', buildTemplateVariables(contact));
+
+    const mailOptions = {
+      from: process.env.SMTP_USER,
+      to,
+      ...email
+    };
+
+    const job = await queueEmail(mailOptions, { kind: 'contact_notification', contact: contact._id });
+    console.log('Notification email queued');
+    return job;
+
+  } catch (error) {
+    console.error('Failed to queue notification email:', error);
+    throw error;
+  }
+};
+
+// Send reply email to contact person (threadMessageId = the Message it belongs to)
+const sendReplyEmail = async (contact, subject, message, fromEmail, threadMessageId) => {
+  try {
+    if (!process.env.SMTP_USER) {
+      throw new Error('Email configuration not found');
+    }
+
+    const email = await renderEmail('reply', buildTemplateVariables(contact, {
+      reply: { subject, message }
+    }));
+
+    const mailOptions = {
+      from: process.env.SMTP_USER,
+      to: contact.email,
+      // Answers go to the per-contact inbound address when it's set up, so they land on the thread
+      replyTo: buildReplyAddress(contact._id) || fromEmail,
+      messageId: buildMessageId(contact._id),
+      ...email
+    };
+
+    const job = await queueEmail(mailOptions, { kind: 'reply', contact: contact._id, message: threadMessageId });
+    console.log('Reply email queued');
+    return job;
+
+  } catch (error) {
+    console.error('Failed to queue reply email:', error);
+    throw error;
+  }
+};
+
+// Send password reset link to an admin
+const sendPasswordResetEmail = async (admin, resetUrl) => {
+  try {
+    if (!process.env.SMTP_USER) {
+      throw new Error('Email configuration not found');
+    }
+
+    const email = await renderEmail('password_reset', buildTemplateVariables(null, {
+      admin: { name: admin.fullName || admin.username, email: admin.email },
+      resetUrl,
+      expiresInMinutes: 30
+    }));
+
+    const mailOptions = {
+      from: process.env.SMTP_USER,
+      to: admin.email,
+      ...email
+    };
+
+    // The reset link is a secret - the queue wipes it once the email is sent
+    const job = await queueEmail(mailOptions, { kind: 'password_reset', sensitive: true });
+    console.log('Password reset email queued');
+    return job;
+
+  } catch (error) {
+    console.error('Failed to queue password reset email:', error);
+    throw error;
+  }
+};
+
+// Confirm to the person who got in touch that we have their message
+// expectedResponse: e.g. "24 hours" (left out when there is no SLA for the contact)
+const sendAcknowledgementEmail = async (contact, expectedResponse) => {
+  try {
+    // Skip if email is not configured
+    if (!process.env.SMTP_USER) {
+      console.log('Email configuration not found, skipping acknowledgement email');
+      return;
+    }
+
+    const email = await renderEmail('auto_acknowledgement', acknowledgementVariables(contact, expectedResponse));
 
     const mailOptions = {
       from: process.env.SMTP_USER,
-      to: process.env.ADMIN_EMAIL, // This goes to naveenp@tangiblelearning.in
-      subject: `New Contact Form Submission - ${contact.subject || 'No Subject'}`,
+      to: contact.email,
+      // Answers go on the contact's thread, like answers to our replies
+      replyTo: buildReplyAddress(contact._id) || undefined,
+      ...email
+    };
+
+    const job = await queueEmail(mailOptions, { kind: 'auto_acknowledgement', contact: contact._id });
+    console.log('Acknowledgement email queued');
+    return job;
+
+  } catch (error) {
+    console.error('Failed to queue acknowledgement email:', error);
+    throw error;
+  }
+};
+
+// Warn an admin that their account was locked after repeated failed logins
+const sendAccountLockedEmail = async (admin, ipAddress) => {
+  try {
+    // Skip if email is not configured
+    if (!process.env.SMTP_USER) {
+      console.log('Email configuration not found, skipping account locked email');
+      return;
+    }
+
+    const mailOptions = {
+      from: process.env.SMTP_USER,
+      to: admin.email,
+      subject: 'Your Tangible Learning admin account was locked',
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333; border-bottom: 2px solid #007bff; padding-bottom: 10px;">
-            New Contact Form Submission
+          <h2 style="color: #333; border-bottom: 2px solid #dc3545; padding-bottom: 10px;">
+            Account Temporarily Locked
           </h2>
-          
-          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
-            <h3 style="color: #007bff; margin-top: 0;">Contact Details</h3>
-            
-            <p><strong>Name:</strong> ${contact.name}</p>
-            <p><strong>Email:</strong> <a href="mailto:${contact.email}">${contact.email}</a></p>
-            ${contact.phone ? `<p><strong>Phone:</strong> ${contact.phone}</p>` : ''}
-            ${contact.company ? `<p><strong>Company:</strong> ${contact.company}</p>` : ''}
-            <p><strong>Subject:</strong> ${contact.subject || 'No subject'}</p>
-            <p><strong>Submitted:</strong> ${contact.createdAt.toLocaleString()}</p>
-          </div>
 
-          <div style="background-color: #fff; padding: 20px; border: 1px solid #dee2e6; border-radius: 5px;">
-            <h4 style="color: #333; margin-top: 0;">Message:</h4>
-            <p style="line-height: 1.6; color: #555; white-space: pre-wrap;">${contact.message}</p>
-          </div>
+          <p style="color: #555;">Hello ${escapeHtml(admin.fullName || admin.username)},</p>
+          <p style="color: #555;">
+            Your admin account was locked after ${admin.failedLoginCount} failed login attempts.
+            It will unlock automatically at <strong>${admin.lockUntil.toLocaleString()}</strong>.
+          </p>
+          <p style="color: #555;"><strong>Last attempt from IP:</strong> ${escapeHtml(ipAddress || 'unknown')}</p>
 
-          <div style="margin-top: 20px; padding: 15px; background-color: #e9ecef; border-radius: 5px;">
-            <p style="margin: 0; font-size: 14px; color: #6c757d;">
-              <strong>Admin Panel:</strong> 
-              <a href="${process.env.ADMIN_PANEL_URL || 'http://localhost:3000/admin'}" 
-                 style="color: #007bff; text-decoration: none;">
-                View in Admin Panel
-              </a>
-            </p>
-          </div>
+          <p style="font-size: 14px; color: #6c757d;">
+            If this wasn't you, reset your password and ask a super admin to review the account.
+          </p>
         </div>
       `
     };
 
-    await transporter.sendMail(mailOptions);
-    console.log('Notification email sent successfully');
+    const job = await queueEmail(mailOptions, { kind: 'account_locked' });
+    console.log('Account locked email queued');
+    return job;
 
   } catch (error) {
-    console.error('Failed to send notification email:', error);
+    console.error('Failed to queue account locked email:', error);
     throw error;
   }
 };
 
-// Send reply email to contact person
-const sendReplyEmail = async (contact, subject, message, fromEmail) => {
+// Escalate a missed SLA deadline to one recipient
+const sendSlaBreachEmail = async (contact, type, to) => {
   try {
-    if (!process.env.SMTP_USER) {
-      throw new Error('Email configuration not found');
+    // Skip if email is not configured
+    if (!process.env.SMTP_USER || !to) {
+      console.log('Email configuration not found, skipping SLA breach email');
+      return;
     }
 
-    const transporter = createTransporter();
+    const label = type === 'firstResponse' ? 'first response' : 'resolution';
+    const dueAt = type === 'firstResponse' ? contact.firstResponseDueAt : contact.resolveDueAt;
 
     const mailOptions = {
       from: process.env.SMTP_USER,
-      to: contact.email,
-      subject: `Re: ${subject}`,
-      replyTo: fromEmail,
+      to,
+      subject: `SLA breached (${label}) - ${contact.priority.toUpperCase()} - ${contact.subject || contact.name}`,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #007bff; color: white; padding: 20px; text-align: center;">
-            <h2 style="margin: 0;">Tangible Learning</h2>
-          </div>
-          
-          <div style="padding: 20px; background-color: #f8f9fa;">
-            <p style="margin: 0 0 10px 0; color: #6c757d; font-size: 14px;">
-              Hello ${contact.name},
-            </p>
-            <p style="margin: 0; color: #6c757d; font-size: 14px;">
-              Thank you for contacting us. Here's our response to your inquiry:
-            </p>
-          </div>
+          <h2 style="color: #333; border-bottom: 2px solid #dc3545; padding-bottom: 10px;">
+            SLA Breached: ${label}
+          </h2>
 
-          <div style="padding: 20px; background-color: white; border-left: 4px solid #007bff;">
-            <div style="line-height: 1.6; color: #333; white-space: pre-wrap;">${message}</div>
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p><strong>Contact:</strong> ${escapeHtml(contact.name)} (${escapeHtml(contact.email)})</p>
+            <p><strong>Subject:</strong> ${escapeHtml(contact.subject || 'No subject')}</p>
+            <p><strong>Priority:</strong> ${contact.priority}</p>
+            <p><strong>Status:</strong> ${contact.status}</p>
+            <p><strong>Assigned to:</strong> ${escapeHtml(contact.assignedTo ? (contact.assignedTo.fullName || contact.assignedTo.username) : 'Nobody')}</p>
+            <p><strong>Was due:</strong> ${dueAt.toLocaleString()}</p>
           </div>
 
-          <div style="padding: 20px; background-color: #343a40; color: white; text-align: center;">
-            <p style="margin: 0; font-size: 14px;">
-              Best regards,<br>
-              Tangible Learning Team
-            </p>
-            <p style="margin: 10px 0 0 0; font-size: 12px;">
-              <a href="https://tangiblelearning.in" style="color: #6c757d;">
-                https://tangiblelearning.in
-              </a>
-            </p>
+          <p style="margin: 0; font-size: 14px; color: #6c757d;">
+            <a href="${escapeHtml(adminPanelUrl())}"
+               style="color: #007bff; text-decoration: none;">
+              Open the Admin Panel
+            </a>
+          </p>
+        </div>
+      `
+    };
+
+    const job = await queueEmail(mailOptions, { kind: 'sla_breach', contact: contact._id });
+    console.log('SLA breach email queued');
+    return job;
+
+  } catch (error) {
+    console.error('Failed to queue SLA breach email:', error);
+    throw error;
+  }
+};
+
+// Any other notification event (see utils/notificationDispatcher.js) as a simple email
+const sendEventEmail = async (to, notification) => {
+  try {
+    // Skip if email is not configured
+    if (!process.env.SMTP_USER || !to) {
+      console.log('Email configuration not found, skipping notification email');
+      return;
+    }
+
+    const mailOptions = {
+      from: process.env.SMTP_USER,
+      to,
+      subject: notification.title,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333; border-bottom: 2px solid #007bff; padding-bottom: 10px;">
+            ${escapeHtml(notification.title)}
+          </h2>
+
+          <p style="line-height: 1.6; color: #555; white-space: pre-wrap;">${escapeHtml(notification.text)}</p>
+
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            ${notification.fields.map(field => `<p><strong>${escapeHtml(field.label)}:</strong> ${escapeHtml(field.value)}</p>`).join('')}
           </div>
+
+          <p style="margin: 0; font-size: 14px; color: #6c757d;">
+            <a href="${escapeHtml(notification.url)}" style="color: #007bff; text-decoration: none;">
+              Open the Admin Panel
+            </a>
+          </p>
         </div>
       `
     };
 
-    await transporter.sendMail(mailOptions);
-    console.log('Reply email sent successfully');
+    const job = await queueEmail(mailOptions, {
+      kind: 'event_notification',
+      contact: notification.contact ? notification.contact._id : undefined
+    });
+    console.log('Notification email queued');
+    return job;
 
   } catch (error) {
-    console.error('Failed to send reply email:', error);
+    console.error('Failed to queue notification email:', error);
     throw error;
   }
 };
 
 module.exports = {
+  buildTemplateVariables,
+  acknowledgementVariables,
+  renderEmail,
   sendNotificationEmail,
-  sendReplyEmail
+  sendReplyEmail,
+  sendAcknowledgementEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendSlaBreachEmail,
+  sendEventEmail
 };
\ No newline at end of file
@@ -0,0 +1,53 @@
+// Works out what a file really is from its first bytes ("magic bytes"),
+// so a renamed .exe can't get in by claiming to be a PDF.
+
+const SIGNATURES = [
+  { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  { mimeType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], extra: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } }, // RIFF....WEBP
+  { mimeType: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] }, // PK - also docx/xlsx/pptx
+  { mimeType: 'application/x-ole-storage', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] } // old .doc/.xls/.ppt
+];
+
+// Office formats are containers - the magic bytes only tell us the container
+const CONTAINER_TYPES = {
+  'application/zip': [
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  ],
+  'application/x-ole-storage': [
+    'application/msword',
+    'application/vnd.ms-excel',
+    'application/vnd.ms-powerpoint'
+  ]
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+// MIME type detected from the content, or null if it isn't one we recognise
+const detectMimeType = (buffer) => {
+  const match = SIGNATURES.find(signature =>
+    startsWith(buffer, signature.bytes) &&
+    (!signature.extra || startsWith(buffer, signature.extra.bytes, signature.extra.offset))
+  );
+  return match ? match.mimeType : null;
+};
+
+// Does the content match the MIME type the client declared?
+// Returns the type to store, or null if the file should be rejected.
+const verifyMimeType = (buffer, declaredType) => {
+  const detected = detectMimeType(buffer);
+  if (!detected) return null;
+
+  if (CONTAINER_TYPES[detected]) {
+    return CONTAINER_TYPES[detected].includes(declaredType) ? declaredType : null;
+  }
+
+  return detected === declaredType ? detected : null;
+};
+
+module.exports = { detectMimeType, verifyMimeType };
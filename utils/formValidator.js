@@ -0,0 +1,157 @@
+const { body, validationResult } = require('express-validator');
+
+// Submitted values with these names are stored on the contact itself, the rest in contact.formData
+const CONTACT_FIELDS = ['name', 'email', 'phone', 'subject', 'message', 'company', 'location', 'school'];
+
+// Field patterns are written by admins but run against anonymous input on a single-threaded
+// server, so values longer than this are refused before the pattern is tried
+const PATTERN_MAX_INPUT = 256;
+
+// Rough check for patterns that can backtrack catastrophically (ReDoS): a repeated group that
+// itself contains a quantifier, like (a+)+ or (\d{2})*, and backreferences.
+// A false positive only means the admin has to write the pattern another way.
+const isSafePattern = (pattern) => {
+  const groups = [{ quantified: false }];
+  let closedGroup = null; // the group that ended just before the current character
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const previous = closedGroup;
+    closedGroup = null;
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) return false;
+      i++;
+    } else if (char === '[') {
+      // Skip the character class - quantifier characters inside it are literals
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ quantified: false });
+      // (?:, (?=, (?!, (?<=, (?<!, (?<name>
+      if (pattern[i + 1] === '?') {
+        const named = pattern[i + 2] === '<' && !'=!'.includes(pattern[i + 3]);
+        i = named ? pattern.indexOf('>', i) : i + (pattern[i + 2] === '<' ? 3 : 2);
+        if (i === -1) return false;
+      }
+    } else if (char === ')') {
+      closedGroup = groups.length > 1 ? groups.pop() : null;
+      if (closedGroup && closedGroup.quantified) groups[groups.length - 1].quantified = true;
+    } else if (char === '*' || char === '+' || char === '?' ||
+      (char === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(i)))) {
+      const repeats = char !== '?';
+      if (repeats && previous && previous.quantified) return false;
+      groups[groups.length - 1].quantified = true;
+      if (char === '{') i = pattern.indexOf('}', i);
+      // a ? straight after a quantifier only makes it lazy
+      if (pattern[i + 1] === '?') i++;
+    }
+  }
+
+  return true;
+};
+
+// Build the express-validator chain for one field of a form definition
+const buildFieldValidator = (field) => {
+  let chain = body(field.name);
+
+  if (field.required) {
+    chain = field.type === 'checkbox'
+      ? chain.custom(value => value === true || value === 'true').withMessage(`${field.label} must be ticked`)
+      : chain.notEmpty().withMessage(`${field.label} is required`).bail();
+  } else {
+    chain = chain.optional({ values: 'falsy' });
+  }
+
+  switch (field.type) {
+    case 'email':
+      return chain.isEmail().withMessage(`${field.label} must be a valid email address`).normalizeEmail();
+
+    case 'phone':
+      return chain.isMobilePhone().withMessage(`${field.label} must be a valid phone number`);
+
+    case 'number': {
+      let range = '';
+      if (field.min != null && field.max != null) range = ` between ${field.min} and ${field.max}`;
+      else if (field.min != null) range = ` of at least ${field.min}`;
+      else if (field.max != null) range = ` no greater than ${field.max}`;
+
+      return chain
+        .isFloat({ min: field.min ?? undefined, max: field.max ?? undefined })
+        .withMessage(`${field.label} must be a number${range}`)
+        .toFloat();
+    }
+
+    case 'date':
+      return chain.isISO8601().withMessage(`${field.label} must be a date (YYYY-MM-DD)`).toDate();
+
+    case 'select':
+      return chain.isIn(field.options || []).withMessage(`${field.label} must be one of: ${(field.options || []).join(', ')}`);
+
+    case 'checkbox':
+      return chain.isBoolean().withMessage(`${field.label} must be true or false`).toBoolean();
+
+    default: // text, textarea
+      chain = chain
+        .isString()
+        .withMessage(`${field.label} must be text`)
+        .bail()
+        .trim()
+        .isLength({ min: field.minLength || 0, max: field.maxLength || 2000 })
+        .withMessage(`${field.label} must be between ${field.minLength || 0} and ${field.maxLength || 2000} characters`);
+      // Patterns saved before isSafePattern() existed are skipped rather than run
+      if (field.pattern && isSafePattern(field.pattern)) {
+        chain = chain
+          .bail()
+          .isLength({ max: PATTERN_MAX_INPUT })
+          .withMessage(`${field.label} is not in the expected format`)
+          .bail()
+          .matches(new RegExp(field.pattern))
+          .withMessage(`${field.label} is not in the expected format`);
+      }
+      return chain;
+  }
+};
+
+// Check req.body against a FormDefinition.
+// Returns { errors } (same shape as validationResult().array()) or { values } split into
+// contact fields and extra formData. Unknown fields in the body are ignored.
+const validateSubmission = async (definition, req) => {
+  await Promise.all(definition.fields.map(field => buildFieldValidator(field).run(req)));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return { errors: errors.array() };
+  }
+
+  const contactValues = {};
+  const formData = {};
+
+  definition.fields.forEach(field => {
+    const value = req.body[field.name];
+    if (value === undefined || value === null || value === '') return;
+
+    if (CONTACT_FIELDS.includes(field.name)) {
+      contactValues[field.name] = value;
+    } else {
+      formData[field.name] = value;
+    }
+  });
+
+  return { values: { contactValues, formData } };
+};
+
+// Contacts always need a message - forms without one get a summary of the other answers
+const summarizeFormData = (definition, formData) => {
+  const lines = definition.fields
+    .filter(field => formData[field.name] !== undefined)
+    .map(field => {
+      const value = formData[field.name];
+      return `${field.label}: ${value instanceof Date ? value.toISOString().slice(0, 10) : value}`;
+    });
+
+  return [`${definition.name} submission`, ...lines].join('\n').slice(0, 2000);
+};
+
+module.exports = { CONTACT_FIELDS, isSafePattern, validateSubmission, summarizeFormData };
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+
+// Customer replies come back to us either through a per-contact reply address
+// (reply+<contactId>@INBOUND_EMAIL_DOMAIN) or through the In-Reply-To/References headers
+// pointing at a Message-ID we generated.
+
+const inboundDomain = () => process.env.INBOUND_EMAIL_DOMAIN;
+
+// Address used as Reply-To on outbound replies, or null when inbound mail isn't set up
+const buildReplyAddress = (contactId) => {
+  const domain = inboundDomain();
+  return domain ? `reply+${contactId}@${domain}` : null;
+};
+
+// Message-ID for an outbound reply - contains the contact ID so it can be matched later
+const buildMessageId = (contactId) => {
+  const domain = inboundDomain() || 'tangiblelearning.in';
+  return `<contact-${contactId}-${crypto.randomBytes(8).toString('hex')}@${domain}>`;
+};
+
+// Pull a contact ID out of a reply+<id>@ address
+const contactIdFromAddress = (address) => {
+  const match = String(address || '').toLowerCase().match(/^reply\+([a-f0-9]{24})@/);
+  return match ? match[1] : null;
+};
+
+// Pull a contact ID out of one of our Message-IDs
+const contactIdFromMessageId = (messageId) => {
+  const match = String(messageId || '').match(/<?contact-([a-f0-9]{24})-[a-f0-9]+@/);
+  return match ? match[1] : null;
+};
+
+// List every address in a mailparser address field (to, cc, ...)
+const addressesOf = (field) => {
+  if (!field) return [];
+  const groups = Array.isArray(field) ? field : [field];
+  return groups.flatMap(group => (group.value || []).map(entry => entry.address)).filter(Boolean);
+};
+
+// Parse a raw RFC 822 message into the pieces we store
+const parseInboundEmail = async (raw) => {
+  const parsed = await simpleParser(raw);
+
+  const references = []
+    .concat(parsed.inReplyTo || [])
+    .concat(parsed.references || [])
+    .flatMap(value => String(value).split(/\s+/))
+    .filter(Boolean);
+
+  const recipients = [
+    ...addressesOf(parsed.to),
+    ...addressesOf(parsed.cc),
+    parsed.headers.get('delivered-to'),
+    parsed.headers.get('x-original-to')
+  ].flatMap(value => (typeof value === 'string' ? value : addressesOf(value)));
+
+  const from = addressesOf(parsed.from)[0] || null;
+
+  return {
+    messageId: parsed.messageId || null,
+    from,
+    recipients,
+    references,
+    subject: parsed.subject || '',
+    text: (parsed.text || '').trim(),
+    date: parsed.date || new Date()
+  };
+};
+
+module.exports = {
+  buildReplyAddress,
+  buildMessageId,
+  contactIdFromAddress,
+  contactIdFromMessageId,
+  parseInboundEmail
+};
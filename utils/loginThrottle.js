@@ -0,0 +1,54 @@
+// Tracks failed logins per IP address in memory, so one IP can't try password after password
+// across many accounts. Account-level locking lives on the Admin model.
+const WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILURES_PER_IP = parseInt(process.env.MAX_FAILED_LOGINS_PER_IP, 10) || 20;
+const BASE_BLOCK_MS = 60 * 1000;
+const MAX_BLOCK_MS = 60 * 60 * 1000;
+
+const failuresByIp = new Map();
+
+// Seconds until this IP may try again, or 0 if it isn't blocked
+const getBlockedSeconds = (ip) => {
+  const entry = failuresByIp.get(ip);
+  if (!entry || !entry.blockedUntil) return 0;
+
+  const remaining = entry.blockedUntil - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+};
+
+// Record a failed attempt. Past the limit, each extra failure doubles the block (1 min, 2 min ... 1 h)
+const registerFailure = (ip) => {
+  const now = Date.now();
+  let entry = failuresByIp.get(ip);
+
+  if (!entry || now - entry.firstFailureAt > WINDOW_MS) {
+    entry = { count: 0, firstFailureAt: now, blockedUntil: null };
+    failuresByIp.set(ip, entry);
+  }
+
+  entry.count += 1;
+
+  if (entry.count >= MAX_FAILURES_PER_IP) {
+    const blockMs = Math.min(BASE_BLOCK_MS * 2 ** (entry.count - MAX_FAILURES_PER_IP), MAX_BLOCK_MS);
+    entry.blockedUntil = now + blockMs;
+    // Keep the entry around for as long as the block lasts
+    entry.firstFailureAt = now;
+  }
+};
+
+// A successful login clears the IP's record
+const clearFailures = (ip) => {
+  failuresByIp.delete(ip);
+};
+
+// Drop stale entries now and then so the map doesn't grow forever
+setInterval(() => {
+  const now = Date.now();
+  for (const [ip, entry] of failuresByIp) {
+    if (now - entry.firstFailureAt > WINDOW_MS && (!entry.blockedUntil || entry.blockedUntil < now)) {
+      failuresByIp.delete(ip);
+    }
+  }
+}, WINDOW_MS).unref();
+
+module.exports = { getBlockedSeconds, registerFailure, clearFailures };
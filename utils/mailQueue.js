@@ -0,0 +1,221 @@
+const nodemailer = require('nodemailer');
+const EmailJob = require('../models/EmailJob');
+const Message = require('../models/Message');
+const Contact = require('../models/Contact');
+
+// Jobs stuck in "sending" this long (e.g. the server died mid-send) are picked up again
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+let transporter = null;
+// Set by jobs/emailQueue.js so new emails go out straight away instead of at the next poll
+let wakeWorker = () => {};
+
+// One pooled SMTP connection set for the whole process, instead of a new transporter per email
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      pool: true,
+      maxConnections: parseInt(process.env.SMTP_POOL_SIZE, 10) || 3,
+      host: process.env.SMTP_HOST || 'smtp.gmail.com',
+      port: process.env.SMTP_PORT || 587,
+      secure: false, // true for 465, false for other ports
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      }
+    });
+  }
+  return transporter;
+};
+
+// Wait before retry n: baseDelayMs, doubling each time, capped at maxDelayMs, plus up to 10% jitter
+const backoffDelay = (attempts, { baseDelayMs, maxDelayMs }) => {
+  const delay = Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+};
+
+// Keep the thread entry (and the first-response clock) in step with the email
+const afterSent = async (job) => {
+  if (job.message) {
+    await Message.updateOne(
+      { _id: job.message },
+      { $set: { deliveryStatus: 'sent', sentAt: job.sentAt }, $unset: { deliveryError: '' } }
+    );
+  }
+
+  if (job.kind === 'reply' && job.contact) {
+    await Contact.updateOne(
+      { _id: job.contact, firstRespondedAt: null },
+      { $set: { firstRespondedAt: job.sentAt } }
+    );
+  }
+};
+
+const afterGivingUp = async (job) => {
+  if (job.message) {
+    await Message.updateOne(
+      { _id: job.message },
+      { $set: { deliveryStatus: 'failed', deliveryError: job.lastError } }
+    );
+  }
+};
+
+// Reset links and the like shouldn't sit in the database once the job is over, whether it
+// was delivered or not - such a job can't be sent again afterwards
+const wipeSensitiveBody = (job) => {
+  if (job.sensitive) {
+    job.mailOptions.html = undefined;
+    job.mailOptions.text = undefined;
+  }
+};
+
+// Try to send one claimed job, then record the outcome. settings = config.emailQueue
+const sendJob = async (job, settings) => {
+  try {
+    const info = await getTransporter().sendMail(job.toObject().mailOptions);
+
+    job.status = 'sent';
+    job.sentAt = new Date();
+    job.providerMessageId = info && info.messageId;
+    job.lastError = undefined;
+    job.lockedAt = undefined;
+    wipeSensitiveBody(job);
+
+    await job.save();
+    await afterSent(job);
+
+  } catch (error) {
+    job.attempts += 1;
+    job.lastError = String(error.message).slice(0, 500);
+    job.attemptLog.push({ at: new Date(), message: job.lastError });
+    job.lockedAt = undefined;
+
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'dead';
+      wipeSensitiveBody(job);
+      console.error(`✉️  Email job ${job._id} failed ${job.attempts} times, giving up:`, error.message);
+    } else {
+      job.status = 'retrying';
+      job.nextAttemptAt = new Date(Date.now() + backoffDelay(job.attempts, settings));
+    }
+
+    await job.save();
+
+    if (job.status === 'dead') {
+      await afterGivingUp(job);
+    }
+  }
+};
+
+// Claim due jobs one at a time (atomically, so several workers can run) and send them
+const processQueue = async (settings) => {
+  const now = new Date();
+  let processed = 0;
+
+  while (processed < settings.batchSize) {
+    const job = await EmailJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: { $in: ['pending', 'retrying'] }, nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+        ]
+      },
+      { $set: { status: 'sending', lockedAt: now } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+
+    if (!job) break;
+
+    await sendJob(job, settings);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+// jobs/emailQueue.js registers its run function here
+const setQueueWorker = (worker) => {
+  wakeWorker = worker;
+};
+
+// Put an email on the queue. options: { kind, contact, message, sensitive }
+const queueEmail = async (mailOptions, { kind, contact, message, sensitive = false }) => {
+  const job = await EmailJob.create({
+    kind,
+    mailOptions,
+    sensitive,
+    contact,
+    message
+  });
+
+  setImmediate(wakeWorker);
+  return job;
+};
+
+// Statuses an admin can retry or cancel a job from. A job the worker has claimed is "sending",
+// so it can't be touched until the attempt is over.
+const RETRYABLE_STATUSES = ['dead', 'cancelled', 'retrying'];
+const CANCELLABLE_STATUSES = ['pending', 'retrying', 'dead'];
+
+// Sensitive jobs lose their body once dead or cancelled, so only a still-retrying one can be retried
+const canRetry = (job) => RETRYABLE_STATUSES.includes(job.status) &&
+  !(job.sensitive && job.status !== 'retrying');
+
+// Send a dead (or cancelled) job again, with a fresh set of attempts.
+// Returns the updated job, or null if it is no longer in a retryable state
+const retryJob = async (jobId) => {
+  const job = await EmailJob.findOneAndUpdate(
+    {
+      _id: jobId,
+      status: { $in: RETRYABLE_STATUSES },
+      $or: [{ sensitive: { $ne: true } }, { status: 'retrying' }]
+    },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } },
+    { new: true }
+  );
+  if (!job) return null;
+
+  if (job.message) {
+    await Message.updateOne(
+      { _id: job.message },
+      { $set: { deliveryStatus: 'pending' }, $unset: { deliveryError: '' } }
+    );
+  }
+
+  setImmediate(wakeWorker);
+  return job;
+};
+
+// Stop a job that hasn't been sent yet.
+// Returns the updated job, or null if it is no longer in a cancellable state
+const cancelJob = async (jobId) => {
+  const job = await EmailJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: CANCELLABLE_STATUSES } },
+    [{
+      $set: {
+        status: 'cancelled',
+        lastError: { $ifNull: ['$lastError', 'Cancelled by an admin'] },
+        // Same as wipeSensitiveBody(), in the same update
+        mailOptions: {
+          $cond: ['$sensitive', { $mergeObjects: ['$mailOptions', { html: null, text: null }] }, '$mailOptions']
+        }
+      }
+    }],
+    { new: true }
+  );
+  if (!job) return null;
+
+  await afterGivingUp(job);
+  return job;
+};
+
+module.exports = {
+  queueEmail,
+  processQueue,
+  retryJob,
+  cancelJob,
+  canRetry,
+  RETRYABLE_STATUSES,
+  CANCELLABLE_STATUSES,
+  setQueueWorker
+};
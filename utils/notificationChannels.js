@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const https = require('https');
+const { checkOutboundUrl, lookupPublic } = require('./outboundUrl');
+const { sendNotificationEmail, sendSlaBreachEmail, sendEventEmail } = require('./emailService');
+
+// Channel adapters. Each one delivers a notification (built by utils/notificationDispatcher.js)
+// to one target and resolves with { responseStatus } (or { queued, emailJob } for email)
+// - or throws when delivery failed.
+//   deliver(target, notification, options)
+// target is an email address for the email channel and a URL for the rest.
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// POST JSON and treat anything but a 2xx answer as a failure.
+// Only https to public addresses, and redirects are not followed (see utils/outboundUrl.js)
+const postJson = async (url, payload, headers = {}) => {
+  const problem = await checkOutboundUrl(url);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const body = JSON.stringify(payload);
+
+  return new Promise((resolve, reject) => {
+    const request = https.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+      lookup: lookupPublic,
+      timeout: WEBHOOK_TIMEOUT_MS
+    }, (response) => {
+      response.resume();
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        const error = new Error(`Webhook answered with status ${response.statusCode}`);
+        error.responseStatus = response.statusCode;
+        return reject(error);
+      }
+
+      resolve({ responseStatus: response.statusCode });
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Webhook did not answer in time')));
+    request.on('error', reject);
+    request.end(body);
+  });
+};
+
+const email = {
+  async deliver(address, notification) {
+    // New contacts and SLA breaches keep their detailed emails; everything else uses the generic one
+    let job;
+    if (notification.event === 'contact.created') {
+      job = await sendNotificationEmail(notification.contact, address);
+    } else if (notification.event === 'sla.breached') {
+      job = await sendSlaBreachEmail(notification.contact, notification.details.type, address);
+    } else {
+      job = await sendEventEmail(address, notification);
+    }
+
+    // Emails go through the mail queue, so here we only know they were queued
+    if (!job) throw new Error('Email is not configured');
+    return { queued: true, emailJob: job._id };
+  }
+};
+
+// Generic outgoing webhook - signed with HMAC-SHA256 when the admin set a secret,
+// so the receiver can check it really came from us (X-Signature: sha256=<hex>)
+const webhook = {
+  deliver(url, notification, { secret } = {}) {
+    const payload = {
+      event: notification.event,
+      occurredAt: notification.occurredAt,
+      title: notification.title,
+      text: notification.text,
+      contact: notification.contactSummary,
+      details: notification.details,
+      url: notification.url
+    };
+
+    const headers = { 'X-Notification-Event': notification.event };
+    if (secret) {
+      const signature = crypto.createHmac('sha256', secret).update(JSON.stringify(payload)).digest('hex');
+      headers['X-Signature'] = `sha256=${signature}`;
+    }
+
+    return postJson(url, payload, headers);
+  }
+};
+
+// Slack incoming webhook
+const slack = {
+  deliver(url, notification) {
+    return postJson(url, {
+      text: `${notification.title} - ${notification.text}`,
+      blocks: [
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text: `*${notification.title}*\n${notification.text}` }
+        },
+        // Slack rejects a section with no fields (e.g. test messages)
+        ...(notification.fields.length > 0 ? [{
+          type: 'section',
+          fields: notification.fields.map(field => ({
+            type: 'mrkdwn',
+            text: `*${field.label}:*\n${field.value}`
+          }))
+        }] : []),
+        {
+          type: 'context',
+          elements: [{ type: 'mrkdwn', text: `<${notification.url}|Open the Admin Panel>` }]
+        }
+      ]
+    });
+  }
+};
+
+// Microsoft Teams incoming webhook (MessageCard format)
+const teams = {
+  deliver(url, notification) {
+    return postJson(url, {
+      '@type': 'MessageCard',
+      '@context': 'https://schema.org/extensions',
+      summary: notification.title,
+      themeColor: notification.event === 'sla.breached' || notification.event === 'contact.urgent' ? 'DC3545' : '007BFF',
+      title: notification.title,
+      text: notification.text,
+      sections: [{
+        facts: notification.fields.map(field => ({ name: field.label, value: String(field.value) }))
+      }],
+      potentialAction: [{
+        '@type': 'OpenUri',
+        name: 'Open the Admin Panel',
+        targets: [{ os: 'default', uri: notification.url }]
+      }]
+    });
+  }
+};
+
+module.exports = { email, webhook, slack, teams };
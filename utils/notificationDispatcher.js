@@ -0,0 +1,174 @@
+const Admin = require('../models/Admin');
+const Role = require('../models/Role');
+const NotificationPreference = require('../models/NotificationPreference');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const channels = require('./notificationChannels');
+const { DEFAULT_SUBSCRIPTIONS, ADMIN_INBOX_EVENTS } = require('../config/notifications');
+
+const adminPanelUrl = () => process.env.ADMIN_PANEL_URL || 'http://localhost:3000/admin';
+
+const TITLES = {
+  'contact.created': (contact) => `New contact: ${contact.subject || contact.name}`,
+  'contact.urgent': (contact) => `Urgent contact: ${contact.subject || contact.name}`,
+  'sla.breached': (contact, details) =>
+    `SLA breached (${details.type === 'firstResponse' ? 'first response' : 'resolution'}): ${contact.subject || contact.name}`,
+  'contact.assigned': (contact) => `Contact assigned: ${contact.subject || contact.name}`,
+  test: () => 'Test notification'
+};
+
+// Turn an event into the channel-neutral shape every adapter understands
+const buildNotification = (event, contact, details = {}) => {
+  const assignee = contact && contact.assignedTo && contact.assignedTo.username
+    ? (contact.assignedTo.fullName || contact.assignedTo.username)
+    : null;
+
+  const fields = contact
+    ? [
+      { label: 'From', value: `${contact.name} <${contact.email}>` },
+      { label: 'Priority', value: contact.priority },
+      { label: 'Status', value: contact.status },
+      ...(assignee ? [{ label: 'Assigned to', value: assignee }] : [])
+    ]
+    : [];
+
+  return {
+    event,
+    occurredAt: new Date(),
+    title: TITLES[event](contact, details),
+    text: contact ? String(contact.message || '').slice(0, 300) : 'Notifications are set up correctly.',
+    fields,
+    url: adminPanelUrl(),
+    contact,
+    contactSummary: contact
+      ? {
+        id: contact._id,
+        name: contact.name,
+        email: contact.email,
+        subject: contact.subject,
+        priority: contact.priority,
+        status: contact.status,
+        assignedTo: contact.assignedTo && contact.assignedTo._id ? contact.assignedTo._id : contact.assignedTo
+      }
+      : null,
+    details
+  };
+};
+
+// Webhook URLs carry their secret in the path, so only the host is recorded
+const describeTarget = (channel, target) => {
+  if (channel === 'email') return target;
+  try {
+    return new URL(target).host;
+  } catch (error) {
+    return 'invalid URL';
+  }
+};
+
+// Deliver over one channel and record the attempt. Never throws.
+const deliver = async (channel, target, notification, { admin, secret } = {}) => {
+  const startedAt = Date.now();
+  const record = {
+    event: notification.event,
+    channel,
+    admin,
+    contact: notification.contact ? notification.contact._id : undefined,
+    target: describeTarget(channel, target)
+  };
+
+  try {
+    const result = await channels[channel].deliver(target, notification, { secret });
+    record.status = result.queued ? 'queued' : 'sent';
+    record.responseStatus = result.responseStatus;
+    record.emailJob = result.emailJob;
+  } catch (error) {
+    record.status = 'failed';
+    record.responseStatus = error.responseStatus;
+    record.error = String(error.message).slice(0, 500);
+    console.error(`Failed to deliver ${notification.event} notification over ${channel}:`, error.message);
+  }
+
+  record.durationMs = Date.now() - startedAt;
+
+  try {
+    return await NotificationDelivery.create(record);
+  } catch (error) {
+    console.error('Failed to record notification delivery:', error);
+    return record;
+  }
+};
+
+// Where an admin wants a given channel delivered (null = not set up)
+const targetFor = (channel, admin, preference) => {
+  if (channel === 'email') {
+    const enabled = !preference || preference.channels.email.enabled !== false;
+    return enabled ? admin.email : null;
+  }
+  return preference && preference.channels[channel] ? preference.channels[channel].url || null : null;
+};
+
+// Send an event to the shared inbox and to every admin subscribed to it.
+// details: extra event data, e.g. { type: 'firstResponse' } for sla.breached
+const notify = async (event, { contact, details } = {}) => {
+  const notification = buildNotification(event, contact, details);
+  const deliveries = [];
+  // One email per address, even if the shared inbox is also someone's own address
+  const emailed = new Set();
+
+  if (ADMIN_INBOX_EVENTS.includes(event) && process.env.ADMIN_EMAIL) {
+    emailed.add(process.env.ADMIN_EMAIL.toLowerCase());
+    deliveries.push(await deliver('email', process.env.ADMIN_EMAIL, notification));
+  }
+
+  const admins = await Admin.find({ isActive: true }).select('username fullName email role');
+  const preferences = await NotificationPreference.find({ admin: { $in: admins.map(admin => admin._id) } })
+    .select('+channels.webhook.secret');
+  const preferenceByAdmin = new Map(preferences.map(preference => [String(preference.admin), preference]));
+
+  const assignedTo = contact && contact.assignedTo ? String(contact.assignedTo._id || contact.assignedTo) : null;
+
+  for (const admin of admins) {
+    const preference = preferenceByAdmin.get(String(admin._id));
+    const subscriptions = preference ? preference.subscriptions : DEFAULT_SUBSCRIPTIONS;
+    const subscription = subscriptions.find(sub => sub.event === event);
+
+    if (!subscription) continue;
+    if (subscription.scope === 'mine' && assignedTo !== String(admin._id)) continue;
+
+    // Only admins who can see contacts hear about them
+    const permissions = await Role.permissionsFor(admin.role);
+    if (!permissions.includes('contacts:read')) continue;
+
+    for (const channel of subscription.channels) {
+      const target = targetFor(channel, admin, preference);
+      if (!target) continue;
+
+      if (channel === 'email') {
+        if (emailed.has(target.toLowerCase())) continue;
+        emailed.add(target.toLowerCase());
+      }
+
+      deliveries.push(await deliver(channel, target, notification, {
+        admin: admin._id,
+        secret: channel === 'webhook' ? preference.channels.webhook.secret : undefined
+      }));
+    }
+  }
+
+  return deliveries;
+};
+
+// Send a test message over one of an admin's channels
+const sendTestNotification = async (admin, channel) => {
+  const preference = await NotificationPreference.findOne({ admin: admin._id })
+    .select('+channels.webhook.secret');
+
+  const target = targetFor(channel, admin, preference);
+  if (!target) return null;
+
+  return deliver(channel, target, buildNotification('test'), {
+    admin: admin._id,
+    secret: channel === 'webhook' ? preference.channels.webhook.secret : undefined
+  });
+};
+
+module.exports = { notify, sendTestNotification };
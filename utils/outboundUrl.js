@@ -0,0 +1,96 @@
+const dns = require('dns');
+const net = require('net');
+
+// Webhook, Slack and Teams URLs are typed in by admins, and the server posts to them.
+// They must never reach this server's own network (MongoDB, cloud metadata, internal
+// services), so only https to public addresses is allowed. The address is checked when
+// the URL is saved and again when connecting, in case the DNS record changed in between.
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this network"
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, including cloud metadata (169.254.169.254)
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7], // unique local, including fd00:ec2::254 (AWS metadata)
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges by BlockList
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Drop-in for dns.lookup (the `lookup` option of https.request) that refuses private addresses,
+// so the connection goes to the address that was checked
+const lookupPublic = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const privateAddress = addresses.find(({ address }) => !isPublicAddress(address));
+    if (privateAddress) {
+      const refused = new Error(`${hostname} resolves to a private address (${privateAddress.address})`);
+      refused.code = 'EPRIVATEADDRESS';
+      return callback(refused);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Check a URL before saving or posting to it. Returns an error message, or null when it's fine.
+// allowedHosts = optional list of domains the host must be (or sit under)
+const checkOutboundUrl = async (url, { allowedHosts } = {}) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'URL is invalid';
+  }
+
+  if (parsed.protocol !== 'https:') {
+    return 'URL must use https';
+  }
+
+  // IPv6 hosts come wrapped in brackets
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (allowedHosts && !allowedHosts.some(host => hostname === host || hostname.endsWith(`.${host}`))) {
+    return `URL must be on ${allowedHosts.join(' or ')}`;
+  }
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(({ address }) => address);
+    } catch (error) {
+      return `${hostname} could not be resolved`;
+    }
+  }
+
+  if (addresses.some(address => !isPublicAddress(address))) {
+    return `${hostname} points at a private or internal address`;
+  }
+
+  return null;
+};
+
+module.exports = { checkOutboundUrl, lookupPublic, isPublicAddress };
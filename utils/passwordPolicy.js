@@ -0,0 +1,41 @@
+// Password rules shared by every route that lets an admin choose a new password
+const MIN_LENGTH = 8;
+
+// Returns a list of problems with the password (empty list = password is fine)
+const checkPassword = (password, { username, email } = {}) => {
+  const problems = [];
+  const value = String(password || '');
+
+  if (value.length < MIN_LENGTH) {
+    problems.push(`Password must be at least ${MIN_LENGTH} characters`);
+  }
+  if (!/[a-zA-Z]/.test(value)) {
+    problems.push('Password must contain at least one letter');
+  }
+  if (!/[0-9]/.test(value)) {
+    problems.push('Password must contain at least one number');
+  }
+
+  const lower = value.toLowerCase();
+  if ((username && lower.includes(username.toLowerCase())) ||
+      (email && lower.includes(email.split('@')[0].toLowerCase()))) {
+    problems.push('Password must not contain your username or email');
+  }
+
+  return problems;
+};
+
+// express-validator custom validator: body('password').custom(passwordPolicy)
+const passwordPolicy = (value, { req }) => {
+  const problems = checkPassword(value, {
+    username: req.body.username || (req.admin && req.admin.username),
+    email: req.body.email || (req.admin && req.admin.email)
+  });
+
+  if (problems.length > 0) {
+    throw new Error(problems.join('. '));
+  }
+  return true;
+};
+
+module.exports = { checkPassword, passwordPolicy };
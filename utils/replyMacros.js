@@ -0,0 +1,39 @@
+const Admin = require('../models/Admin');
+const Tag = require('../models/Tag');
+const { render } = require('./templateRenderer');
+const { buildTemplateVariables } = require('./emailService');
+
+// Placeholders macros can use. The reply is plain text (the reply email template escapes it),
+// so values are put in as they are.
+const MACRO_VARIABLES = [
+  'contact.reference', 'contact.name', 'contact.email', 'contact.phone', 'contact.company',
+  'contact.school', 'contact.location', 'contact.subject', 'contact.submittedAt', 'admin.name',
+  'admin.email', 'site.name', 'site.url'
+];
+
+// Fill in a macro's placeholders for one contact. Returns { subject, message }.
+// adminId = who is sending it (for {{admin.name}})
+const renderMacro = async (macro, contact, adminId) => {
+  const admin = await Admin.findById(adminId).select('username fullName email');
+  const variables = buildTemplateVariables(contact, {
+    admin: admin ? { name: admin.fullName || admin.username, email: admin.email } : undefined
+  });
+
+  return {
+    subject: macro.subject
+      ? render(macro.subject, variables, 'text').replace(/\s+/g, ' ').trim()
+      : contact.subject || 'Your enquiry',
+    message: render(macro.body, variables, 'text').trim()
+  };
+};
+
+// Check that the tags a macro adds exist. Returns a message describing the problem, or null
+const checkMacroTags = async (tags = []) => {
+  if (tags.length === 0) return null;
+
+  const known = await Tag.find({ name: { $in: tags } }).distinct('name');
+  const unknown = tags.filter(tag => !known.includes(tag));
+  return unknown.length > 0 ? `Unknown tag(s): ${unknown.join(', ')}` : null;
+};
+
+module.exports = { MACRO_VARIABLES, renderMacro, checkMacroTags };
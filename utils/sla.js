@@ -0,0 +1,103 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const Contact = require('../models/Contact');
+const { OPEN_STATUSES } = require('../config/contactWorkflow');
+
+const MINUTE = 60 * 1000;
+
+// Work out the SLA deadlines for a contact from its priority (call before saving)
+// Deadlines count from when the contact was submitted, so changing priority moves them
+const applySlaPolicy = async (contact) => {
+  const policy = await SlaPolicy.forPriority(contact.priority);
+  const start = (contact.createdAt || new Date()).getTime();
+
+  if (!policy || policy.enabled === false) {
+    contact.firstResponseDueAt = undefined;
+    contact.resolveDueAt = undefined;
+    return;
+  }
+
+  contact.firstResponseDueAt = new Date(start + policy.firstResponseMinutes * MINUTE);
+  contact.resolveDueAt = new Date(start + policy.resolveMinutes * MINUTE);
+
+  // A new deadline that hasn't passed yet clears an earlier breach flag
+  if (contact.firstResponseDueAt > new Date()) contact.firstResponseBreachedAt = undefined;
+  if (contact.resolveDueAt > new Date()) contact.resolveBreachedAt = undefined;
+};
+
+// Percentage of contacts that met a deadline, among those where the outcome is known
+// (met = done before the deadline, missed = done late or still not done after it)
+const compliance = async (dueField, doneField, since) => {
+  const now = new Date();
+  const [result] = await Contact.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: since },
+        status: { $ne: 'spam' },
+        [dueField]: { $ne: null }
+      }
+    },
+    {
+      $project: {
+        met: {
+          $and: [{ $ne: [{ $ifNull: [`$${doneField}`, null] }, null] }, { $lte: [`$${doneField}`, `$${dueField}`] }]
+        },
+        decided: {
+          $or: [{ $ne: [{ $ifNull: [`$${doneField}`, null] }, null] }, { $lt: [`$${dueField}`, now] }]
+        }
+      }
+    },
+    {
+      $match: { decided: true }
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        met: { $sum: { $cond: ['$met', 1, 0] } }
+      }
+    }
+  ]);
+
+  if (!result || result.total === 0) {
+    return { total: 0, met: 0, percentage: null };
+  }
+
+  return {
+    total: result.total,
+    met: result.met,
+    percentage: Math.round((result.met / result.total) * 1000) / 10
+  };
+};
+
+// SLA numbers for the dashboard
+const getSlaSummary = async (atRiskWindowHours) => {
+  const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const riskCutoff = new Date(Date.now() + atRiskWindowHours * 60 * MINUTE);
+
+  const [firstResponse, resolution] = await Promise.all([
+    compliance('firstResponseDueAt', 'firstRespondedAt', since),
+    compliance('resolveDueAt', 'resolvedAt', since)
+  ]);
+
+  // Open contacts whose next deadline falls inside the window (or has already passed)
+  const atRisk = await Contact.find({
+    status: { $in: OPEN_STATUSES },
+    $or: [
+      { firstRespondedAt: null, firstResponseDueAt: { $lte: riskCutoff } },
+      { resolvedAt: null, resolveDueAt: { $lte: riskCutoff } }
+    ]
+  })
+    .sort({ firstResponseDueAt: 1, resolveDueAt: 1 })
+    .limit(20)
+    .select('name email subject status priority assignedTo firstResponseDueAt resolveDueAt firstRespondedAt firstResponseBreachedAt resolveBreachedAt')
+    .populate('assignedTo', 'username fullName');
+
+  return {
+    periodDays: 30,
+    firstResponse,
+    resolution,
+    atRisk
+  };
+};
+
+module.exports = { applySlaPolicy, getSlaSummary };
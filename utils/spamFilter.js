@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const Contact = require('../models/Contact');
+const Setting = require('../models/Setting');
+const UsedFormToken = require('../models/UsedFormToken');
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+
+const formTokenSecret = () => process.env.FORM_TOKEN_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+const signFormPayload = (payload) =>
+  crypto.createHmac('sha256', formTokenSecret()).update(payload).digest('base64url');
+
+// Signed form tokens prove when the contact form was loaded, so we can tell
+// how long the visitor took to fill it in. Format: <issuedAt>.<nonce>.<signature>
+const issueFormToken = (now = Date.now()) => {
+  const payload = `${now}.${crypto.randomBytes(8).toString('hex')}`;
+  return `${payload}.${signFormPayload(payload)}`;
+};
+
+// Returns { valid, issuedAt, nonce } - issuedAt and nonce are only set for validly signed tokens
+const readFormToken = (token) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return { valid: false };
+
+  const expected = Buffer.from(signFormPayload(`${parts[0]}.${parts[1]}`));
+  const provided = Buffer.from(parts[2]);
+
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { valid: false };
+  }
+
+  return { valid: true, issuedAt: parseInt(parts[0], 10), nonce: parts[1] };
+};
+
+// Hash used to spot the same message sent from different email addresses
+const contentHash = (message) => {
+  const normalized = String(message || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+const domainOf = (url) =>
+  String(url).replace(/^https?:\/\//i, '').replace(/^www\./i, '').split(/[/?#:]/)[0].toLowerCase();
+
+// Does a domain equal, or sit under, one of the blocklisted domains?
+const isBlockedDomain = (domain, blockedDomains) =>
+  blockedDomains.some(blocked => domain === blocked || domain.endsWith(`.${blocked}`));
+
+// Blocklist kept in the settings collection so admins can edit it at runtime
+const getBlocklist = async () => {
+  const value = await Setting.getValue('spam.blocklist', { domains: [], ips: [] });
+  return {
+    domains: (value.domains || []).map(domain => domain.toLowerCase()),
+    ips: value.ips || []
+  };
+};
+
+// Each check looks at a submission and returns { score, reason } when it finds
+// something suspicious, or null. The scores are added up by scoreSubmission().
+// context: { ipAddress, settings (config.spam), blocklist: { domains, ips } }
+const checks = [
+  {
+    // Hidden field that real visitors never see or fill in
+    name: 'honeypot',
+    run: async (submission) => {
+      if (submission.website && String(submission.website).trim()) {
+        return { score: 100, reason: 'Honeypot field was filled in' };
+      }
+      return null;
+    }
+  },
+  {
+    // Bots submit the form instantly; people take a few seconds
+    name: 'fillTime',
+    run: async (submission, { settings }) => {
+      if (!submission.formToken) {
+        return { score: settings.missingTokenScore, reason: 'No form token' };
+      }
+
+      const token = readFormToken(submission.formToken);
+      if (!token.valid) {
+        return { score: 50, reason: 'Form token signature is invalid' };
+      }
+
+      // An old or reused token says nothing about fill time, so it counts like a forged one
+      const expiresAt = new Date(token.issuedAt + settings.formTokenTtlHours * 60 * 60 * 1000);
+      if (expiresAt <= new Date()) {
+        return { score: 50, reason: 'Form token has expired' };
+      }
+      if (!(await UsedFormToken.claim(token.nonce, expiresAt))) {
+        return { score: 50, reason: 'Form token was already used' };
+      }
+
+      const secondsTaken = (Date.now() - token.issuedAt) / 1000;
+      if (secondsTaken < settings.minFillSeconds) {
+        return { score: 60, reason: `Form filled in ${Math.max(0, Math.round(secondsTaken))}s` };
+      }
+      return null;
+    }
+  },
+  {
+    // Lots of links in a short message
+    name: 'linkDensity',
+    run: async (submission) => {
+      const message = String(submission.message || '');
+      const links = message.match(URL_PATTERN) || [];
+      if (links.length === 0) return null;
+
+      const linkChars = links.join('').length;
+      if (links.length >= 3 || linkChars / message.length > 0.3) {
+        return { score: 30 + Math.min(links.length, 10) * 5, reason: `${links.length} link(s) in message` };
+      }
+      return null;
+    }
+  },
+  {
+    // Email domain, IP address or linked sites on the blocklist
+    name: 'blocklist',
+    run: async (submission, { ipAddress, blocklist }) => {
+      const emailDomain = (String(submission.email || '').split('@')[1] || '').toLowerCase();
+
+      if (emailDomain && isBlockedDomain(emailDomain, blocklist.domains)) {
+        return { score: 100, reason: `Email domain ${emailDomain} is blocklisted` };
+      }
+
+      if (ipAddress && blocklist.ips.includes(ipAddress)) {
+        return { score: 100, reason: `IP address ${ipAddress} is blocklisted` };
+      }
+
+      const linkedDomains = (String(submission.message || '').match(URL_PATTERN) || []).map(domainOf);
+      const blockedLink = linkedDomains.find(domain => isBlockedDomain(domain, blocklist.domains));
+      if (blockedLink) {
+        return { score: 50, reason: `Message links to blocklisted domain ${blockedLink}` };
+      }
+
+      return null;
+    }
+  },
+  {
+    // The same message arriving from several different email addresses
+    name: 'repeatedContent',
+    run: async (submission) => {
+      const otherSenders = await Contact.find({
+        contentHash: contentHash(submission.message),
+        email: { $ne: String(submission.email || '').toLowerCase() },
+        createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+      })
+        .setOptions({ withDeleted: true })
+        .distinct('email');
+
+      if (otherSenders.length === 0) return null;
+
+      return {
+        score: otherSenders.length >= 3 ? 80 : 40,
+        reason: `Same message sent from ${otherSenders.length} other address(es) in the last 24h`
+      };
+    }
+  }
+];
+
+// Plug in another check: registerSpamCheck('name', async (submission, context) => ({ score, reason }) or null)
+const registerSpamCheck = (name, run) => {
+  checks.push({ name, run });
+};
+
+// Run every check against a submission. settings = config.spam
+// Returns { score, reasons, isSpam, contentHash }
+const scoreSubmission = async (submission, { ipAddress, settings }) => {
+  const context = {
+    ipAddress,
+    settings,
+    blocklist: await getBlocklist()
+  };
+
+  let score = 0;
+  const reasons = [];
+
+  for (const check of checks) {
+    try {
+      const result = await check.run(submission, context);
+      if (result && result.score > 0) {
+        score += result.score;
+        reasons.push(`${check.name}: ${result.reason}`);
+      }
+    } catch (error) {
+      // A broken check must never block a real enquiry
+      console.error(`Spam check "${check.name}" failed:`, error);
+    }
+  }
+
+  return {
+    score,
+    reasons,
+    isSpam: score >= settings.threshold,
+    contentHash: contentHash(submission.message)
+  };
+};
+
+module.exports = {
+  issueFormToken,
+  readFormToken,
+  contentHash,
+  getBlocklist,
+  registerSpamCheck,
+  scoreSubmission
+};
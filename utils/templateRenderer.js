@@ -0,0 +1,129 @@
+// A small mustache-style template language for the editable email templates.
+//   {{contact.name}}              value, HTML-escaped (in the text version it is left as is)
+//   {{{company.website}}}         value, not escaped - only for values we control, never user input
+//   {{#contact.phone}}...{{/contact.phone}}   shown when the value is set; repeated for each item of a list
+//   {{^contact.phone}}...{{/contact.phone}}   shown when the value is empty
+// Inside a list section, names are looked up on the item first: {{#formFields}}{{label}}{{/formFields}}
+
+const TAG_PATTERN = /\{\{(\{)?\s*([#^/])?\s*([a-zA-Z0-9_.]+)\s*\}?\}\}/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Look a dotted name up in the innermost context that has it
+const lookup = (contexts, name) => {
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    let value = contexts[i];
+    const found = name.split('.').every(part => {
+      if (value === null || value === undefined || !Object.prototype.hasOwnProperty.call(Object(value), part)) {
+        return false;
+      }
+      value = value[part];
+      return true;
+    });
+    if (found) return value;
+  }
+  return undefined;
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === false || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const display = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toLocaleString();
+  return String(value);
+};
+
+// Split a template into a tree of text, variables and sections. Throws on mismatched sections.
+const parse = (template) => {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    const [tag, triple, type, name] = match;
+    const parent = stack[stack.length - 1];
+
+    if (match.index > lastIndex) {
+      parent.children.push({ kind: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (type === '#' || type === '^') {
+      const section = { kind: 'section', inverted: type === '^', name, children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (type === '/') {
+      if (stack.length === 1 || parent.name !== name) {
+        throw new Error(`Unexpected {{/${name}}}${stack.length > 1 ? ` - {{#${parent.name}}} is still open` : ''}`);
+      }
+      stack.pop();
+    } else {
+      parent.children.push({ kind: 'variable', name, raw: Boolean(triple) });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`{{#${stack[stack.length - 1].name}}} is never closed`);
+  }
+
+  if (lastIndex < template.length) {
+    root.children.push({ kind: 'text', value: template.slice(lastIndex) });
+  }
+
+  return root.children;
+};
+
+const renderNodes = (nodes, contexts, escape) => nodes.map(node => {
+  if (node.kind === 'text') return node.value;
+
+  const value = lookup(contexts, node.name);
+
+  if (node.kind === 'variable') {
+    return node.raw ? display(value) : escape(display(value));
+  }
+
+  if (node.inverted) {
+    return isEmpty(value) ? renderNodes(node.children, contexts, escape) : '';
+  }
+  if (isEmpty(value)) return '';
+  if (Array.isArray(value)) {
+    return value.map(item => renderNodes(node.children, [...contexts, item], escape)).join('');
+  }
+  return renderNodes(node.children, typeof value === 'object' ? [...contexts, value] : contexts, escape);
+}).join('');
+
+// Render a template. format: 'html' escapes values, 'text' doesn't
+const render = (template, variables, format = 'html') =>
+  renderNodes(parse(template || ''), [variables], format === 'html' ? escapeHtml : value => value);
+
+// Rough plain-text version of an HTML email, for templates without their own text version
+const htmlToText = (html) => html
+  .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|h[1-6]|tr|li)>/gi, '\n')
+  .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&')
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/\n[ \t]+/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+module.exports = { render, parse, escapeHtml, htmlToText };
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 7;
+
+// Hash a token before storing or looking it up (SHA-256 is enough for random tokens)
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a short-lived JWT access token tied to a session
+const signAccessToken = (admin, session) => {
+  return jwt.sign(
+    {
+      id: admin._id,
+      username: admin.username,
+      role: admin.role,
+      sid: session._id
+    },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// Create the short-lived token returned by login when a 2FA code is still needed.
+// It can only be exchanged at /api/auth/login/2fa, never used as an access token.
+const signChallengeToken = (admin) => {
+  return jwt.sign(
+    { id: admin._id, purpose: '2fa' },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: '5m' }
+  );
+};
+
+// Returns the admin id from a challenge token, or null if it is invalid or expired
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Refresh tokens look like "<sessionId>.<random secret>" so we can find the session quickly
+const buildRefreshToken = (session) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  return { token: `${session._id}.${secret}`, hash: hashToken(secret) };
+};
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Start a new session for an admin and return both tokens
+const createSession = async (admin, { ipAddress, userAgent } = {}) => {
+  const session = new Session({
+    admin: admin._id,
+    expiresAt: refreshExpiry(),
+    ipAddress,
+    userAgent
+  });
+
+  const refresh = buildRefreshToken(session);
+  session.refreshTokenHash = refresh.hash;
+  await session.save();
+
+  return {
+    session,
+    accessToken: signAccessToken(admin, session),
+    refreshToken: refresh.token
+  };
+};
+
+// Exchange a refresh token for a new pair. The old refresh token stops working.
+// Presenting an already-rotated token revokes the whole session (it was probably stolen).
+const rotateRefreshToken = async (refreshToken, { ipAddress, userAgent } = {}) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+
+  if (!sessionId || !secret || !sessionId.match(/^[a-f0-9]{24}$/)) {
+    return { error: 'invalid' };
+  }
+
+  const session = await Session.findById(sessionId)
+    .select('+refreshTokenHash +previousTokenHashes')
+    .populate('admin');
+
+  if (!session || !session.isActive()) {
+    return { error: 'invalid' };
+  }
+
+  const presentedHash = hashToken(secret);
+
+  if (session.previousTokenHashes.includes(presentedHash)) {
+    await session.revoke('reuse_detected');
+    return { error: 'reused', session };
+  }
+
+  if (presentedHash !== session.refreshTokenHash) {
+    return { error: 'invalid' };
+  }
+
+  const admin = session.admin;
+  if (!admin || !admin.isActive) {
+    return { error: 'invalid' };
+  }
+
+  // Compare and swap in one step, so two requests with the same token can't both rotate it.
+  // Losing the race means the token was used twice.
+  const refresh = buildRefreshToken(session);
+  const update = {
+    refreshTokenHash: refresh.hash,
+    expiresAt: refreshExpiry(),
+    lastUsedAt: new Date()
+  };
+  if (ipAddress) update.ipAddress = ipAddress;
+  if (userAgent) update.userAgent = userAgent;
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    { $set: update, $push: { previousTokenHashes: presentedHash } },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'reuse_detected' }
+    );
+    return { error: 'reused', session };
+  }
+
+  return {
+    admin,
+    session: rotated,
+    accessToken: signAccessToken(admin, session),
+    refreshToken: refresh.token
+  };
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  createSession,
+  rotateRefreshToken
+};
@@ -0,0 +1,102 @@
+const TriageRule = require('../models/TriageRule');
+const Admin = require('../models/Admin');
+
+// Get the value a condition looks at from a submission
+const fieldValue = (submission, field) => {
+  switch (field) {
+    case 'text':
+      return [submission.subject, submission.message].filter(Boolean).join('\n');
+    case 'emailDomain':
+      return String(submission.email || '').split('@')[1] || '';
+    default:
+      return submission[field] ? String(submission[field]) : '';
+  }
+};
+
+// Check one condition (all comparisons ignore case)
+const matchCondition = (submission, condition) => {
+  const value = fieldValue(submission, condition.field).toLowerCase().trim();
+  const candidates = (condition.values || []).map(v => String(v).toLowerCase().trim()).filter(Boolean);
+
+  switch (condition.operator) {
+    case 'present':
+      return value.length > 0;
+    case 'absent':
+      return value.length === 0;
+    case 'contains':
+      return candidates.some(candidate => value.includes(candidate));
+    case 'equals':
+      return candidates.some(candidate => value === candidate);
+    case 'ends_with':
+      return candidates.some(candidate => value.endsWith(candidate));
+    default:
+      return false;
+  }
+};
+
+const matchRule = (submission, rule) => {
+  const results = rule.conditions.map(condition => matchCondition(submission, condition));
+  return rule.matchMode === 'any' ? results.some(Boolean) : results.every(Boolean);
+};
+
+// Run rules (already sorted) against a submission without changing anything.
+// Returns which rules fired and the combined outcome - used by both submission and dry-run.
+// Later rules win for priority/assignee/status; tags add up.
+const evaluateRules = (rules, submission) => {
+  const fired = [];
+  const outcome = { priority: null, tags: [], assignTo: null, status: null };
+
+  for (const rule of rules) {
+    if (!matchRule(submission, rule)) continue;
+
+    fired.push({ id: rule._id, name: rule.name, order: rule.order });
+
+    const actions = rule.actions || {};
+    if (actions.priority) outcome.priority = actions.priority;
+    if (actions.assignTo) outcome.assignTo = actions.assignTo;
+    if (actions.status) outcome.status = actions.status;
+    (actions.tags || []).forEach(tag => {
+      if (!outcome.tags.includes(tag)) outcome.tags.push(tag);
+    });
+
+    if (rule.stopProcessing) break;
+  }
+
+  return { fired, outcome };
+};
+
+const loadEnabledRules = () => TriageRule.find({ enabled: true }).sort({ order: 1, createdAt: 1 });
+
+// Apply the enabled rules to a new contact before it is saved
+// Returns the list of rules that fired
+const runTriage = async (contact) => {
+  const rules = await loadEnabledRules();
+  if (rules.length === 0) return [];
+
+  const { fired, outcome } = evaluateRules(rules, contact);
+  if (fired.length === 0) return [];
+
+  if (outcome.priority) {
+    contact.priority = outcome.priority;
+  }
+
+  if (outcome.tags.length > 0) {
+    contact.tags = [...new Set([...(contact.tags || []), ...outcome.tags])];
+  }
+
+  if (outcome.assignTo && await Admin.exists({ _id: outcome.assignTo, isActive: true })) {
+    contact.assignedTo = outcome.assignTo;
+    contact.assignedAt = new Date();
+  }
+
+  if (outcome.status && !contact.checkTransition(outcome.status)) {
+    contact.applyTransition(outcome.status, {
+      reason: `Triage rule: ${fired[fired.length - 1].name}`
+    });
+  }
+
+  contact.triageRules = fired.map(rule => rule.name);
+  return fired;
+};
+
+module.exports = { evaluateRules, loadEnabledRules, runTriage };